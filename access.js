@@ -0,0 +1,101 @@
+// Staff roles, what each role may do, and the audit log entries written when staff open or change
+// a case. Loaded by every page (LocalStorageAdapter checks permissions itself when there is no
+// server) and required by server/server.js, which enforces the same rules for the HTTP API.
+
+const ROLE_PERMISSIONS = {
+    counselor: ['cases:view', 'cases:update', 'cases:export', 'aspirations:manage'],
+    // Oversight: reads cases and the audit log but leaves handling them to BK
+    principal: ['cases:view', 'cases:export', 'aspirations:manage', 'audit:view'],
+    admin: [
+        'cases:view', 'cases:update', 'cases:export', 'aspirations:manage', 'audit:view',
+        'data:backup', 'data:delete', 'settings:manage', 'staff:manage'
+    ]
+};
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Every save re-renders the open case, so opening it again within this window is one access
+const VIEW_LOG_WINDOW = 15 * 60 * 1000;
+
+class AccessControl {
+    constructor(permissions = ROLE_PERMISSIONS) {
+        this.permissions = permissions;
+    }
+
+    get roles() {
+        return Object.keys(this.permissions);
+    }
+
+    can(user, permission) {
+        return Boolean(user) && user.active !== false && (this.permissions[user.role] || []).includes(permission);
+    }
+
+    permissionsOf(user) {
+        return user && user.active !== false ? (this.permissions[user.role] || []).slice() : [];
+    }
+
+    normalizeUsername(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    // What staff pages and API responses may show of an account
+    toPublicStaff(account) {
+        const { passwordHash, ...publicAccount } = account;
+        return { ...publicAccount, permissions: this.permissionsOf(account) };
+    }
+
+    // Returns the first problem with the fields for a new or changed account as
+    // { field, reason }, or null. Only the fields present are checked.
+    checkAccount(fields, staff = [], accountId = null) {
+        if ('username' in fields) {
+            const username = this.normalizeUsername(fields.username);
+            if (!USERNAME_PATTERN.test(username)) return { field: 'username', reason: 'invalid' };
+            if (staff.some(account => account.username === username && account.id !== accountId)) {
+                return { field: 'username', reason: 'taken' };
+            }
+        }
+        if ('name' in fields && (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 80)) {
+            return { field: 'name', reason: 'invalid' };
+        }
+        if ('role' in fields && !this.roles.includes(fields.role)) {
+            return { field: 'role', reason: 'invalid' };
+        }
+        if ('password' in fields && (typeof fields.password !== 'string' || fields.password.length < MIN_PASSWORD_LENGTH)) {
+            return { field: 'password', reason: 'invalid' };
+        }
+        return null;
+    }
+
+    // Staff management may never leave the platform without an active admin
+    keepsAnAdmin(staff, accountId, changes) {
+        return staff.some(account => {
+            const updated = account.id === accountId ? { ...account, ...changes } : account;
+            return updated.role === 'admin' && updated.active !== false;
+        });
+    }
+
+    // user is the acting staff account, or null for events without one (a failed login).
+    // target: { type: 'report' | 'aspiration' | 'staff' | 'data', id, label }
+    createAuditEntry(user, action, target = null, details = null) {
+        return {
+            timestamp: new Date().toISOString(),
+            userId: user ? user.id : null,
+            username: user ? user.username : null,
+            role: user ? user.role : null,
+            action: action,
+            target: target,
+            details: details
+        };
+    }
+
+    isRepeatedView(log, user, target, now = Date.now()) {
+        return log.some(entry => entry.action === 'case.view' &&
+            entry.userId === user.id &&
+            entry.target && entry.target.id === target.id &&
+            now - new Date(entry.timestamp).getTime() < VIEW_LOG_WINDOW);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AccessControl };
+}
@@ -0,0 +1,93 @@
+// Backup, restore and CSV export of case records. Loaded by admin.html and required by
+// server/server.js, so an import is checked by the same rules (schema.js) in the browser, to
+// show the counselor what is wrong with a file, and on the server, which has the final say.
+
+class RecordArchive {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    // Backups made under an older schema version are upgraded before anything else looks at them
+    read(data) {
+        return this.schema.migrate(data);
+    }
+
+    // Returns a list of problems as { collection, index, field }; see DataSchema.validate()
+    validate(data) {
+        return this.schema.validate(data);
+    }
+
+    // 'replace' swaps in the imported records; 'merge' adds new ones and, for records that exist
+    // on both sides, keeps whichever copy was changed last. Settings (admin password, team key)
+    // always stay as they are, so a restore can never lock the counselors out.
+    apply(current, incoming, mode) {
+        const result = { ...current };
+        const summary = { added: 0, updated: 0, skipped: 0 };
+
+        Object.keys(this.schema.schemas).forEach(collection => {
+            if (mode === 'replace') {
+                result[collection] = incoming[collection].slice();
+                summary.added += incoming[collection].length;
+                return;
+            }
+
+            const records = current[collection].slice();
+            const positions = new Map(records.map((record, index) => [record.id, index]));
+            const trackingCodes = new Map(records.filter(record => record.trackingCode).map(record => [record.trackingCode, record.id]));
+
+            incoming[collection].forEach(record => {
+                const owner = trackingCodes.get(record.trackingCode);
+                if (record.trackingCode && owner && owner !== record.id) {
+                    // Two reports can't answer to the same tracking code
+                    summary.skipped++;
+                } else if (!positions.has(record.id)) {
+                    positions.set(record.id, records.push(record) - 1);
+                    if (record.trackingCode) trackingCodes.set(record.trackingCode, record.id);
+                    summary.added++;
+                } else if (this.lastChange(record) > this.lastChange(records[positions.get(record.id)])) {
+                    records[positions.get(record.id)] = record;
+                    summary.updated++;
+                } else {
+                    summary.skipped++;
+                }
+            });
+            result[collection] = records;
+        });
+
+        return { data: result, summary: summary };
+    }
+
+    lastChange(record) {
+        return new Date(record.updatedAt || record.timestamp).getTime() || 0;
+    }
+
+    // from/to are yyyy-mm-dd dates from an <input type="date">, both inclusive
+    filter(records, { from, to, status } = {}) {
+        const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+        return records.filter(record => {
+            const time = new Date(record.timestamp).getTime();
+            return time >= start && time <= end && (!status || record.status === status);
+        });
+    }
+
+    // columns: [[header, record => value], ...]
+    toCsv(records, columns) {
+        const rows = [columns.map(([header]) => header)]
+            .concat(records.map(record => columns.map(([, valueOf]) => valueOf(record))));
+        // The BOM makes spreadsheet programs read the file as UTF-8
+        return '\uFEFF' + rows.map(row => row.map(value => this.csvCell(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    csvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Student-written text must not be run as a spreadsheet formula
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RecordArchive };
+}
@@ -0,0 +1,176 @@
+// Related-report detection and grouping of reports into cases. Loaded by every page
+// (LocalStorageAdapter links reports itself when there is no server; the dashboard compares
+// descriptions after decrypting them, which the server can't) and required by server/server.js,
+// so both stores link and merge reports by the same rules.
+//
+// A case is the set of reports that share report.caseId, the id of its lead report. Reports
+// merged as duplicates also carry mergedInto (the lead's id): they leave the queue and their
+// status follows the lead, so a witness checking their own tracking code still sees the case
+// move. Linked reports are related but handled on their own.
+
+const CASE_LINK_MODES = ['merge', 'link'];
+const SIMILARITY_WEIGHTS = { text: 0.5, platform: 0.2, time: 0.2, type: 0.1 };
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+// Words that say nothing about which incident a description is about
+const CASE_STOP_WORDS = new Set([
+    'yang', 'dan', 'di', 'ke', 'dari', 'ini', 'itu', 'aku', 'saya', 'kamu', 'dia', 'mereka', 'kami', 'kita',
+    'ada', 'tidak', 'gak', 'nggak', 'sudah', 'udah', 'juga', 'karena', 'untuk', 'dengan', 'sama', 'tapi',
+    'lalu', 'terus', 'jadi', 'kalau', 'kayak', 'banget', 'sekali', 'lagi', 'aja', 'saja', 'bilang', 'kata',
+    'the', 'and', 'that', 'this', 'with', 'for', 'was', 'they', 'she', 'him', 'her'
+]);
+
+class CaseLinker {
+    constructor(options = {}) {
+        this.weights = options.weights || SIMILARITY_WEIGHTS;
+        // Reports further apart than this are never suggested; within closeWindow time counts fully
+        this.window = options.window || 14 * DAY_IN_MS;
+        this.closeWindow = options.closeWindow || 2 * DAY_IN_MS;
+        this.threshold = options.threshold || 0.5;
+    }
+
+    // How alike two reports are (0-1) and the signals behind it. The texts are the readable
+    // descriptions; an encrypted one that can't be opened is null and adds nothing.
+    similarity(a, b, textA = null, textB = null) {
+        const signals = {
+            platform: a.platform === b.platform &&
+                (a.platform !== 'other' || String(a.platformOther || '').toLowerCase() === String(b.platformOther || '').toLowerCase()) ? 1 : 0,
+            time: this.timeScore(a, b),
+            type: a.type === b.type && a.type !== 'other' ? 1 : 0,
+            text: textA && textB ? this.textScore(textA, textB) : 0
+        };
+
+        const score = Object.entries(signals).reduce((sum, [signal, value]) => sum + this.weights[signal] * value, 0);
+        return {
+            score: Math.round(score * 100) / 100,
+            reasons: Object.keys(signals).filter(signal => signals[signal] >= (signal === 'text' ? 0.2 : 0.5))
+        };
+    }
+
+    timeScore(a, b) {
+        const apart = Math.abs(new Date(a.timestamp) - new Date(b.timestamp));
+        if (isNaN(apart) || apart > this.window) return 0;
+        if (apart <= this.closeWindow) return 1;
+        return 1 - (apart - this.closeWindow) / (this.window - this.closeWindow);
+    }
+
+    // Cosine similarity of the word counts. The same account name, phone number or link in both
+    // descriptions points at one incident even when the rest is told differently.
+    textScore(textA, textB) {
+        const a = this.terms(textA);
+        const b = this.terms(textB);
+        if (this.identifiers(textA).some(id => this.identifiers(textB).includes(id))) return Math.max(0.8, this.cosine(a, b));
+        return this.cosine(a, b);
+    }
+
+    terms(text) {
+        const counts = new Map();
+        String(text).toLowerCase()
+            .replace(/(.)\1{2,}/g, '$1')
+            .split(/[^a-z0-9@]+/)
+            .filter(word => word.length >= 3 && !CASE_STOP_WORDS.has(word))
+            .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        return counts;
+    }
+
+    identifiers(text) {
+        const source = String(text).toLowerCase();
+        return [
+            ...(source.match(/@[a-z0-9._]{3,}/g) || []),
+            ...(source.replace(/[\s-]/g, '').match(/(\+?62|0)8\d{7,11}/g) || []).map(number => number.replace(/^(\+?62|0)/, '')),
+            ...(source.match(/https?:\/\/\S+/g) || [])
+        ];
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        a.forEach((count, word) => { dot += count * (b.get(word) || 0); });
+        const norm = counts => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+        return dot === 0 ? 0 : dot / (norm(a) * norm(b));
+    }
+
+    isNearby(a, b) {
+        return Math.abs(new Date(a.timestamp) - new Date(b.timestamp)) <= this.window;
+    }
+
+    inSameCase(a, b) {
+        return a.id === b.id || (Boolean(a.caseId) && a.caseId === b.caseId);
+    }
+
+    // Reports worth comparing with `report`: close enough in time and not already in its case
+    candidates(report, reports) {
+        return reports.filter(other => !this.inSameCase(report, other) && this.isNearby(report, other));
+    }
+
+    // texts: Map of report id -> readable description. Best matches first.
+    findRelated(report, reports, texts = new Map()) {
+        return this.candidates(report, reports)
+            .map(other => ({ report: other, ...this.similarity(report, other, texts.get(report.id), texts.get(other.id)) }))
+            .filter(match => match.score >= this.threshold)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // The reports of a case, lead first
+    members(reports, caseId) {
+        if (!caseId) return [];
+        return reports.filter(report => report.caseId === caseId)
+            .sort((a, b) => (b.id === caseId) - (a.id === caseId) || new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    // Merged duplicates whose status moves with this report
+    followersOf(reports, report) {
+        return reports.filter(other => other.mergedInto === report.id);
+    }
+
+    // Returns why reportId can't join the case of leadId, or null
+    checkLink(reports, leadId, reportId, mode) {
+        if (!CASE_LINK_MODES.includes(mode)) return 'mode';
+        const lead = reports.find(report => report.id === leadId);
+        const other = reports.find(report => report.id === reportId);
+        if (!lead || !other) return 'not-found';
+        if (this.inSameCase(lead, other)) return 'same-case';
+        return null;
+    }
+
+    // [report, changes] pairs that put reportId (and any case it already belongs to) into the
+    // case of leadId. A merged duplicate takes over the lead's status.
+    linkChanges(reports, leadId, reportId, mode) {
+        const lead = reports.find(report => report.id === leadId);
+        const other = reports.find(report => report.id === reportId);
+        const caseId = lead.caseId || lead.id;
+        const caseLead = reports.find(report => report.id === caseId) || lead;
+        const moving = other.caseId ? reports.filter(report => report.caseId === other.caseId) : [other];
+
+        const changes = lead.caseId ? [] : [[lead, { caseId: caseId }]];
+        moving.forEach(report => {
+            const merged = report === other ? mode === 'merge' : Boolean(report.mergedInto);
+            changes.push([report, merged
+                ? { caseId: caseId, mergedInto: caseId, status: caseLead.status }
+                : { caseId: caseId, mergedInto: null }]);
+        });
+        return changes;
+    }
+
+    checkUnlink(reports, reportId) {
+        const report = reports.find(r => r.id === reportId);
+        if (!report) return 'not-found';
+        if (!report.caseId) return 'not-linked';
+        // Who else would lead the case is the counselor's call: remove the others first
+        if (report.id === report.caseId && this.members(reports, report.caseId).length > 1) return 'lead';
+        return null;
+    }
+
+    unlinkChanges(reports, reportId) {
+        const report = reports.find(r => r.id === reportId);
+        const remaining = this.members(reports, report.caseId).filter(member => member !== report);
+        const changes = [[report, { caseId: null, mergedInto: null }]];
+        // A case of one is no case
+        if (remaining.length === 1) {
+            changes.push([remaining[0], { caseId: null, mergedInto: null }]);
+        }
+        return changes;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CaseLinker };
+}
@@ -0,0 +1,261 @@
+// Offline analysis of a report description while the student types it: suggests a report type and
+// an urgency, and spots self-harm language so the form can show support right away. Runs in the
+// browser only, so nothing is sent anywhere before the student submits, and it only ever
+// suggests: the student keeps the final choice.
+//
+// Matching works on normalised words (lowercase, leetspeak undone, stretched letters collapsed,
+// common chat spellings mapped to one form) and tries each word's Indonesian stem as well, so
+// 'disebarin', 'nyebarin' and 'penyebaran' all match the lexicon entry 'sebar'.
+
+const CLASSIFIER_SLANG = {
+    tidak: ['gak', 'ga', 'gk', 'g', 'nggak', 'ngga', 'enggak', 'engga', 'tak', 'tdk', 'ndak'],
+    aku: ['gw', 'gue', 'gua', 'aq', 'ak', 'sy', 'saya'],
+    kamu: ['lo', 'lu', 'loe', 'elo', 'elu', 'km', 'kmu'],
+    ingin: ['mau', 'mo', 'pengen', 'pgn', 'pingin', 'kepengen', 'kepingin'],
+    lelah: ['capek', 'cape', 'capai', 'capek2'],
+    saja: ['aja', 'aj', 'doang'],
+    sudah: ['udah', 'udh', 'sdh', 'dah'],
+    yang: ['yg'],
+    dengan: ['dgn', 'sama', 'sm'],
+    orang: ['org'],
+    hari: ['hr'],
+    setiap: ['tiap'],
+    telepon: ['telp', 'tlp', 'telpon', 'nelpon'],
+    hp: ['handphone', 'hape'],
+    whatsapp: ['wa', 'wassap'],
+    anjing: ['anjg', 'ajg', 'anjink', 'njing'],
+    goblok: ['gblk', 'goblog'],
+    bangsat: ['bngst', 'bgst'],
+    tolol: ['tll'],
+    bego: ['bgo'],
+    hina: ['ngatain', 'ngatai', 'dikatain', 'dikatai', 'ngata2in'],
+    ancam: ['ancem', 'ngancem', 'diancem'],
+    samperin: ['nyamperin', 'disamperin'],
+    foto: ['poto', 'pict', 'pic']
+};
+
+// Weights add up per category; terms with spaces are matched as consecutive words
+const CLASSIFIER_LEXICON = {
+    cyberbullying: {
+        bodoh: 1, goblok: 1, tolol: 1, bego: 1, idiot: 1, anjing: 0.8, bangsat: 0.8, babi: 0.8,
+        jelek: 1, gendut: 1, gembrot: 1, culun: 0.8, cupu: 0.8, sampah: 0.8, pecundang: 1, bacot: 0.6,
+        hina: 1.2, ejek: 1.2, olok: 1.2, permalu: 1.2, tertawa: 0.6, bully: 1.5, bullying: 1.5, rundung: 1.5,
+        kucil: 1.5, 'tidak diajak': 1, 'keluar dari grup': 1.2, 'kick dari grup': 1.2, 'akun palsu': 1.5,
+        'fake account': 1.5, 'edit foto': 1, meme: 0.6, viral: 0.5, stupid: 1, ugly: 1, loser: 1,
+        'kill yourself': 1, kys: 1
+    },
+    harassment: {
+        leceh: 2, mesum: 1.5, cabul: 1.5, bugil: 1.5, telanjang: 1.5, nude: 1.5, nudes: 1.5, sange: 1.5,
+        ngewe: 1.5, vcs: 1.5, 'video call sex': 1.5, 'minta foto': 1, 'kirim foto': 0.8, goda: 0.8,
+        ancam: 1.5, teror: 1.5, kuntit: 1.5, stalk: 1.5, stalker: 1.5, stalking: 1.5, paksa: 1,
+        peras: 1.5, sextortion: 2, 'chat terus': 0.6, spam: 0.5, hajar: 0.8, pukul: 0.8, gebuk: 0.8,
+        samperin: 0.6, cegat: 0.8, harass: 1.5, harassment: 1.5
+    },
+    'hate-speech': {
+        rasis: 2, racist: 2, sara: 1.5, kafir: 2, aseng: 1.5, ireng: 1.5, negro: 2, cina: 0.8, china: 0.8,
+        pribumi: 0.8, agama: 0.7, suku: 0.7, ras: 0.7, etnis: 0.7, banci: 1, bencong: 1, homo: 1,
+        cacat: 1, autis: 1, teroris: 1, monyet: 0.5, 'hate speech': 2
+    },
+    doxxing: {
+        dox: 2, doxing: 2, doxxing: 2, 'data pribadi': 2, 'alamat rumah': 2, alamat: 1, lokasi: 1,
+        sharelok: 1.5, 'share loc': 1.5, 'nomor hp': 2, 'nomor telepon': 2, 'nomor whatsapp': 2,
+        'no hp': 2, 'no telepon': 2, 'no whatsapp': 2, nik: 1.5, ktp: 1.5, 'foto pribadi': 1.5,
+        sebar: 1, bocor: 1, password: 1, hack: 1, retas: 1
+    }
+};
+
+// Any of these is enough to show support; negation is deliberately not applied to them
+const CLASSIFIER_SELF_HARM = {
+    'bunuh diri': 2, 'ingin mati': 2, 'lebih baik mati': 2, 'mending mati': 2, 'tidak ingin hidup': 2,
+    'lelah hidup': 2, 'akhir hidup': 2, 'sakit diri': 2, 'luka diri': 2, 'gantung diri': 2,
+    'minum racun': 2, sayat: 1, 'self harm': 2, selfharm: 2, 'kill myself': 2, suicide: 2,
+    'end my life': 2, 'want to die': 2, 'hurt myself': 2, 'cut myself': 2, overdosis: 1,
+    'tidak kuat lagi': 0.5, 'putus asa': 0.5, 'tidak ada guna': 0.5, 'tidak ada yang peduli': 0.5
+};
+
+// Signals that a case is more urgent than it may look, with the level each one suggests
+const CLASSIFIER_URGENCY = {
+    threat: {
+        level: 'high',
+        terms: ['bunuh kamu', 'bunuh aku', 'ancam bunuh', 'hajar', 'pukul', 'gebuk', 'cegat', 'samperin',
+            'tunggu di', 'datang ke rumah', 'kill yourself', 'kys', 'peras', 'sextortion']
+    },
+    exposure: {
+        level: 'high',
+        terms: ['sebar foto', 'foto bugil', 'alamat rumah', 'data pribadi', 'foto pribadi', 'sharelok', 'share loc']
+    },
+    repeated: {
+        level: 'medium',
+        terms: ['setiap hari', 'terus terus', 'terus menerus', 'berkali kali', 'sudah lama', 'berminggu minggu',
+            'berbulan bulan', 'satu sekolah', 'banyak orang', 'viral']
+    },
+    fear: {
+        level: 'medium',
+        terms: ['takut', 'tidak berani', 'tidak aman', 'trauma']
+    }
+};
+
+const CLASSIFIER_NEGATIONS = ['tidak', 'bukan', 'jangan', 'belum', 'not', 'never', 'dont'];
+const CLASSIFIER_PREFIXES = ['meng', 'meny', 'mem', 'men', 'me', 'peng', 'peny', 'pem', 'pen', 'per', 'pe', 'di', 'ter', 'ber', 'ke', 'nge', 'ng', 'ny'];
+const CLASSIFIER_SUFFIXES = ['nya', 'ku', 'mu', 'lah', 'kah', 'kan', 'in', 'an', 'i'];
+const CLASSIFIER_LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+const CLASSIFIER_PHONE_PATTERN = /(\+?62|0)8\d{7,11}/;
+const URGENCY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+class TextClassifier {
+    constructor(options = {}) {
+        this.lexicon = options.lexicon || CLASSIFIER_LEXICON;
+        this.selfHarm = options.selfHarm || CLASSIFIER_SELF_HARM;
+        this.urgency = options.urgency || CLASSIFIER_URGENCY;
+        this.minConfidence = options.minConfidence || 0.6;
+        this.minLength = options.minLength || 20;
+        this.slang = new Map();
+        Object.entries(options.slang || CLASSIFIER_SLANG).forEach(([word, spellings]) => {
+            spellings.forEach(spelling => this.slang.set(spelling, word));
+        });
+    }
+
+    // Returns { type, confidence, scores, urgency, reasons, selfHarm, matches }. type and urgency
+    // are null when the description says too little to suggest anything.
+    analyze(text) {
+        const source = String(text || '');
+        const result = { type: null, confidence: 0, scores: {}, urgency: null, reasons: [], selfHarm: false, matches: [] };
+        const words = this.tokenize(source);
+
+        // Checked at any length: "aku mau mati" is short and says everything
+        const selfHarm = this.findTerms(words, this.selfHarm, false);
+        result.selfHarm = selfHarm.reduce((sum, match) => sum + match.weight, 0) >= 1;
+        if (result.selfHarm) {
+            selfHarm.forEach(match => result.matches.push({ category: 'self-harm', term: match.term, text: match.text }));
+        }
+
+        if (source.trim().length < this.minLength) {
+            if (result.selfHarm) {
+                result.urgency = 'critical';
+                result.reasons.push('self-harm');
+            }
+            return result;
+        }
+
+        Object.entries(this.lexicon).forEach(([category, terms]) => {
+            const found = this.findTerms(words, terms, true);
+            // A phone number typed into the description is itself personal data
+            if (category === 'doxxing' && !found.some(match => match.term === 'nomor telepon') && CLASSIFIER_PHONE_PATTERN.test(source.replace(/[\s-]/g, ''))) {
+                found.push({ term: 'nomor telepon', weight: 2, text: 'nomor telepon' });
+            }
+            const score = found.reduce((sum, match) => sum + match.weight, 0);
+            result.scores[category] = this.toConfidence(score);
+            found.forEach(match => result.matches.push({ category: category, term: match.term, text: match.text }));
+        });
+
+        const [best, runnerUp] = Object.entries(result.scores).sort((a, b) => b[1] - a[1]);
+        // A close second means the description fits two types; the student knows better
+        if (best && best[1] >= this.minConfidence && (!runnerUp || best[1] - runnerUp[1] >= 0.15)) {
+            result.type = best[0];
+            result.confidence = best[1];
+        }
+
+        this.suggestUrgency(words, result);
+        return result;
+    }
+
+    suggestUrgency(words, result) {
+        const levels = [];
+        if (result.selfHarm) {
+            levels.push('critical');
+            result.reasons.push('self-harm');
+        }
+        Object.entries(this.urgency).forEach(([reason, signal]) => {
+            const terms = Object.fromEntries(signal.terms.map(term => [term, 1]));
+            if (this.findTerms(words, terms, true).length > 0) {
+                levels.push(signal.level);
+                result.reasons.push(reason);
+            }
+        });
+        if (result.type && result.type !== 'cyberbullying') {
+            levels.push('medium');
+        }
+        result.urgency = levels.reduce((highest, level) => URGENCY_ORDER.indexOf(level) > URGENCY_ORDER.indexOf(highest) ? level : highest, null);
+    }
+
+    // 1 - e^-score: one strong term is ~0.86, a weak one alone stays under the threshold
+    toConfidence(score) {
+        return Math.round((1 - Math.exp(-score)) * 100) / 100;
+    }
+
+    // Words as { text, forms } where forms is every spelling a lexicon term may match
+    tokenize(text) {
+        return text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[\s\-_/.,;:!?()"'“”‘’]+/)
+            .filter(Boolean)
+            .map(raw => ({ text: raw, forms: this.formsOf(raw) }))
+            .filter(word => word.forms.size > 0);
+    }
+
+    formsOf(raw) {
+        let word = raw.replace(/([a-z])2$/, '$1'); // teman2 -> teman
+        if (/[a-z]/.test(word)) {
+            word = word.replace(/[0-9@$]/g, char => CLASSIFIER_LEET[char] || char);
+        }
+        word = word.replace(/[^a-z0-9]/g, '');
+        if (!word) return new Set();
+
+        const forms = new Set();
+        [word, word.replace(/(.)\1{2,}/g, '$1'), word.replace(/(.)\1+/g, '$1')].forEach(spelling => {
+            const mapped = this.slang.get(spelling) || spelling;
+            forms.add(mapped);
+            this.stemsOf(mapped).forEach(stem => forms.add(stem));
+        });
+        return forms;
+    }
+
+    // Light Indonesian stemming: one suffix and one prefix, trying every split, with the first
+    // letter that meN-/peN- swallow put back (menyebar -> sebar, mengancam -> ancam, memaksa -> paksa)
+    stemsOf(word) {
+        const stems = [];
+        const withoutSuffix = [word];
+        CLASSIFIER_SUFFIXES.forEach(suffix => {
+            if (word.endsWith(suffix) && word.length - suffix.length >= 4) withoutSuffix.push(word.slice(0, -suffix.length));
+        });
+
+        withoutSuffix.forEach(base => {
+            if (base !== word) stems.push(base);
+            CLASSIFIER_PREFIXES.forEach(prefix => {
+                if (!base.startsWith(prefix) || base.length - prefix.length < 4) return;
+                const rest = base.slice(prefix.length);
+                stems.push(rest);
+                if (/^[aeiou]/.test(rest)) {
+                    if (/(ng|ny)$/.test(prefix)) stems.push((prefix.endsWith('ny') ? 's' : 'k') + rest);
+                    if (/(men|pen)$/.test(prefix)) stems.push('t' + rest);
+                    if (/(mem|pem)$/.test(prefix)) stems.push('p' + rest);
+                }
+            });
+        });
+        return stems;
+    }
+
+    // Each term counts once, however often it appears. With `negatable`, a word like 'tidak' just
+    // before the match cancels it ('tidak dihina' is not an insult).
+    findTerms(words, terms, negatable) {
+        const found = [];
+        Object.entries(terms).forEach(([term, weight]) => {
+            const parts = term.split(' ');
+            for (let i = 0; i + parts.length <= words.length; i++) {
+                if (!parts.every((part, j) => words[i + j].forms.has(part))) continue;
+                const before = words.slice(Math.max(0, i - 2), i);
+                if (negatable && !CLASSIFIER_NEGATIONS.includes(parts[0]) && before.some(word => CLASSIFIER_NEGATIONS.some(negation => word.forms.has(negation)))) continue;
+
+                found.push({ term: term, weight: weight, text: words.slice(i, i + parts.length).map(word => word.text).join(' ') });
+                return;
+            }
+        });
+        return found;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TextClassifier };
+}
@@ -0,0 +1,9 @@
+// Deployment settings read by script.js before the platform starts.
+// storage: 'local' keeps everything in this browser's localStorage (demo mode),
+// 'http' sends reports to the API at apiBaseUrl (see server/server.js).
+// quickExitUrl is the neutral site the "Keluar Cepat" button and Esc-twice open in place of the page.
+window.PLATFORM_CONFIG = {
+    storage: 'local',
+    apiBaseUrl: '/api',
+    quickExitUrl: 'https://www.google.com/'
+};
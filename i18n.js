@@ -0,0 +1,110 @@
+// Translation layer shared by all pages. Indonesian is the source language: every user-facing
+// string in the HTML and in script.js doubles as its own message key, so anything missing from a
+// catalog simply stays Indonesian. Catalogs for other languages live in lang/ and register
+// themselves through I18n.addCatalog(). The chosen language is saved by script.js, through
+// DataStorage, and handed to init() on the next page load.
+
+const LANGUAGES = {
+    id: { label: 'Bahasa Indonesia', locale: 'id-ID' },
+    en: { label: 'English', locale: 'en-GB' }
+};
+
+const I18N_CATALOGS = {};
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
+
+class I18n {
+    constructor() {
+        this.language = 'id';
+        this.bindings = null;
+    }
+
+    static addCatalog(language, messages) {
+        I18N_CATALOGS[language] = { ...I18N_CATALOGS[language], ...messages };
+    }
+
+    get locale() {
+        return LANGUAGES[this.language].locale;
+    }
+
+    // t('Minimal {n} karakter', { n: 8 }) -> 'Minimal 8 karakter' or 'At least 8 characters'
+    t(message, params = {}) {
+        if (message === undefined || message === null) return '';
+        const template = (I18N_CATALOGS[this.language] || {})[message] || message;
+        return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+    }
+
+    init(language) {
+        if (LANGUAGES[language]) {
+            this.language = language;
+        }
+        document.querySelectorAll('.language-switcher [data-lang]').forEach(button => {
+            button.addEventListener('click', () => this.setLanguage(button.dataset.lang));
+        });
+        this.translatePage();
+    }
+
+    setLanguage(language) {
+        if (!LANGUAGES[language] || language === this.language) return;
+        this.language = language;
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { language: language } }));
+    }
+
+    translatePage() {
+        // Static text is collected once, before script.js renders anything, so user content
+        // that happens to match a message key is never touched
+        if (!this.bindings) {
+            this.bindings = this.collectBindings(document.documentElement);
+        }
+        this.bindings.forEach(binding => binding.apply());
+
+        // Labels rendered by script.js (select options built from the constants) carry their key
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        document.documentElement.lang = this.language;
+        document.querySelectorAll('.language-switcher [data-lang]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.lang === this.language));
+        });
+    }
+
+    // Pages loaded later by the router (script.js) bring static text of their own. Register them
+    // before script.js renders into them, for the same reason as in translatePage().
+    register(root) {
+        const bindings = this.collectBindings(root);
+        bindings.forEach(binding => binding.apply());
+        this.bindings.push(...bindings);
+    }
+
+    collectBindings(root) {
+        const keys = new Set(Object.values(I18N_CATALOGS).flatMap(catalog => Object.keys(catalog)));
+        const normalize = text => text.replace(/\s+/g, ' ').trim();
+        const bindings = [];
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            if (['SCRIPT', 'STYLE'].includes(node.parentNode.nodeName)) continue;
+            const source = normalize(node.textContent);
+            if (!keys.has(source)) continue;
+
+            const textNode = node;
+            const [, before, after] = textNode.textContent.match(/^(\s*)[\s\S]*?(\s*)$/);
+            bindings.push({ apply: () => { textNode.textContent = `${before}${this.t(source)}${after}`; } });
+        }
+
+        I18N_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[${attribute}]`).forEach(element => {
+                const source = normalize(element.getAttribute(attribute));
+                if (!keys.has(source)) return;
+                bindings.push({ apply: () => element.setAttribute(attribute, this.t(source)) });
+            });
+        });
+
+        return bindings;
+    }
+}
+
+const i18n = new I18n();
+const t = (message, params) => i18n.t(message, params);
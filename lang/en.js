@@ -0,0 +1,621 @@
+// English catalog. Keys are the Indonesian source strings used in the pages and in script.js;
+// names, brands and phone numbers are left out on purpose and fall back to the source text.
+
+I18n.addCatalog('en', {
+    // Navigation, footer and shared page chrome
+    'Beranda': 'Home',
+    'Laporkan': 'Report',
+    'Cek Status': 'Check Status',
+    'Aspirasi': 'Suggestions',
+    'Pencegahan': 'Prevention',
+    'Tentang': 'About',
+    'Bahasa': 'Language',
+    'Menu navigasi': 'Navigation menu',
+    'Keluar Cepat': 'Quick Exit',
+    'Tekan Esc dua kali untuk keluar cepat': 'Press Esc twice to leave quickly',
+    'Logo SMAN 34 Jakarta': 'SMAN 34 Jakarta logo',
+    'Platform khusus siswa SMA Negeri 34 Jakarta untuk melawan cyberbullying dan menciptakan lingkungan digital yang aman.': 'A platform for SMA Negeri 34 Jakarta students to fight cyberbullying and build a safe digital environment.',
+    'Kontak Darurat': 'Emergency Contacts',
+    'Jam Operasional': 'Opening Hours',
+    'Respon Tim: 07:00 - 21:00': 'Team response: 07:00 - 21:00',
+    'Darurat: Segera': 'Emergencies: immediately',
+    '© 2025 SMA Negeri 34 Jakarta. Dibuat dengan ❤️ by Kelompok 3 (Nicholas, Alika, Kadafi, Rienda, dan Jasmine) untuk siswa yang lebih aman di dunia digital.': '© 2025 SMA Negeri 34 Jakarta. Made with ❤️ by Group 3 (Nicholas, Alika, Kadafi, Rienda and Jasmine) for students who are safer online.',
+    'Berhasil Dikirim!': 'Sent Successfully!',
+    'Laporan Anda telah berhasil dikirim. Tim kami akan segera menindaklanjuti.': 'Your report has been sent. Our team will follow up shortly.',
+    'Aspirasi Anda telah berhasil dikirim.': 'Your suggestion has been sent.',
+    'Tutup': 'Close',
+
+    // Home page
+    'Stop Cyberbullying - SMA Negeri 34 Jakarta': 'Stop Cyberbullying - SMA Negeri 34 Jakarta',
+    'Bersama Melawan Cyberbullying': 'Standing Together Against Cyberbullying',
+    'Platform khusus siswa SMA Negeri 34 Jakarta untuk melaporkan kasus cyberbullying, menyampaikan aspirasi, dan belajar cara mencegah cyberbullying.': 'A platform for SMA Negeri 34 Jakarta students to report cyberbullying, share suggestions and learn how to prevent it.',
+    'Laporkan Sekarang': 'Report Now',
+    'Pelajari Pencegahan': 'Learn Prevention',
+    'SMA Negeri 34 Jakarta - Bersama Menciptakan Lingkungan Digital yang Aman': 'SMA Negeri 34 Jakarta - Building a Safe Digital Environment Together',
+    'Laporan Diterima': 'Reports Received',
+    'Kasus Terselesaikan': 'Cases Resolved',
+    'Aspirasi Terkumpul': 'Suggestions Collected',
+    'Laporan Terenkripsi': 'Encrypted Reports',
+    'Tren & Statistik': 'Trends & Statistics',
+    'Ringkasan gabungan dari laporan dan aspirasi yang masuk. Angka di bawah 5 disamarkan, begitu juga angka lain yang bisa dipakai untuk menghitungnya, agar tidak ada kasus yang bisa dikenali.': 'An aggregated summary of incoming reports and suggestions. Numbers below 5 are masked, along with any other number that could be used to work them out, so that no individual case can be recognised.',
+    'Rata-rata waktu penyelesaian kasus:': 'Average time to resolve a case:',
+    'hari': 'days',
+    'Periode tren': 'Trend period',
+    'Laporan per Minggu': 'Reports per Week',
+    'Laporan per Bulan': 'Reports per Month',
+    'Mingguan': 'Weekly',
+    'Bulanan': 'Monthly',
+    'Minggu {date}': 'Week of {date}',
+    'Jenis Laporan': 'Report Type',
+    'Tingkat Urgensi': 'Urgency Level',
+    'Kategori Aspirasi': 'Suggestion Category',
+    'Diperbarui {time}': 'Updated {time}',
+    'Belum ada data.': 'No data yet.',
+    'Disamarkan untuk melindungi kerahasiaan': 'Masked to protect confidentiality',
+    'disamarkan': 'masked',
+    'Kategori yang disamarkan': 'Masked categories',
+
+    // Report page
+    'Laporkan Kasus - Stop Cyberbullying': 'Report a Case - Stop Cyberbullying',
+    'Laporkan Kasus Cyberbullying': 'Report a Cyberbullying Case',
+    'Laporkan secara anonim dan aman. Identitas Anda akan dijaga kerahasiaannya.': 'Report anonymously and safely. Your identity will be kept confidential.',
+    '100% Anonim': '100% Anonymous',
+    'Identitas Anda tidak akan diungkapkan kepada siapapun': 'Your identity will not be revealed to anyone',
+    'Respon Cepat': 'Fast Response',
+    'Tim kami akan merespon dalam 24 jam': 'Our team will respond within 24 hours',
+    'Data Aman': 'Secure Data',
+    'Semua data dienkripsi dan tersimpan aman': 'All data is encrypted and stored securely',
+    'Privasi Perangkat': 'Device Privacy',
+    'Perangkat bersama: jangan simpan draf, kiriman tertunda, atau kode dan PIN laporan di perangkat ini': 'Shared device: keep no drafts, pending submissions or report codes and PINs on this device',
+    'Hapus draf, kode dan PIN laporan, dan riwayat halaman platform ini saat Keluar Cepat': 'Delete drafts, report codes and PINs, and this platform\'s page history on Quick Exit',
+    'Platform ini berjalan tanpa server sekolah, jadi laporan yang sudah dikirim beserta buktinya tersimpan di browser ini.': 'This platform runs without the school server, so sent reports and their evidence are stored in this browser.',
+    '{count} kiriman yang menunggu koneksi tetap tersimpan sampai terkirim.': '{count} submission(s) waiting for a connection stay stored until they are sent.',
+    'Selama mode ini aktif, laporan tidak disimpan untuk dikirim nanti saat offline.': 'While this mode is on, reports are not stored to be sent later when offline.',
+    'Tombol Keluar Cepat atau Esc dua kali langsung membuka situs lain. Riwayat dari sebelum pilihan ini dinyalakan tetap ada; hapus lewat menu browser atau gunakan jendela penyamaran.': 'The Quick Exit button or pressing Esc twice opens another site straight away. History from before these options were turned on stays; clear it from the browser menu or use a private window.',
+    'Mode perangkat bersama aktif. Draf yang tersimpan sudah dihapus.': 'Shared device mode is on. Saved drafts have been deleted.',
+    'Mode perangkat bersama dimatikan.': 'Shared device mode is off.',
+    'Langkah pelaporan': 'Report steps',
+    'Kejadian': 'Incident',
+    'Tempat': 'Place',
+    'Bukti': 'Evidence',
+    'Urgensi': 'Urgency',
+    'Periksa': 'Review',
+    'Draf laporan Anda dipulihkan dari langkah terakhir.': 'Your draft report was restored at the last step.',
+    'Mulai dari awal': 'Start over',
+    'Apa yang terjadi?': 'What happened?',
+    'Pilih jenis laporan': 'Choose a report type',
+    'Deskripsi Kejadian': 'Incident Description',
+    'Ceritakan kejadian yang Anda alami atau saksikan...': 'Describe what you experienced or witnessed...',
+    'Kamu tidak harus menghadapinya sendiri': 'You don\'t have to face this alone',
+    'Sepertinya kamu sedang melalui masa yang sangat berat. Jika kamu berpikir untuk menyakiti diri sendiri, ceritakan sekarang kepada orang yang kamu percaya atau hubungi:': 'It sounds like you are going through a very hard time. If you are thinking about hurting yourself, talk to someone you trust right now or contact:',
+    'Kamu tetap bisa melanjutkan laporan ini. Dengan urgensi Kritis, Guru BK akan menanganinya paling awal.': 'You can still carry on with this report. With Critical urgency, the counselors will handle it first.',
+    'Dari ceritamu, laporan ini tampaknya termasuk {label}.': 'From your description, this report looks like {label}.',
+    'Berdasarkan kata: {words}. Kamu tetap bebas memilih jenis lain.': 'Based on the words: {words}. You are still free to choose another type.',
+    'Ceritamu menyebut {reasons}. Pertimbangkan urgensi {label}.': 'Your description mentions {reasons}. Consider {label} urgency.',
+    'Urgensi yang lebih tinggi membuat Guru BK menangani laporanmu lebih cepat.': 'A higher urgency gets your report handled sooner by the counselors.',
+    'Gunakan saran': 'Use suggestion',
+    'Abaikan': 'Dismiss',
+    'Di mana kejadiannya?': 'Where did it happen?',
+    'Platform/Media': 'Platform/Medium',
+    'Pilih platform': 'Choose a platform',
+    'Nama Platform Lainnya': 'Other Platform Name',
+    'Contoh: Discord, LINE, game online': 'For example: Discord, LINE, an online game',
+    'Apakah ada bukti?': 'Is there any evidence?',
+    'Bukti (Opsional)': 'Evidence (Optional)',
+    'Format yang didukung: Gambar, PDF, Word. Maksimal 5MB per file. Lewati langkah ini jika tidak ada.': 'Supported formats: images, PDF, Word. Up to 5MB per file. Skip this step if you have none.',
+    'Seberapa mendesak?': 'How urgent is it?',
+    'Pilih tingkat urgensi': 'Choose an urgency level',
+    'Rendah - Tidak mendesak': 'Low - Not urgent',
+    'Sedang - Perlu perhatian': 'Medium - Needs attention',
+    'Tinggi - Sangat mendesak': 'High - Very urgent',
+    'Kritis - Butuh tindakan segera': 'Critical - Needs immediate action',
+    'Laporan kritis langsung ditandai darurat dan diletakkan paling atas di antrean Guru BK. Jika kamu dalam bahaya sekarang, hubungi': 'Critical reports are flagged as emergencies and put at the top of the counselors\' queue. If you are in danger right now, call',
+    'Saya ingin Guru BK menghubungi saya secepatnya': 'I want a counselor to contact me as soon as possible',
+    'Cara Menghubungi Saya': 'How to Reach Me',
+    'Contoh: Rina, kelas XI IPA 2, atau nomor WhatsApp': 'For example: Rina, class XI IPA 2, or a WhatsApp number',
+    'Hanya Guru BK yang dapat melihat kontak ini.': 'Only the counselors can see this contact.',
+    'Kirim laporan secara anonim': 'Send the report anonymously',
+    'Periksa dan kirim': 'Review and send',
+    'Saya memahami bahwa informasi yang saya berikan adalah benar dan akan digunakan untuk tujuan penyelesaian kasus': 'I confirm that the information I provide is true and will be used to resolve the case',
+    'Kembali': 'Back',
+    'Lanjut': 'Next',
+    'Kirim Laporan': 'Send Report',
+    'Kamu Tidak Sendirian': 'You Are Not Alone',
+    'Laporan daruratmu diletakkan paling atas di antrean Guru BK. Jika kamu merasa tidak aman sekarang, jangan menunggu: hubungi bantuan di bawah ini.': 'Your emergency report is at the top of the counselors\' queue. If you feel unsafe right now, don\'t wait: contact the help below.',
+    'Sensor Gambar Bukti': 'Redact Evidence Image',
+    'Tarik kotak di atas nomor telepon, nama, atau percakapan lain yang tidak ingin Anda kirim.': 'Drag boxes over phone numbers, names or other conversations you don\'t want to send.',
+    'Kotak Hitam': 'Black Box',
+    'Samarkan': 'Pixelate',
+    'Urungkan': 'Undo',
+    'Hapus metadata foto (lokasi GPS, perangkat, waktu pengambilan)': 'Remove photo metadata (GPS location, device, time taken)',
+    'Lewati': 'Skip',
+    'Gunakan Gambar Ini': 'Use This Image',
+    'Deskripsi': 'Description',
+    'Anonim': 'Anonymous',
+    'Minta Dihubungi': 'Contact Requested',
+    'Ya': 'Yes',
+    'Tidak': 'No',
+    'Ya: {contact}': 'Yes: {contact}',
+    'Tidak ada': 'None',
+    'Ubah': 'Edit',
+    'Ubah {field}': 'Edit {field}',
+    '{count} file berhasil dipilih': '{count} file(s) selected',
+    'Sensor': 'Redact',
+    'Sensor {name}': 'Redact {name}',
+    'Hapus {name}': 'Remove {name}',
+    'Data tersimpan aman, namun enkripsi belum diaktifkan oleh tim BK.': 'Data is stored safely, but the counseling team has not turned on encryption yet.',
+    'Mengirim...': 'Sending...',
+    'Mengirim laporan, mohon tunggu...': 'Sending your report, please wait...',
+    'Mengirim aspirasi, mohon tunggu...': 'Sending your suggestion, please wait...',
+
+    // Status page
+    'Cek Status Laporan - Stop Cyberbullying': 'Check Report Status - Stop Cyberbullying',
+    'Cek Status Laporan': 'Check Report Status',
+    'Masukkan kode laporan dan PIN rahasia yang Anda terima saat mengirim laporan.': 'Enter the report code and secret PIN you received when you sent your report.',
+    'Kode Laporan': 'Report Code',
+    'Contoh: AB3CD-EF4GH': 'For example: AB3CD-EF4GH',
+    'PIN Rahasia': 'Secret PIN',
+    '6 digit PIN': '6-digit PIN',
+    'Jangan bagikan PIN kepada siapapun. Guru BK tidak akan pernah meminta PIN Anda.': 'Never share your PIN. Counselors will never ask you for it.',
+    'Laporan tidak ditemukan. Periksa kembali kode laporan dan PIN Anda.': 'Report not found. Please check your report code and PIN.',
+    'Laporan {code}': 'Report {code}',
+    'Dikirim {date} · Status: {status}': 'Sent {date} · Status: {status}',
+    'Percakapan dengan Guru BK': 'Conversation with the Counselor',
+    'Laporan ini sedang diperiksa Guru BK sebelum masuk antrean. Tidak perlu mengirim ulang.': 'A counselor is checking this report before it joins the queue. There is no need to send it again.',
+    'Laporan ini ditolak karena terlihat seperti spam atau candaan. Jika ini keliru, tulis pesan di bawah untuk Guru BK.': 'This report was rejected because it looked like spam or a prank. If that is a mistake, write to the counselors below.',
+    '{count} pesan baru': '{count} new message(s)',
+    'Belum ada tanggapan. Tim kami akan merespon dalam 24 jam.': 'No replies yet. Our team will respond within 24 hours.',
+    'Anda': 'You',
+    'Dibaca Guru BK': 'Read by the counselor',
+    'Pesan terenkripsi, hanya dapat dibaca Guru BK.': 'Encrypted message, only the counselors can read it.',
+    'Balas atau tambahkan informasi': 'Reply or add information',
+    'Identitas Anda tetap dirahasiakan. Jangan tulis nama jika ingin tetap anonim.': 'Your identity stays confidential. Don\'t write your name if you want to stay anonymous.',
+    'Kirim Pesan': 'Send Message',
+    'Pesan gagal dikirim. Silakan coba lagi.': 'The message could not be sent. Please try again.',
+
+    // Suggestions page
+    'Aspirasi - Stop Cyberbullying': 'Suggestions - Stop Cyberbullying',
+    'Sampaikan Aspirasi Anda': 'Share Your Suggestions',
+    'Berikan saran dan masukan untuk menciptakan lingkungan sekolah yang lebih baik': 'Give ideas and feedback for a better school environment',
+    'Mengapa Aspirasi Anda Penting?': 'Why Do Your Suggestions Matter?',
+    'Membantu sekolah memahami kebutuhan siswa': 'They help the school understand what students need',
+    'Menciptakan kebijakan yang lebih efektif': 'They lead to more effective policies',
+    'Membangun komunikasi yang lebih baik': 'They build better communication',
+    'Mencegah masalah sebelum terjadi': 'They prevent problems before they happen',
+    'Pilih kategori': 'Choose a category',
+    'Judul Aspirasi': 'Suggestion Title',
+    'Berikan judul singkat untuk aspirasi Anda': 'Give your suggestion a short title',
+    'Isi Aspirasi': 'Suggestion',
+    'Jelaskan aspirasi, saran, atau ide Anda untuk mencegah cyberbullying dan menciptakan lingkungan yang lebih baik...': 'Describe your suggestion or idea for preventing cyberbullying and building a better environment...',
+    'Prioritas': 'Priority',
+    'Pilih prioritas': 'Choose a priority',
+    'Kirim aspirasi secara anonim': 'Send the suggestion anonymously',
+    'Kirim Aspirasi': 'Send Suggestion',
+    'Papan Aspirasi': 'Suggestion Board',
+    'Aspirasi yang sudah ditinjau tim sekolah. Dukung aspirasi yang kamu setujui dan ikuti tanggapan resmi sekolah.': 'Suggestions reviewed by the school. Upvote the ones you agree with and follow the school\'s official responses.',
+    'Filter kategori aspirasi': 'Filter suggestions by category',
+    'Filter status aspirasi': 'Filter suggestions by status',
+    'Urutkan aspirasi': 'Sort suggestions',
+    'Semua kategori': 'All categories',
+    'Semua status': 'All statuses',
+    'Terbaru': 'Newest',
+    'Dukungan terbanyak': 'Most supported',
+    '{count} aspirasi': '{count} suggestion(s)',
+    'Belum ada aspirasi yang ditampilkan. Aspirasi muncul di sini setelah ditinjau tim sekolah.': 'No suggestions on the board yet. Suggestions appear here after the school has reviewed them.',
+    'Tidak ada aspirasi yang cocok dengan filter.': 'No suggestions match the filters.',
+    'Dukung aspirasi "{title}", {count} dukungan': 'Support the suggestion "{title}", {count} vote(s)',
+    'Prioritas {priority}': '{priority} priority',
+    'Tanggapan Resmi Sekolah': 'Official School Response',
+    'Dukungan gagal disimpan. Silakan coba lagi.': 'Your vote could not be saved. Please try again.',
+
+    // Prevention page
+    'Pencegahan - Stop Cyberbullying': 'Prevention - Stop Cyberbullying',
+    'Tips Pencegahan Cyberbullying': 'Cyberbullying Prevention Tips',
+    'Pelajari cara melindungi diri dan membantu orang lain dari cyberbullying': 'Learn how to protect yourself and help others against cyberbullying',
+    'Melindungi Diri': 'Protect Yourself',
+    'Membantu Orang Lain': 'Help Others',
+    'Cara Melaporkan': 'How to Report',
+    'Pemulihan': 'Recovery',
+    'Jaga Privasi': 'Guard Your Privacy',
+    'Atur pengaturan privasi akun media sosial Anda. Jangan bagikan informasi pribadi secara sembarangan.': 'Set the privacy settings of your social media accounts. Don\'t share personal information carelessly.',
+    'Blokir & Laporkan': 'Block & Report',
+    'Jangan ragu untuk memblokir dan melaporkan akun yang melakukan cyberbullying kepada Anda.': 'Don\'t hesitate to block and report accounts that bully you.',
+    'Simpan Bukti': 'Keep Evidence',
+    'Screenshot atau simpan bukti cyberbullying untuk keperluan pelaporan.': 'Take screenshots or save evidence of cyberbullying for your report.',
+    'Ceritakan ke Orang Terpercaya': 'Tell Someone You Trust',
+    'Jangan simpan sendiri. Ceritakan kepada orang tua, guru, atau teman yang dipercaya.': 'Don\'t keep it to yourself. Tell a parent, teacher or friend you trust.',
+    'Jaga Kesehatan Mental': 'Look After Your Mental Health',
+    'Ingat bahwa cyberbullying bukan salah Anda. Jaga kesehatan mental dan cari bantuan jika diperlukan.': 'Remember that cyberbullying is not your fault. Look after your mental health and get help when you need it.',
+    'Gunakan Fitur Keamanan': 'Use Safety Features',
+    'Manfaatkan fitur keamanan yang tersedia di platform media sosial.': 'Make use of the safety features your social media platforms offer.',
+    'Berikan Dukungan': 'Offer Support',
+    'Tunjukkan empati dan berikan dukungan moral kepada korban cyberbullying.': 'Show empathy and give moral support to people who are being bullied.',
+    'Jangan Ikut Menyebarkan': 'Don\'t Spread It',
+    'Jangan ikut menyebarkan atau memperkuat konten yang menyakiti orang lain.': 'Don\'t share or amplify content that hurts others.',
+    'Laporkan Kejadian': 'Report Incidents',
+    'Laporkan kasus cyberbullying yang Anda saksikan kepada pihak yang berwenang.': 'Report cyberbullying you witness to the people responsible.',
+    'Ajak Teman Peduli': 'Get Friends Involved',
+    'Ajak teman-teman untuk peduli dan tidak mentolerir cyberbullying.': 'Encourage your friends to care and not tolerate cyberbullying.',
+    'Kumpulkan Bukti': 'Collect Evidence',
+    'Screenshot atau simpan bukti cyberbullying dengan lengkap': 'Take screenshots or save complete evidence of the cyberbullying',
+    'Gunakan Platform Ini': 'Use This Platform',
+    'Laporkan melalui form pelaporan di website ini': 'Report through the form on this website',
+    'Hubungi Guru BK': 'Contact a Counselor',
+    'Laporkan juga kepada guru Bimbingan Konseling sekolah': 'Also tell the school\'s guidance counselors',
+    'Laporkan ke Platform': 'Report to the Platform',
+    'Laporkan juga ke platform media sosial terkait': 'Also report it to the social media platform involved',
+    'Pemulihan Emosional': 'Emotional Recovery',
+    'Ingat bahwa ini bukan salah Anda': 'Remember that this is not your fault',
+    'Bicarakan perasaan Anda dengan orang terpercaya': 'Talk about your feelings with someone you trust',
+    'Lakukan aktivitas yang Anda sukai': 'Do things you enjoy',
+    'Jangan isolasi diri dari teman dan keluarga': 'Don\'t cut yourself off from friends and family',
+    'Kontak Bantuan': 'Where to Get Help',
+    'Guru BK SMA Negeri 34 Jakarta': 'SMA Negeri 34 Jakarta Counselors',
+    'Hubungi langsung atau melalui WhatsApp sekolah': 'Contact them in person or through the school WhatsApp',
+    '119 ext 8 (24 jam)': '119 ext 8 (24 hours)',
+    'Apakah Aku Mengalami Cyberbullying?': 'Am I Being Cyberbullied?',
+    'Jawab beberapa pertanyaan tentang apa yang kamu alami akhir-akhir ini di chat, grup, atau media sosial.': 'Answer a few questions about what has been happening to you lately in chats, groups or on social media.',
+    'Jawabanmu tidak disimpan atau dikirim ke mana pun.': 'Your answers are not saved or sent anywhere.',
+    'Ada yang berulang kali mengirim pesan, komentar, atau DM yang menghina, mengejek, atau merendahkanmu.': 'Someone keeps sending you messages, comments or DMs that insult, mock or belittle you.',
+    'Kamu menerima ancaman, misalnya akan dipukul, didatangi, atau dipermalukan.': 'You have been threatened, for example with being hit, tracked down or humiliated.',
+    'Kamu sengaja dikeluarkan atau tidak diajak ke grup chat kelas atau pertemanan, padahal yang lain diajak.': 'You were deliberately removed from or left out of class or friend group chats that everyone else was in.',
+    'Teman-teman kompak mengabaikan pesanmu atau membuat grup tanpa kamu untuk membicarakanmu.': 'Friends all ignore your messages or made a group without you to talk about you.',
+    'Alamat, nomor HP, atau data pribadimu disebarkan tanpa izinmu.': 'Your address, phone number or personal details were shared without your permission.',
+    'Foto, chat pribadi, atau screenshot milikmu dibagikan ke orang lain tanpa izinmu.': 'Your photos, private chats or screenshots were passed on without your permission.',
+    'Hal-hal itu membuatmu takut, sedih, malu, atau tidak ingin ke sekolah.': 'These things make you scared, sad, ashamed or not want to go to school.',
+    'Tidak pernah': 'Never',
+    'Pernah sekali': 'Once',
+    'Berulang kali': 'More than once',
+    'Sedikit': 'A little',
+    'Ya, sangat': 'Yes, a lot',
+    'Lihat Hasil': 'See Result',
+    'Ulangi': 'Start Over',
+    'Jawab semua pertanyaan dulu, ya.': 'Please answer every question first.',
+    'Yang kamu alami kemungkinan besar termasuk cyberbullying.': 'What you are going through is most likely cyberbullying.',
+    'Ini bukan salahmu, dan kamu tidak harus menghadapinya sendirian. Laporkan supaya Guru BK bisa membantu.': 'It is not your fault, and you don\'t have to face it alone. Report it so the counselors can help.',
+    'Yang kamu alami bisa menjadi awal cyberbullying.': 'What you are going through could be the start of cyberbullying.',
+    'Kejadian yang baru sekali tetap boleh dilaporkan, apalagi jika berlanjut. Simpan buktinya dari sekarang.': 'Something that happened once can still be reported, especially if it carries on. Start keeping evidence now.',
+    'Dari jawabanmu, tidak terlihat tanda cyberbullying.': 'Your answers show no signs of cyberbullying.',
+    'Jika ada hal lain yang membuatmu tidak nyaman, kamu tetap boleh bercerita ke Guru BK atau membuat laporan.': 'If something else makes you uncomfortable, you can still talk to a counselor or make a report.',
+    'Perasaanmu wajar. Ceritakan juga kepada orang yang kamu percaya.': 'Your feelings are normal. Tell someone you trust as well.',
+    'Pelecehan dan ancaman': 'Harassment and threats',
+    'Pesan, komentar, atau ancaman yang sengaja menyakiti, merendahkan, atau menakutimu. Ini pelecehan online, apalagi jika terjadi berulang kali.': 'Messages, comments or threats meant to hurt, belittle or frighten you. This is online harassment, all the more so when it keeps happening.',
+    'Pengucilan': 'Exclusion',
+    'Sengaja dikeluarkan atau diabaikan dari grup dan percakapan supaya kamu merasa sendirian. Pengucilan juga cyberbullying, meski tidak ada kata kasar.': 'Being deliberately removed from or ignored in groups and conversations so that you feel alone. Exclusion is cyberbullying too, even without a single harsh word.',
+    'Penyebaran data pribadi': 'Sharing personal information',
+    'Data, foto, atau percakapan pribadimu disebarkan tanpa izin (doxxing). Ini bisa membahayakan keselamatanmu, bahkan jika baru terjadi sekali.': 'Your personal details, photos or conversations were spread without permission (doxxing). This can put your safety at risk, even if it happened only once.',
+    'Lihat tips: {tab}': 'See tips: {tab}',
+    'Laporkan sebagai {type}': 'Report as {type}',
+    'Buat Laporan': 'Make a Report',
+
+    // About page
+    'Tentang - Stop Cyberbullying': 'About - Stop Cyberbullying',
+    'Tentang Platform Ini': 'About This Platform',
+    'Platform khusus untuk siswa SMA Negeri 34 Jakarta': 'A platform for SMA Negeri 34 Jakarta students',
+    'Misi Kami': 'Our Mission',
+    'Menciptakan lingkungan digital yang aman dan nyaman untuk seluruh siswa SMA Negeri 34 Jakarta. Kami berkomitmen untuk memberantas cyberbullying dan membangun budaya saling menghormati di dunia maya.': 'To create a safe and comfortable digital environment for every student at SMA Negeri 34 Jakarta. We are committed to stamping out cyberbullying and building a culture of mutual respect online.',
+    'Komitmen Kami': 'Our Commitments',
+    'Kerahasiaan identitas pelapor 100% terjamin': 'Reporters\' identities are kept 100% confidential',
+    'Respon cepat dalam 24 jam': 'A response within 24 hours',
+    'Penanganan profesional oleh tim yang terlatih': 'Professional handling by a trained team',
+    'Edukasi berkelanjutan tentang pencegahan cyberbullying': 'Ongoing education on preventing cyberbullying',
+    'Sekolah yang peduli dengan kesejahteraan digital siswa': 'A school that cares about its students\' digital wellbeing',
+    'Platform tersedia kapan saja untuk Anda': 'The platform is available whenever you need it',
+
+    // Counselor dashboard
+    'Dashboard Guru BK - Stop Cyberbullying': 'Counselor Dashboard - Stop Cyberbullying',
+    'Dashboard Guru BK': 'Counselor Dashboard',
+    'Kelola laporan dan aspirasi siswa secara rahasia.': 'Manage student reports and suggestions confidentially.',
+    'Nama Pengguna': 'Username',
+    'Nama Lengkap': 'Full Name',
+    'Kata Sandi': 'Password',
+    'Ulangi Kata Sandi': 'Repeat Password',
+    'Masuk': 'Sign In',
+    'Buat Akun Admin & Masuk': 'Create Admin Account & Sign In',
+    'Belum ada akun staf. Buat akun administrator pertama, lalu buat akun untuk Guru BK dan kepala sekolah di tab Staf.': 'There are no staff accounts yet. Create the first administrator account, then create accounts for the counselors and the principal in the Staff tab.',
+    'Halaman ini khusus untuk staf SMA Negeri 34 Jakarta. Masuk dengan akun Anda sendiri.': 'This page is for SMA Negeri 34 Jakarta staff only. Sign in with your own account.',
+    'Akun gagal dibuat. Silakan coba lagi.': 'The account could not be created. Please try again.',
+    'Nama pengguna atau kata sandi salah': 'Wrong username or password',
+    'Masuk sebagai': 'Signed in as',
+    'Notifikasi laporan baru': 'New report notifications',
+    'Pengaturan notifikasi gagal disimpan. Silakan coba lagi.': 'The notification setting could not be saved. Please try again.',
+    'Laporan {urgency} masuk': 'New {urgency} report',
+    'DARURAT: {title}': 'EMERGENCY: {title}',
+    'Keluar': 'Sign Out',
+    'Buat Kunci Tim': 'Create Team Key',
+    'Impor Kunci Privat': 'Import Private Key',
+    'Enkripsi aktif. Kunci privat tim BK dimuat (ID {kid}).': 'Encryption is on. The counseling team\'s private key is loaded (ID {kid}).',
+    'Enkripsi belum aktif. Buat kunci tim agar laporan baru terenkripsi.': 'Encryption is off. Create a team key so new reports are encrypted.',
+    'Kunci publik aktif (ID {kid}). Impor kunci privat untuk membaca laporan.': 'Public key active (ID {kid}). Import the private key to read reports.',
+    'Kunci privat yang dimuat (ID {loaded}) bukan pasangan kunci aktif (ID {active}). Laporan baru tidak dapat dibuka.': 'The loaded private key (ID {loaded}) does not match the active key (ID {active}). New reports cannot be opened.',
+    'Kunci tim sudah ada. Laporan lama hanya bisa dibuka dengan kunci privat lama. Buat kunci baru?': 'A team key already exists. Older reports can only be opened with the old private key. Create a new key?',
+    'Kunci publik gagal disimpan. Silakan coba lagi.': 'The public key could not be saved. Please try again.',
+    'Kunci privat tim BK telah diunduh. Simpan file ini di tempat aman dan bagikan hanya kepada Guru BK. Tanpa file ini laporan tidak dapat dibuka.': 'The team\'s private key has been downloaded. Keep this file somewhere safe and share it only with counselors. Without it, reports cannot be opened.',
+    'File kunci privat tidak valid.': 'Invalid private key file.',
+    'Laporan': 'Reports',
+    'Semua urgensi': 'All urgencies',
+    'Semua jenis': 'All types',
+    'Semua platform': 'All platforms',
+    'Filter urgensi': 'Filter by urgency',
+    'Filter jenis laporan': 'Filter by report type',
+    'Filter platform': 'Filter by platform',
+    'Filter status': 'Filter by status',
+    'Kode': 'Code',
+    'Tanggal': 'Date',
+    'Jenis': 'Type',
+    'Penanggung Jawab': 'Assignee',
+    'Judul': 'Title',
+    'Kategori': 'Category',
+    'Dukungan': 'Votes',
+    'Papan Publik': 'Public Board',
+    'Tanggapan': 'Response',
+    '{count} laporan darurat belum selesai. Tangani laporan bertanda merah terlebih dahulu.': '{count} emergency report(s) still open. Handle the reports marked in red first.',
+    '{count} laporan': '{count} report(s)',
+    'Tidak ada laporan yang sesuai filter.': 'No reports match the filters.',
+    '{count} pesan baru dari pelapor': '{count} new message(s) from the reporter',
+    'Dikirim': 'Sent',
+    'Lampiran': 'Attachments',
+    '{count} file': '{count} file(s)',
+    'Pelapor meminta dihubungi. Kontak terenkripsi, impor kunci privat untuk membacanya.': 'The reporter asked to be contacted. The contact is encrypted; import the private key to read it.',
+    'Pelapor meminta dihubungi: {contact}': 'The reporter asked to be contacted: {contact}',
+    'Catatan Internal': 'Internal Notes',
+    'Catatan hanya terlihat oleh tim BK': 'Notes are only visible to the counseling team',
+    'Tambah Catatan': 'Add Note',
+    'Laporan ini tidak dapat dibuka dengan kunci privat yang dimuat. Pastikan Anda mengimpor kunci tim yang benar.': 'This report cannot be opened with the loaded private key. Make sure you imported the right team key.',
+    'Deskripsi terenkripsi. Impor kunci privat tim BK untuk membacanya.': 'Encrypted description. Import the team\'s private key to read it.',
+    'Bukti Terlampir': 'Attached Evidence',
+    'Bukti terenkripsi ({size})': 'Encrypted evidence ({size})',
+    '{name} (tidak tersedia)': '{name} (unavailable)',
+    'Lihat': 'View',
+    'Unduh': 'Download',
+    'Guru BK Penanggung Jawab': 'Assigned Counselor',
+    'Nama guru BK': 'Counselor name',
+    'Simpan': 'Save',
+    'Tandai Selesai': 'Mark Resolved',
+    'Guru BK': 'Counselor',
+    'Pelapor': 'Reporter',
+    'Percakapan dengan Pelapor': 'Conversation with the Reporter',
+    'Pesan terenkripsi. Impor kunci privat tim BK untuk membacanya.': 'Encrypted message. Import the team\'s private key to read it.',
+    'Pesan ini dapat dibaca pelapor di halaman Cek Status': 'The reporter can read this message on the Check Status page',
+    'Belum ada aspirasi.': 'No suggestions yet.',
+    'Status aspirasi {title}': 'Status of suggestion {title}',
+    'Tampilkan aspirasi {title} di papan publik': 'Show suggestion {title} on the public board',
+    'Tanggapi': 'Respond',
+    'Tanggapan resmi sekolah, tampil di papan aspirasi': 'Official school response, shown on the suggestion board',
+    'Tanggapan resmi untuk {title}': 'Official response to {title}',
+    'Simpan Tanggapan': 'Save Response',
+    'Tanggapan gagal disimpan. Silakan coba lagi.': 'The response could not be saved. Please try again.',
+    'Apakah Anda yakin ingin menghapus semua data? Tindakan ini tidak dapat dibatalkan.': 'Are you sure you want to delete all data? This cannot be undone.',
+    'Data berhasil dihapus.': 'Data deleted.',
+
+    // Counselor dashboard: data tab and printable case summary
+    'Ekspor CSV': 'CSV Export',
+    'Unduh laporan atau aspirasi sebagai tabel untuk diolah di spreadsheet. Kontak pelapor tidak ikut diekspor.': 'Download reports or suggestions as a table for use in a spreadsheet. Reporter contact details are never exported.',
+    'Dari Tanggal': 'From',
+    'Sampai Tanggal': 'To',
+    'Unduh CSV': 'Download CSV',
+    'Tanggal awal tidak boleh setelah tanggal akhir.': 'The start date cannot be after the end date.',
+    '{count} baris diekspor.': '{count} row(s) exported.',
+    'Darurat': 'Emergency',
+    'Diselesaikan': 'Resolved At',
+    '(terenkripsi)': '(encrypted)',
+    'Cadangan & Pemulihan': 'Backup & Restore',
+    'Cadangan berisi semua laporan dan aspirasi. Simpan di tempat yang aman karena isinya rahasia.': 'A backup contains every report and suggestion. Keep it somewhere safe, as its contents are confidential.',
+    'Unduh Cadangan JSON': 'Download JSON Backup',
+    'File Cadangan': 'Backup File',
+    'Cara Impor': 'Import Mode',
+    'Gabungkan: tambahkan data baru dan perbarui data yang lebih lama': 'Merge: add new records and update older ones',
+    'Ganti: semua laporan dan aspirasi diganti dengan isi file': 'Replace: swap all reports and suggestions for the contents of the file',
+    'Impor Data': 'Import Data',
+    'File ini bukan file cadangan JSON.': 'This is not a JSON backup file.',
+    'File tidak dapat diimpor:': 'The file cannot be imported:',
+    'File tidak berisi data laporan dan aspirasi.': 'The file does not contain report and suggestion data.',
+    'Daftar {collection} tidak ditemukan.': 'The {collection} list is missing.',
+    '{collection} ke-{number}: kolom "{field}" kosong atau tidak valid.': '{collection} no. {number}: field "{field}" is empty or invalid.',
+    '{collection} ke-{number} tidak valid.': '{collection} no. {number} is invalid.',
+    'dan {count} masalah lainnya.': 'and {count} more problem(s).',
+    'Semua laporan dan aspirasi saat ini akan diganti dengan isi file. Unduh cadangan terlebih dahulu jika perlu. Lanjutkan?': 'All current reports and suggestions will be replaced by the contents of the file. Download a backup first if needed. Continue?',
+    'Data gagal diimpor. Silakan coba lagi.': 'The data could not be imported. Please try again.',
+    'Impor selesai: {added} ditambahkan, {updated} diperbarui, {skipped} dilewati.': 'Import finished: {added} added, {updated} updated, {skipped} skipped.',
+    'File dibuat oleh versi platform yang lebih baru. Perbarui platform ini terlebih dahulu.': 'The file was made by a newer version of the platform. Update this platform first.',
+    '{count} data rusak dipisahkan agar tidak mengganggu dashboard. Data tersebut tetap tersimpan dan ikut dalam file cadangan JSON untuk diperiksa.': '{count} damaged record(s) were set aside so they don\'t break the dashboard. They are still stored and included in the JSON backup for inspection.',
+    '{count} laporan ditahan karena terindikasi spam atau candaan. Periksa isinya, lalu lepaskan ke antrean atau tolak.': '{count} report(s) held as possible spam or pranks. Check them, then release them to the queue or reject them.',
+    'Terindikasi spam: {reasons}': 'Possible spam: {reasons}',
+    'Laporan ini belum masuk antrean dan tidak dihitung di statistik.': 'This report is not in the queue yet and is not counted in the statistics.',
+    'Lepaskan ke Antrean': 'Release to Queue',
+    'Tolak sebagai Spam': 'Reject as Spam',
+    'Tolak laporan ini sebagai spam? Laporan tetap tersimpan dan bisa dilihat lewat filter status.': 'Reject this report as spam? It stays stored and can be found with the status filter.',
+    'Sertakan catatan internal': 'Include internal notes',
+    'Cetak Ringkasan (PDF)': 'Print Summary (PDF)',
+    'SMA Negeri 34 Jakarta · Bimbingan dan Konseling': 'SMA Negeri 34 Jakarta · Guidance and Counseling',
+    'Ringkasan Kasus {code}': 'Case Summary {code}',
+    'Dicetak {date} oleh {name}. Dokumen rahasia, hanya untuk keperluan penanganan kasus.': 'Printed {date} by {name}. Confidential document, for case handling only.',
+    'Riwayat Status': 'Status History',
+    'Oleh': 'By',
+    'File terenkripsi': 'Encrypted file',
+    'Orang Tua/Wali': 'Parent/Guardian',
+    'Ekspor gagal dicatat di log audit sehingga dibatalkan. Silakan coba lagi.': 'The export could not be recorded in the audit log, so it was cancelled. Please try again.',
+    'Pencetakan gagal dicatat di log audit sehingga dibatalkan. Silakan coba lagi.': 'The print could not be recorded in the audit log, so it was cancelled. Please try again.',
+    'Menghapus semua laporan, aspirasi, dan bukti. Akun staf dan log audit tetap tersimpan.': 'Deletes every report, suggestion and piece of evidence. Staff accounts and the audit log are kept.',
+    'Hapus Semua Data': 'Delete All Data',
+
+    // Counselor dashboard: staff accounts and audit log
+    'Staf': 'Staff',
+    'Log Audit': 'Audit Log',
+    'Akun Staf': 'Staff Accounts',
+    'Nama': 'Name',
+    'Peran': 'Role',
+    'Aksi': 'Actions',
+    'Tambah Akun': 'Add Account',
+    'Setiap anggota staf masuk dengan akunnya sendiri. Guru BK menangani laporan, kepala sekolah dapat membaca laporan dan log audit tanpa mengubahnya, dan administrator mengelola akun serta data.': 'Every staff member signs in with their own account. Counselors handle reports, the principal can read reports and the audit log without changing them, and administrators manage accounts and data.',
+    'Kata Sandi Awal': 'Initial Password',
+    'Buat Akun': 'Create Account',
+    'Peran {name}': 'Role of {name}',
+    'Aktif': 'Active',
+    'Nonaktif': 'Inactive',
+    'Aktifkan': 'Activate',
+    'Nonaktifkan': 'Deactivate',
+    'Atur Ulang Kata Sandi': 'Reset Password',
+    'Kata sandi baru untuk {name}': 'New password for {name}',
+    'Simpan Kata Sandi': 'Save Password',
+    'Kata sandi {name} diubah. Sampaikan kata sandi baru secara langsung.': 'The password for {name} was changed. Hand over the new password in person.',
+    'Akun gagal diubah. Harus selalu ada minimal satu admin aktif.': 'The account could not be changed. There must always be at least one active admin.',
+    'Nama pengguna sudah dipakai': 'This username is already taken',
+    'Akun {username} dibuat. Sampaikan kata sandinya secara langsung kepada {name}.': 'Account {username} created. Hand the password to {name} in person.',
+    'Cari pengguna atau kode laporan': 'Search by user or report code',
+    'Filter aktivitas': 'Filter by activity',
+    'Semua aktivitas': 'All activities',
+    'Waktu': 'Time',
+    'Pengguna': 'User',
+    'Aktivitas': 'Activity',
+    'Objek': 'Subject',
+    'Rincian': 'Details',
+    '{count} entri': '{count} entries',
+    'Belum ada aktivitas yang sesuai.': 'No matching activity yet.',
+    'Riwayat Akses': 'Access History',
+
+    // Counselor dashboard: related reports and cases
+    'Bagian dari kasus dengan {count} laporan': 'Part of a case with {count} reports',
+    'Kasus & Laporan Terkait': 'Case & Related Reports',
+    'Kasus ini dilaporkan oleh {reporters} pelapor dengan total {files} bukti.': 'This case was reported by {reporters} reporters with {files} pieces of evidence in total.',
+    'Laporan ini digabung sebagai duplikat. Statusnya mengikuti laporan utama {code}.': 'This report was merged as a duplicate. Its status follows lead report {code}.',
+    'Laporan utama': 'Lead report',
+    'Duplikat': 'Duplicate',
+    'Terkait': 'Related',
+    'Lepaskan': 'Remove',
+    'Bukti dari laporan {code}': 'Evidence from report {code}',
+    'Mungkin tentang kejadian yang sama:': 'May be about the same incident:',
+    'Tidak ada laporan serupa di sekitar waktu laporan ini.': 'No similar reports around the time of this report.',
+    '{percent}% mirip: {reasons}': '{percent}% similar: {reasons}',
+    'Gabungkan sebagai duplikat': 'Merge as duplicate',
+    'Tautkan': 'Link',
+    'Buka laporan {code}': 'Open report {code}',
+    'Gabungkan laporan {code} sebagai duplikat? Laporan itu keluar dari antrean dan statusnya mengikuti laporan utama kasus ini.': 'Merge report {code} as a duplicate? It leaves the queue and its status follows this case\'s lead report.',
+    'Tautkan laporan {code} ke kasus ini? Laporan itu tetap ditangani sendiri di antrean.': 'Link report {code} to this case? It stays in the queue and is handled on its own.',
+    'Laporan gagal ditautkan. Silakan coba lagi.': 'The reports could not be linked. Please try again.',
+    'Laporan gagal dilepas dari kasus. Silakan coba lagi.': 'The report could not be removed from the case. Please try again.',
+    'Kasus': 'Case',
+
+    // Submission receipts and the offline outbox
+    'Laporan Berhasil Dikirim!': 'Report Sent!',
+    'Laporan Anda telah berhasil dikirim. Tim kami akan segera menindaklanjuti dalam 24 jam. Terima kasih atas kepercayaan Anda.': 'Your report has been sent. Our team will follow up within 24 hours. Thank you for your trust.',
+    'Kode Laporan: {code}\nPIN Rahasia: {pin}': 'Report code: {code}\nSecret PIN: {pin}',
+    'Catat kode dan PIN ini. Keduanya diperlukan untuk mengecek status laporan di halaman Cek Status dan tidak dapat ditampilkan ulang.': 'Write down this code and PIN. You need both to check your report on the Check Status page, and they cannot be shown again.',
+    'Laporan ini sangat singkat atau tidak biasa, jadi Guru BK memeriksanya dulu sebelum masuk antrean. Jika laporanmu sungguhan, tidak perlu mengirim ulang.': 'This report is very short or unusual, so a counselor checks it before it joins the queue. If your report is genuine, there is no need to send it again.',
+    'Mengirim laporan darurat...': 'Sending emergency report...',
+    'Koneksi internet sedang tidak tersedia. Laporan disimpan di perangkat ini dan dikirim otomatis begitu koneksi kembali. Sambil menunggu, hubungi hotline di atas.': 'There is no internet connection right now. The report is saved on this device and will be sent automatically once you are back online. In the meantime, call the hotlines above.',
+    'Laporan darurat terkirim.': 'Emergency report sent.',
+    'Catat kode dan PIN ini untuk mengecek tanggapan Guru BK di halaman Cek Status.': 'Write down this code and PIN to check the counselor\'s reply on the Check Status page.',
+    'Laporan gagal terkirim. Tutup layar ini lalu coba kirim lagi, dan tetap hubungi hotline di atas bila kamu dalam bahaya.': 'The report could not be sent. Close this screen and try again, and call the hotlines above if you are in danger.',
+    'Terjadi kesalahan saat menyimpan laporan. Silakan coba lagi.': 'Something went wrong while saving the report. Please try again.',
+    'Terlalu banyak kiriman dari perangkat ini dalam waktu singkat. Coba lagi dalam {minutes} menit.': 'Too many submissions from this device in a short time. Try again in {minutes} minute(s).',
+    'Terlalu banyak percobaan kode dan PIN yang salah. Coba lagi dalam {minutes} menit.': 'Too many wrong tracking code and PIN attempts. Try again in {minutes} minute(s).',
+    'Terlalu banyak percobaan masuk yang gagal. Coba lagi dalam {minutes} menit.': 'Too many failed sign-in attempts. Try again in {minutes} minute(s).',
+    'Terlalu banyak dukungan dari jaringan ini dalam waktu singkat. Coba lagi dalam {minutes} menit.': 'Too many votes from this network in a short time. Try again in {minutes} minute(s).',
+    'Tetap hubungi hotline di atas bila kamu dalam bahaya.': 'Keep calling the hotlines above if you are in danger.',
+    'Terjadi kesalahan saat menyimpan aspirasi. Silakan coba lagi.': 'Something went wrong while saving the suggestion. Please try again.',
+    'Aspirasi Berhasil Dikirim!': 'Suggestion Sent!',
+    'Aspirasi Anda telah berhasil dikirim dengan ID: {id}. Aspirasi akan tampil di Papan Aspirasi setelah ditinjau tim sekolah. Terima kasih atas kontribusi Anda untuk menciptakan lingkungan sekolah yang lebih baik.': 'Your suggestion has been sent with ID: {id}. It will appear on the Suggestion Board once the school has reviewed it. Thank you for helping to build a better school environment.',
+    '{label} Disimpan Sementara': '{label} Saved for Later',
+    'Koneksi internet sedang tidak tersedia. {label} Anda disimpan di perangkat ini dan akan dikirim otomatis begitu koneksi kembali. Jangan hapus data browser sebelum {item} terkirim.': 'There is no internet connection right now. Your {item} is saved on this device and will be sent automatically once you are back online. Don\'t clear your browser data until it has been sent.',
+    'Mengirim {count} kiriman tertunda...': 'Sending {count} pending submission(s)...',
+    '{count} kiriman menunggu koneksi internet': '{count} submission(s) waiting for an internet connection',
+    'Laporan — Kode: {code}, PIN: {pin}': 'Report — Code: {code}, PIN: {pin}',
+    'Aspirasi — ID: {id}': 'Suggestion — ID: {id}',
+    'Catat kode dan PIN laporan untuk mengecek status di halaman Cek Status. Informasi ini tidak dapat ditampilkan ulang.': 'Write down the report code and PIN to check its status on the Check Status page. This information cannot be shown again.',
+    'Kiriman Tertunda Berhasil Terkirim!': 'Pending Submissions Delivered!',
+    'Kiriman Tertunda Gagal Terkirim': 'Pending Submission Not Delivered',
+    '{label} yang tertunda kemungkinan sudah diterima sebelumnya, tetapi kode dan PIN-nya tidak dapat ditampilkan. Kirim ulang bila Anda perlu mengecek statusnya.': 'Your pending {label} was probably received earlier, but its code and PIN cannot be shown. Send it again if you need to check its status.',
+    '{label} yang tertunda ditolak server dan tidak terkirim. Silakan isi dan kirim ulang.': 'Your pending {label} was refused by the server and not delivered. Please fill it in and send it again.',
+    'Kiriman yang Anda simpan saat offline sudah diterima tim kami.': 'The submissions you saved while offline have reached our team.',
+
+    // Form validation
+    'Field ini wajib diisi': 'This field is required',
+    'Format email tidak valid': 'Invalid email format',
+    'Minimal {n} karakter': 'At least {n} characters',
+    'Maksimal {n} karakter': 'At most {n} characters',
+    'Isian tidak valid': 'Invalid value',
+    'File {name} terlalu besar. Maksimal 5MB.': 'File {name} is too large. The maximum is 5MB.',
+    'Format file {name} tidak didukung.': 'The format of file {name} is not supported.',
+    'Periksa kembali {count} isian berikut:': 'Please check the following {count} field(s):',
+    'Pilih platform tempat kejadian': 'Choose the platform where it happened',
+    'Sebutkan nama platformnya': 'Name the platform',
+    'Ceritakan kejadian yang Anda alami atau saksikan': 'Describe what you experienced or witnessed',
+    'Deskripsi minimal 10 karakter': 'The description needs at least 10 characters',
+    'Untuk laporan kritis, ceritakan minimal 50 karakter agar tim BK bisa segera bertindak': 'For critical reports, write at least 50 characters so the counselors can act right away',
+    'Ada gambar bukti yang rusak atau tidak bisa dibuka. Hapus lalu unggah ulang.': 'An evidence image is damaged or cannot be opened. Remove it and upload it again.',
+    'Tuliskan cara Guru BK dapat menghubungimu': 'Tell the counselors how to reach you',
+    'Centang pernyataan kebenaran informasi untuk melanjutkan': 'Tick the confirmation that your information is true to continue',
+    'Pilih jenis aspirasi': 'Choose a suggestion type',
+    'Aspirasi minimal 10 karakter': 'The suggestion needs at least 10 characters',
+    'Isi aspirasi tidak boleh sama dengan judulnya': 'The suggestion must not be the same as its title',
+    'Pilih prioritas aspirasi': 'Choose a priority',
+    'Kode laporan terdiri dari 10 huruf/angka, contoh: AB3CD-EF4GH': 'The report code has 10 letters/digits, for example: AB3CD-EF4GH',
+    'PIN terdiri dari 6 angka': 'The PIN has 6 digits',
+    'Kata sandi minimal 8 karakter': 'The password needs at least 8 characters',
+    'Konfirmasi kata sandi tidak sama': 'The passwords do not match',
+    'Nama pengguna 3-32 karakter: huruf, angka, titik, garis bawah atau tanda hubung': 'Usernames have 3-32 characters: letters, digits, dots, underscores or hyphens',
+
+    // Labels from the constants in script.js
+    'tanda ingin menyakiti diri sendiri': 'signs of wanting to hurt yourself',
+    'ancaman kekerasan': 'threats of violence',
+    'foto atau data pribadi yang disebar': 'private photos or data being shared',
+    'kejadian yang berulang atau meluas': 'something that keeps happening or is spreading',
+    'rasa takut atau tidak aman': 'feeling scared or unsafe',
+    'platform sama': 'same platform',
+    'waktu berdekatan': 'close in time',
+    'jenis sama': 'same type',
+    'isi deskripsi mirip': 'similar description',
+    'hampir tanpa isi': 'almost no content',
+    'huruf atau kata berulang': 'repeated letters or words',
+    'ketikan acak': 'random typing',
+    'kata uji coba atau candaan': 'test or joke words',
+    'banyak tautan': 'many links',
+    'tidak diperiksa sebelum dienkripsi': 'not checked before encryption',
+    'Menunggu Peninjauan': 'Awaiting Review',
+    'Ditinjau Guru BK': 'Reviewed by Counselor',
+    'Sedang Ditangani': 'In Progress',
+    'Selesai': 'Resolved',
+    'Ditahan untuk Diperiksa': 'Held for Review',
+    'Ditolak sebagai Spam': 'Rejected as Spam',
+    'Diterima': 'Received',
+    'Dipertimbangkan': 'Under Consideration',
+    'Disetujui': 'Accepted',
+    'Diterapkan': 'Implemented',
+    'Tidak Dilanjutkan': 'Declined',
+    'Pencegahan Cyberbullying': 'Cyberbullying Prevention',
+    'Literasi Digital': 'Digital Literacy',
+    'Kesehatan Mental': 'Mental Health',
+    'Kebijakan Sekolah': 'School Policy',
+    'Dukungan Teman Sebaya': 'Peer Support',
+    'Lainnya': 'Other',
+    'Pelecehan Online': 'Online Harassment',
+    'Ujaran Kebencian': 'Hate Speech',
+    'Penyebaran Data Pribadi': 'Doxxing',
+    'Rendah': 'Low',
+    'Sedang': 'Medium',
+    'Tinggi': 'High',
+    'Kritis': 'Critical',
+    'Kepala Sekolah': 'Principal',
+    'Administrator': 'Administrator',
+    'Masuk ke dashboard': 'Signed in',
+    'Gagal masuk': 'Failed sign-in',
+    'Keluar dari dashboard': 'Signed out',
+    'Membuka laporan': 'Opened report',
+    'Memperbarui laporan': 'Updated report',
+    'Menambah catatan internal': 'Added internal note',
+    'Membalas pelapor': 'Replied to reporter',
+    'Menggabungkan laporan duplikat': 'Merged duplicate report',
+    'Menautkan laporan terkait': 'Linked related report',
+    'Melepas laporan dari kasus': 'Removed report from case',
+    'Mencetak ringkasan kasus': 'Printed case summary',
+    'Mengekspor CSV': 'Exported CSV',
+    'Mengubah aspirasi': 'Changed suggestion',
+    'Mengunduh cadangan': 'Downloaded backup',
+    'Mengimpor data': 'Imported data',
+    'Menghapus semua data': 'Deleted all data',
+    'Mengubah pengaturan': 'Changed settings',
+    'Mengganti kunci tim': 'Replaced team key',
+    'Membuat akun staf': 'Created staff account',
+    'Mengubah akun staf': 'Changed staff account'
+});
@@ -0,0 +1,232 @@
+// Versioned shape of the platform data. Loaded by every page (LocalStorageAdapter) and required by
+// server/server.js, so both stores upgrade and repair data the same way.
+//
+// Data written before the version was recorded counts as version 1. To change the shape, bump
+// SCHEMA_VERSION and add a migration that turns the previous version into the new one.
+
+const SCHEMA_VERSION = 4;
+
+const RECORD_SCHEMAS = {
+    reports: {
+        required: ['id', 'timestamp', 'status', 'type'],
+        statuses: ['pending', 'reviewed', 'in-progress', 'resolved', 'held', 'rejected'],
+        lists: ['timeline', 'replies', 'internalNotes', 'files'],
+        strings: ['platform', 'platformOther', 'description', 'urgency', 'contactDetails', 'trackingCode'],
+        defaults: { status: 'pending', type: 'other', platform: 'other' }
+    },
+    aspirations: {
+        required: ['id', 'timestamp', 'status', 'type', 'title'],
+        statuses: ['received', 'under-consideration', 'accepted', 'implemented', 'declined'],
+        lists: ['voters'],
+        strings: ['content', 'priority'],
+        defaults: { status: 'received', type: 'other' }
+    }
+};
+
+const SCHEMA_MIGRATIONS = {
+    // Totals used to be counters bumped on every change and drifted after failed writes or
+    // manual edits; they are computed from the records now. Fields added by later features are
+    // filled in so older records behave like new ones.
+    2: (data) => {
+        const { statistics, ...upgraded } = data;
+        const upgradeEach = (records, upgrade) => Array.isArray(records)
+            ? records.map(record => record && typeof record === 'object' ? upgrade(record) : record)
+            : records;
+
+        upgraded.reports = upgradeEach(data.reports, report => ({
+            escalated: report.urgency === 'critical',
+            replies: [],
+            ...report,
+            timeline: report.timeline || [{ status: 'pending', timestamp: report.timestamp }]
+        }));
+        upgraded.aspirations = upgradeEach(data.aspirations, aspiration => ({ published: false, voters: [], ...aspiration }));
+        return upgraded;
+    },
+    // The single shared admin password became per-person staff accounts. It carries over as the
+    // 'admin' account (both stores hash it in a way that still verifies under that username), and
+    // that admin then creates accounts for the rest of the team.
+    3: (data) => {
+        const { adminPasswordHash, ...settings } = data.settings && typeof data.settings === 'object' ? data.settings : {};
+        const staff = adminPasswordHash ? [{
+            id: 'staff_admin',
+            username: 'admin',
+            name: 'Administrator',
+            role: 'admin',
+            active: true,
+            passwordHash: adminPasswordHash,
+            createdAt: new Date().toISOString()
+        }] : [];
+        return { ...data, settings: settings, staff: staff, auditLog: [] };
+    },
+    // Reports can be held for moderation ('held', then 'rejected' or back to 'pending'). Nothing
+    // needs converting; the new version keeps older releases, which would quarantine such
+    // reports, from opening the data.
+    4: (data) => data
+};
+
+class DataSchema {
+    constructor(options = {}) {
+        this.version = options.version || SCHEMA_VERSION;
+        this.schemas = options.schemas || RECORD_SCHEMAS;
+        this.migrations = options.migrations || SCHEMA_MIGRATIONS;
+    }
+
+    createInitialData() {
+        return {
+            schemaVersion: this.version,
+            reports: [],
+            aspirations: [],
+            staff: [],
+            auditLog: [],
+            settings: {
+                autoSave: true,
+                notifications: true
+            }
+        };
+    }
+
+    isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    versionOf(data) {
+        return Number(data.schemaVersion) || 1;
+    }
+
+    // Runs the migrations between the data's version and the current one. Data from a newer
+    // release is returned untouched; validate() reports it.
+    migrate(data) {
+        if (!this.isObject(data) || this.versionOf(data) >= this.version) return data;
+
+        let migrated = data;
+        for (let version = this.versionOf(data) + 1; version <= this.version; version++) {
+            migrated = this.migrations[version](migrated);
+        }
+        return { ...migrated, schemaVersion: this.version };
+    }
+
+    // Field names that make a record unusable; [null] when it isn't a record at all
+    recordErrors(collection, record) {
+        if (!this.isObject(record)) return [null];
+
+        const schema = this.schemas[collection];
+        const errors = schema.required.filter(field => typeof record[field] !== 'string' || !record[field].trim());
+        if (record.timestamp && isNaN(Date.parse(record.timestamp))) errors.push('timestamp');
+        if (record.status && !schema.statuses.includes(record.status)) errors.push('status');
+        schema.lists.forEach(field => {
+            if (record[field] !== undefined && !Array.isArray(record[field])) errors.push(field);
+        });
+        // Optional, but shown as text wherever they are set
+        schema.strings.forEach(field => {
+            if (record[field] !== undefined && record[field] !== null && typeof record[field] !== 'string') errors.push(field);
+        });
+        return [...new Set(errors)];
+    }
+
+    // Returns a list of problems as { collection, index, field }; an empty list means the data
+    // matches the current schema. index is null for problems with the data as a whole.
+    validate(data) {
+        if (!this.isObject(data)) {
+            return [{ collection: null, index: null, field: null }];
+        }
+        if (this.versionOf(data) > this.version) {
+            return [{ collection: null, index: null, field: 'schemaVersion' }];
+        }
+
+        const errors = [];
+        Object.keys(this.schemas).forEach(collection => {
+            if (!Array.isArray(data[collection])) {
+                errors.push({ collection: collection, index: null, field: null });
+                return;
+            }
+
+            const ids = new Set();
+            data[collection].forEach((record, index) => {
+                const fields = this.recordErrors(collection, record);
+                if (fields[0] !== null && ids.has(record.id)) fields.push('id');
+                fields.forEach(field => errors.push({ collection: collection, index: index, field: field }));
+                if (this.isObject(record)) ids.add(record.id);
+            });
+        });
+        return errors;
+    }
+
+    // Fills in what can safely be assumed and moves records that are still broken (or repeat an
+    // id) to data.quarantine, so one bad record can't break every page that reads the store.
+    // Nothing is deleted: quarantined records stay in the data and in every backup.
+    repair(data) {
+        const repaired = { ...data };
+        const quarantine = Array.isArray(data.quarantine) ? data.quarantine.slice() : [];
+        let changed = false;
+
+        Object.entries(this.schemas).forEach(([collection, schema]) => {
+            if (!Array.isArray(data[collection])) changed = true;
+            const ids = new Set();
+            const kept = [];
+
+            (Array.isArray(data[collection]) ? data[collection] : []).forEach(record => {
+                const filled = this.fillDefaults(schema, record);
+                if (filled !== record) changed = true;
+
+                const problems = this.recordErrors(collection, filled);
+                if (problems.length === 0 && ids.has(filled.id)) problems.push('id');
+                if (problems.length === 0) {
+                    ids.add(filled.id);
+                    kept.push(filled);
+                    return;
+                }
+
+                quarantine.push({ collection: collection, problems: problems, record: record, quarantinedAt: new Date().toISOString() });
+                changed = true;
+            });
+            repaired[collection] = kept;
+        });
+
+        if (!this.isObject(data.settings)) {
+            repaired.settings = this.createInitialData().settings;
+            changed = true;
+        }
+        ['staff', 'auditLog'].forEach(list => {
+            if (!Array.isArray(data[list])) {
+                repaired[list] = [];
+                changed = true;
+            }
+        });
+        if (quarantine.length > 0) {
+            repaired.quarantine = quarantine;
+        }
+        return { data: repaired, changed: changed, quarantined: quarantine.length - (data.quarantine || []).length };
+    }
+
+    fillDefaults(schema, record) {
+        if (!this.isObject(record)) return record;
+
+        // Lists may be missing (the pages treat that as empty); the fields in `defaults` may not
+        const missing = Object.keys(schema.defaults).filter(field => record[field] === undefined || record[field] === null);
+        if (missing.length === 0) return record;
+
+        return { ...record, ...Object.fromEntries(missing.map(field => [field, schema.defaults[field]])) };
+    }
+
+    // migrate() + repair() for data read from storage. Returns { data, changed, quarantined };
+    // changed tells the caller to write the result back.
+    upgrade(stored) {
+        if (!this.isObject(stored)) {
+            const data = this.createInitialData();
+            data.quarantine = [{ collection: null, problems: [null], record: stored, quarantinedAt: new Date().toISOString() }];
+            return { data: data, changed: true, quarantined: 1 };
+        }
+        if (this.versionOf(stored) > this.version) {
+            console.warn(`Data has schema version ${stored.schemaVersion}, newer than ${this.version}; leaving it as it is`);
+            return { data: stored, changed: false, quarantined: 0 };
+        }
+
+        const migrated = this.migrate(stored);
+        const result = this.repair(migrated);
+        return { ...result, changed: result.changed || migrated !== stored };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataSchema };
+}
@@ -1,223 +1,4716 @@
-class DataStorage {
+const REPORT_STATUSES = {
+    pending: 'Menunggu Peninjauan',
+    reviewed: 'Ditinjau Guru BK',
+    'in-progress': 'Sedang Ditangani',
+    resolved: 'Selesai',
+    held: 'Ditahan untuk Diperiksa',
+    rejected: 'Ditolak sebagai Spam'
+};
+
+const ASPIRATION_STATUSES = {
+    received: 'Diterima',
+    'under-consideration': 'Dipertimbangkan',
+    accepted: 'Disetujui',
+    implemented: 'Diterapkan',
+    declined: 'Tidak Dilanjutkan'
+};
+
+const ASPIRATION_TYPES = {
+    'cyberbullying-prevention': 'Pencegahan Cyberbullying',
+    'digital-literacy': 'Literasi Digital',
+    'mental-health': 'Kesehatan Mental',
+    'school-policy': 'Kebijakan Sekolah',
+    'peer-support': 'Dukungan Teman Sebaya',
+    other: 'Lainnya'
+};
+
+const REPORT_TYPES = {
+    cyberbullying: 'Cyberbullying',
+    harassment: 'Pelecehan Online',
+    'hate-speech': 'Ujaran Kebencian',
+    doxxing: 'Penyebaran Data Pribadi',
+    other: 'Lainnya'
+};
+
+const PLATFORMS = {
+    whatsapp: 'WhatsApp',
+    instagram: 'Instagram',
+    tiktok: 'TikTok',
+    facebook: 'Facebook',
+    twitter: 'Twitter/X',
+    telegram: 'Telegram',
+    other: 'Lainnya'
+};
+
+const URGENCY_LEVELS = {
+    low: 'Rendah',
+    medium: 'Sedang',
+    high: 'Tinggi',
+    critical: 'Kritis'
+};
+
+// Why the description classifier (classifier.js) suggests a higher urgency
+const URGENCY_REASONS = {
+    'self-harm': 'tanda ingin menyakiti diri sendiri',
+    threat: 'ancaman kekerasan',
+    exposure: 'foto atau data pribadi yang disebar',
+    repeated: 'kejadian yang berulang atau meluas',
+    fear: 'rasa takut atau tidak aman'
+};
+
+// Why cases.js considers two reports related
+const SIMILARITY_REASONS = {
+    platform: 'platform sama',
+    time: 'waktu berdekatan',
+    type: 'jenis sama',
+    text: 'isi deskripsi mirip'
+};
+
+// Why submissions.js flagged a report or aspiration as possible junk
+const SCREENING_REASONS = {
+    short: 'hampir tanpa isi',
+    repetitive: 'huruf atau kata berulang',
+    gibberish: 'ketikan acak',
+    'test-words': 'kata uji coba atau candaan',
+    links: 'banyak tautan',
+    unscreened: 'tidak diperiksa sebelum dienkripsi'
+};
+
+// Kinds of behaviour the self-assessment on the prevention page can point to. The questions are
+// in prevention.html; each fieldset names the behaviour it scores in data-behaviour.
+const QUIZ_BEHAVIOURS = {
+    harassment: {
+        label: 'Pelecehan dan ancaman',
+        description: 'Pesan, komentar, atau ancaman yang sengaja menyakiti, merendahkan, atau menakutimu. Ini pelecehan online, apalagi jika terjadi berulang kali.',
+        reportType: 'harassment',
+        tab: 'report'
+    },
+    exclusion: {
+        label: 'Pengucilan',
+        description: 'Sengaja dikeluarkan atau diabaikan dari grup dan percakapan supaya kamu merasa sendirian. Pengucilan juga cyberbullying, meski tidak ada kata kasar.',
+        reportType: 'cyberbullying',
+        tab: 'recover'
+    },
+    doxxing: {
+        label: 'Penyebaran data pribadi',
+        description: 'Data, foto, atau percakapan pribadimu disebarkan tanpa izin (doxxing). Ini bisa membahayakan keselamatanmu, bahkan jika baru terjadi sekali.',
+        reportType: 'doxxing',
+        tab: 'protect'
+    }
+};
+
+// What each role may do is defined in access.js
+const STAFF_ROLES = {
+    counselor: 'Guru BK',
+    principal: 'Kepala Sekolah',
+    admin: 'Administrator'
+};
+
+const AUDIT_ACTIONS = {
+    login: 'Masuk ke dashboard',
+    'login.failed': 'Gagal masuk',
+    logout: 'Keluar dari dashboard',
+    'case.view': 'Membuka laporan',
+    'case.update': 'Memperbarui laporan',
+    'case.note': 'Menambah catatan internal',
+    'case.reply': 'Membalas pelapor',
+    'case.merge': 'Menggabungkan laporan duplikat',
+    'case.link': 'Menautkan laporan terkait',
+    'case.unlink': 'Melepas laporan dari kasus',
+    'case.print': 'Mencetak ringkasan kasus',
+    'records.export': 'Mengekspor CSV',
+    'aspiration.update': 'Mengubah aspirasi',
+    'data.backup': 'Mengunduh cadangan',
+    'data.import': 'Mengimpor data',
+    'data.delete': 'Menghapus semua data',
+    'settings.update': 'Mengubah pengaturan',
+    'keys.update': 'Mengganti kunci tim',
+    'staff.create': 'Membuat akun staf',
+    'staff.update': 'Mengubah akun staf'
+};
+
+const EVIDENCE_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+const EVIDENCE_TYPES = [
+    'image/jpeg', 'image/png', 'image/gif',
+    'application/pdf', 'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+// Validation rules per form id and field name. Fields also get the rules implied by their
+// HTML attributes (required, type="email", minlength, maxlength), and fields inside a
+// [hidden] container are skipped. `when(values, form)` makes a rule conditional and
+// `custom` rules may return a promise.
+const FORM_SCHEMAS = {
+    reportForm: {
+        reportType: [{ type: 'required', message: 'Pilih jenis laporan' }],
+        platform: [{ type: 'required', message: 'Pilih platform tempat kejadian' }],
+        platformOther: [
+            { type: 'required', when: values => values.platform === 'other', message: 'Sebutkan nama platformnya' },
+            { type: 'maxLength', value: 50 }
+        ],
+        description: [
+            { type: 'required', message: 'Ceritakan kejadian yang Anda alami atau saksikan' },
+            { type: 'minLength', value: 10, message: 'Deskripsi minimal 10 karakter' },
+            {
+                type: 'minLength',
+                value: 50,
+                when: values => values.urgency === 'critical',
+                message: 'Untuk laporan kritis, ceritakan minimal 50 karakter agar tim BK bisa segera bertindak'
+            }
+        ],
+        evidence: [
+            { type: 'fileSize', value: EVIDENCE_MAX_SIZE },
+            { type: 'fileType', value: EVIDENCE_TYPES },
+            {
+                type: 'custom',
+                value: files => FormValidator.imagesDecode(files),
+                message: 'Ada gambar bukti yang rusak atau tidak bisa dibuka. Hapus lalu unggah ulang.'
+            }
+        ],
+        urgency: [{ type: 'required', message: 'Pilih tingkat urgensi' }],
+        contactDetails: [{
+            type: 'required',
+            when: values => values.urgency === 'critical' && values.contactRequested,
+            message: 'Tuliskan cara Guru BK dapat menghubungimu'
+        }],
+        terms: [{ type: 'required', message: 'Centang pernyataan kebenaran informasi untuk melanjutkan' }]
+    },
+    aspirationsForm: {
+        aspirationType: [{ type: 'required', message: 'Pilih jenis aspirasi' }],
+        aspirationTitle: [{ type: 'maxLength', value: 120 }],
+        aspirationContent: [
+            { type: 'minLength', value: 10, message: 'Aspirasi minimal 10 karakter' },
+            {
+                type: 'custom',
+                value: (value, values) => value.toLowerCase() !== values.aspirationTitle.toLowerCase(),
+                message: 'Isi aspirasi tidak boleh sama dengan judulnya'
+            }
+        ],
+        priority: [{ type: 'required', message: 'Pilih prioritas aspirasi' }]
+    },
+    statusForm: {
+        trackingCode: [{
+            type: 'custom',
+            value: value => !value || /^[A-Z0-9]{10}$/i.test(value.replace(/[\s-]/g, '')),
+            message: 'Kode laporan terdiri dari 10 huruf/angka, contoh: AB3CD-EF4GH'
+        }],
+        trackingPin: [{ type: 'pattern', value: /^\d{6}$/, message: 'PIN terdiri dari 6 angka' }]
+    },
+    staffForm: {
+        username: [{
+            type: 'pattern',
+            value: /^[A-Za-z0-9._-]{3,32}$/,
+            message: 'Nama pengguna 3-32 karakter: huruf, angka, titik, garis bawah atau tanda hubung'
+        }],
+        password: [{ type: 'minLength', value: 8, message: 'Kata sandi minimal 8 karakter' }]
+    },
+    adminLoginForm: {
+        adminUsername: [{
+            type: 'pattern',
+            value: /^[A-Za-z0-9._-]{3,32}$/,
+            when: (values, form) => !form.querySelector('#adminPasswordConfirmGroup').hidden,
+            message: 'Nama pengguna 3-32 karakter: huruf, angka, titik, garis bawah atau tanda hubung'
+        }],
+        adminPassword: [{
+            type: 'minLength',
+            value: 8,
+            // Only enforced while choosing the first password, existing ones are simply verified
+            when: (values, form) => !form.querySelector('#adminPasswordConfirmGroup').hidden,
+            message: 'Kata sandi minimal 8 karakter'
+        }],
+        adminPasswordConfirm: [
+            { type: 'required' },
+            { type: 'matches', value: 'adminPassword', message: 'Konfirmasi kata sandi tidak sama' }
+        ]
+    }
+};
+
+class ReportCrypto {
     constructor() {
-        this.storageKey = 'cyberbullying_platform_data';
+        this.keyStore = new IndexedDbStore('cyberbullying_keys', 'keys', { keyPath: 'name' });
+        this.algorithm = 'RSA-OAEP-256+A256GCM';
+        this.rsaParams = { name: 'RSA-OAEP', hash: 'SHA-256' };
+    }
+
+    static toBase64(buffer) {
+        let binary = '';
+        new Uint8Array(buffer).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    async getKeyId(publicJwk) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(publicJwk.n));
+        return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async generateTeamKeys() {
+        const keyPair = await crypto.subtle.generateKey(
+            { ...this.rsaParams, modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]) },
+            true,
+            ['encrypt', 'decrypt']
+        );
+        const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+        const privateKey = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+        publicKey.kid = privateKey.kid = await this.getKeyId(publicKey);
+        return { publicKey: publicKey, privateKey: privateKey };
+    }
+
+    async importPrivateKey(privateJwk) {
+        const { kid, key_ops, ext, ...jwk } = privateJwk;
+        const key = await crypto.subtle.importKey('jwk', jwk, this.rsaParams, false, ['decrypt']);
+        // Stored non-extractable: it can decrypt on this device but never be read back out
+        await this.keyStore.put({ name: 'counselor-private', kid: kid, key: key });
+        return kid;
+    }
+
+    async getPrivateKey() {
+        return this.keyStore.get('counselor-private');
+    }
+
+    async forgetPrivateKey() {
+        return this.keyStore.delete('counselor-private');
+    }
+
+    async seal(publicJwk, payload) {
+        const { kid, key_ops, ext, ...jwk } = publicJwk;
+        const publicKey = await crypto.subtle.importKey('jwk', jwk, this.rsaParams, false, ['encrypt']);
+        const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            contentKey,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        const wrappedKey = await crypto.subtle.encrypt(this.rsaParams, publicKey, await crypto.subtle.exportKey('raw', contentKey));
+
+        return {
+            alg: this.algorithm,
+            kid: kid,
+            wrappedKey: ReportCrypto.toBase64(wrappedKey),
+            iv: ReportCrypto.toBase64(iv),
+            ciphertext: ReportCrypto.toBase64(ciphertext)
+        };
+    }
+
+    async open(envelope) {
+        const stored = await this.getPrivateKey();
+        if (!stored) return null;
+        if (envelope.kid && stored.kid && envelope.kid !== stored.kid) {
+            throw new Error(`Envelope was sealed for key ${envelope.kid}, loaded key is ${stored.kid}`);
+        }
+
+        const rawKey = await crypto.subtle.decrypt(this.rsaParams, stored.key, ReportCrypto.fromBase64(envelope.wrappedKey));
+        const contentKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: ReportCrypto.fromBase64(envelope.iv) },
+            contentKey,
+            ReportCrypto.fromBase64(envelope.ciphertext)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    async encryptBlob(blob) {
+        const fileKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, fileKey, await blob.arrayBuffer());
+
+        return {
+            blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+            key: ReportCrypto.toBase64(await crypto.subtle.exportKey('raw', fileKey)),
+            iv: ReportCrypto.toBase64(iv)
+        };
+    }
+
+    async decryptBlob(blob, file) {
+        const fileKey = await crypto.subtle.importKey('raw', ReportCrypto.fromBase64(file.key), 'AES-GCM', false, ['decrypt']);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: ReportCrypto.fromBase64(file.iv) },
+            fileKey,
+            await blob.arrayBuffer()
+        );
+        return new Blob([plaintext], { type: file.type });
+    }
+
+    async sealReport(publicJwk, reportData, files) {
+        // Each file gets its own AES key; those keys travel inside the sealed payload
+        const sealedFiles = [];
+        const fileSecrets = [];
+        for (const [index, file] of files.entries()) {
+            const encrypted = await this.encryptBlob(file);
+            sealedFiles.push(new File([encrypted.blob], `bukti-${index + 1}.bin`, { type: 'application/octet-stream' }));
+            fileSecrets.push({ name: file.name, type: file.type, size: file.size, key: encrypted.key, iv: encrypted.iv });
+        }
+
+        const { description, contactDetails, ...plainData } = reportData;
+        return {
+            reportData: {
+                ...plainData,
+                description: '',
+                contactDetails: '',
+                encrypted: await this.seal(publicJwk, { description: description, contactDetails: contactDetails, files: fileSecrets })
+            },
+            files: sealedFiles
+        };
+    }
+
+    async getDeviceKey() {
+        const stored = await this.keyStore.get('device-draft');
+        if (stored) return stored.key;
+
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await this.keyStore.put({ name: 'device-draft', key: key });
+        return key;
+    }
+
+    async encryptDraft(data) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            await this.getDeviceKey(),
+            new TextEncoder().encode(JSON.stringify(data))
+        );
+        return { encrypted: true, iv: ReportCrypto.toBase64(iv), ciphertext: ReportCrypto.toBase64(ciphertext) };
+    }
+
+    async decryptDraft(draft) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: ReportCrypto.fromBase64(draft.iv) },
+            await this.getDeviceKey(),
+            ReportCrypto.fromBase64(draft.ciphertext)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+}
+
+class LocalStorageAdapter {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.sessionKey = 'cyberbullying_admin_session';
+        this.schema = new DataSchema();
+        this.access = new AccessControl();
+        this.cases = new CaseLinker();
+        this.guard = new SubmissionGuard();
+        this.submissionLogKey = 'cyberbullying_submission_log';
+        this.evidenceStore = new IndexedDbStore('cyberbullying_evidence', 'files', { keyPath: 'id' });
         this.init();
     }
 
-    init() {
-        if (!localStorage.getItem(this.storageKey)) {
-            const initialData = {
-                reports: [],
-                aspirations: [],
-                statistics: {
-                    totalReports: 0,
-                    resolvedCases: 0,
-                    totalAspirations: 0,
-                    confidentialityRate: 100
-                },
-                settings: {
-                    autoSave: true,
-                    notifications: true
-                }
-            };
-            localStorage.setItem(this.storageKey, JSON.stringify(initialData));
+    init() {
+        this.readData();
+    }
+
+    // Every read upgrades and repairs what is stored, so data left behind by an older version
+    // (or by a tab still running one) never reaches the code below in a shape it doesn't expect
+    readData() {
+        const raw = localStorage.getItem(this.storageKey);
+        let stored = null;
+        try {
+            stored = JSON.parse(raw);
+        } catch (error) {
+            console.error('Stored data is not valid JSON, keeping a copy and starting empty:', error);
+            this.keepCorruptCopy(raw);
+        }
+
+        if (stored === null) {
+            const initialData = this.schema.createInitialData();
+            this.writeData(initialData);
+            return initialData;
+        }
+
+        const { data, changed, quarantined } = this.schema.upgrade(stored);
+        if (quarantined > 0) {
+            console.warn(`Moved ${quarantined} corrupt record(s) to quarantine`);
+        }
+        if (changed) {
+            this.writeData(data);
+        }
+        return data;
+    }
+
+    keepCorruptCopy(raw) {
+        try {
+            localStorage.setItem(`${this.storageKey}_corrupt`, raw);
+        } catch (error) {
+            console.error('Could not keep a copy of the corrupt data:', error);
+        }
+    }
+
+    writeData(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('Error saving data:', error);
+            return false;
+        }
+    }
+
+    // Accounts and the audit log have their own methods and permissions
+    async getData() {
+        const data = this.readData();
+        this.requirePermission('cases:view', data);
+        const { staff, auditLog, ...records } = data;
+        return records;
+    }
+
+    async saveData(incoming) {
+        const data = this.readData();
+        const user = this.requirePermission('data:backup', data);
+        const saved = { ...incoming, staff: data.staff, auditLog: data.auditLog };
+        this.recordAudit(saved, user, 'data.import', null, { mode: 'replace' });
+        return this.writeData(saved);
+    }
+
+    async exportData() {
+        const data = this.readData();
+        const user = this.requirePermission('data:backup', data);
+        this.recordAudit(data, user, 'data.backup');
+        this.writeData(data);
+        const { staff, auditLog, ...records } = data;
+        return records;
+    }
+
+    async importData(data, mode) {
+        const current = this.readData();
+        const user = this.requirePermission('data:backup', current);
+        const archive = new RecordArchive(this.schema);
+        const incoming = archive.read(data);
+        if (archive.validate(incoming).length > 0) {
+            throw new Error('Invalid archive');
+        }
+
+        const { data: imported, summary } = archive.apply(current, incoming, mode);
+        this.recordAudit(imported, user, 'data.import', null, { mode: mode, ...summary });
+        if (!this.writeData(imported)) {
+            throw new Error('Imported data could not be saved');
+        }
+        return summary;
+    }
+
+    async getStatistics() {
+        return new ReportStatistics().compute(this.readData());
+    }
+
+    // Without a server the limits can only be kept per browser session (see submissions.js)
+    async admitSubmission(kind, payload) {
+        const problem = await this.guard.checkProof(kind, payload);
+        if (problem) throw new Error(`Proof of work ${problem}`);
+
+        let log = {};
+        try {
+            log = JSON.parse(sessionStorage.getItem(this.submissionLogKey)) || {};
+        } catch (error) {
+            console.error('Submission log is not valid JSON, starting a new one:', error);
+        }
+
+        const retryAfter = this.guard.retryAfter(log[kind] || [], kind);
+        if (retryAfter > 0) {
+            const error = new Error('Too many submissions, try again later');
+            error.status = 429;
+            error.retryAfter = retryAfter;
+            throw error;
+        }
+        log[kind] = this.guard.record(log[kind] || [], kind);
+        sessionStorage.setItem(this.submissionLogKey, JSON.stringify(log));
+    }
+
+    async addReport(reportData) {
+        await this.admitSubmission('report', reportData);
+        const { proof, ...submitted } = reportData;
+        const data = this.readData();
+        const timestamp = new Date().toISOString();
+        const trackingCode = this.generateTrackingCode();
+        const pin = this.generatePin();
+        const screening = this.guard.screenReport(submitted);
+        const status = this.guard.shouldHold(submitted, screening) ? 'held' : 'pending';
+        const report = {
+            id: this.generateId(),
+            timestamp: timestamp,
+            status: status,
+            ...submitted,
+            screening: screening,
+            escalated: reportData.urgency === 'critical',
+            trackingCode: trackingCode,
+            pinHash: await this.hashPin(trackingCode, pin),
+            timeline: [{ status: status, timestamp: timestamp }],
+            replies: []
+        };
+        
+        data.reports.push(report);
+
+        if (this.writeData(data)) {
+            // The PIN is only returned here; storage keeps nothing but its hash
+            return { id: report.id, trackingCode: trackingCode, pin: pin, held: status === 'held' };
+        }
+        return null;
+    }
+
+    async addAspiration(aspirationData) {
+        await this.admitSubmission('aspiration', aspirationData);
+        const { proof, ...submitted } = aspirationData;
+        const data = this.readData();
+        const aspiration = {
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            status: 'received',
+            published: false,
+            voters: [],
+            ...submitted,
+            screening: this.guard.screenAspiration(submitted)
+        };
+        
+        data.aspirations.push(aspiration);
+
+        return this.writeData(data) ? aspiration.id : null;
+    }
+
+    async findReportWithPin(data, trackingCode, pin) {
+        const report = (data.reports || []).find(r => r.trackingCode === trackingCode);
+        if (!report) return null;
+
+        const pinHash = await this.hashPin(trackingCode, pin);
+        return report.pinHash === pinHash ? report : null;
+    }
+
+    async findReportByTracking(trackingCode, pin) {
+        const data = this.readData();
+        const report = await this.findReportWithPin(data, trackingCode, pin);
+        if (!report) return null;
+
+        // The copy keeps the previous read time so the page can still highlight new messages
+        const publicReport = this.toPublicReport(report);
+        report.reporterReadAt = new Date().toISOString();
+        this.writeData(data);
+        return publicReport;
+    }
+
+    async addReporterMessage(trackingCode, pin, payload) {
+        const data = this.readData();
+        const report = await this.findReportWithPin(data, trackingCode, pin);
+        if (!report) return null;
+
+        const entry = {
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            from: 'reporter',
+            message: payload.message
+        };
+        if (payload.encrypted) {
+            entry.encrypted = payload.encrypted;
+        }
+        report.replies = report.replies || [];
+        report.replies.push(entry);
+        report.reporterReadAt = entry.timestamp;
+
+        return this.writeData(data) ? this.toPublicReport(report) : null;
+    }
+
+    async getReport(reportId) {
+        const data = this.readData();
+        const user = this.requirePermission('cases:view', data);
+        const report = data.reports.find(r => r.id === reportId);
+        if (!report) return null;
+
+        const target = this.reportTarget(report);
+        if (!this.access.isRepeatedView(data.auditLog, user, target)) {
+            this.recordAudit(data, user, 'case.view', target);
+            this.writeData(data);
+        }
+        return report;
+    }
+
+    async markThreadRead(reportId) {
+        const data = this.readData();
+        this.requirePermission('cases:view', data);
+        const report = (data.reports || []).find(r => r.id === reportId);
+        if (!report) return null;
+
+        report.counselorReadAt = new Date().toISOString();
+        return this.writeData(data) ? { counselorReadAt: report.counselorReadAt } : null;
+    }
+
+    toPublicReport(report) {
+        const { pinHash, internalNotes, assignedTo, caseId, mergedInto, screening, ...publicReport } = report;
+        return publicReport;
+    }
+
+    async updateReport(reportId, changes) {
+        const data = this.readData();
+        const user = this.requirePermission('cases:update', data);
+        const report = (data.reports || []).find(r => r.id === reportId);
+        if (!report) return null;
+
+        this.changeReport(report, changes, user.name);
+        // Duplicates merged into this report follow its status
+        if (changes.status) {
+            this.cases.followersOf(data.reports, report).forEach(duplicate => this.changeReport(duplicate, { status: changes.status }, user.name));
+        }
+
+        this.recordAudit(data, user, 'case.update', this.reportTarget(report), changes);
+        return this.writeData(data) ? report : null;
+    }
+
+    changeReport(report, changes, author) {
+        const previousStatus = report.status;
+        Object.assign(report, changes, { updatedAt: new Date().toISOString() });
+
+        if (changes.status && changes.status !== previousStatus) {
+            report.timeline = report.timeline || [];
+            report.timeline.push({ status: changes.status, timestamp: report.updatedAt, author: author });
+        }
+    }
+
+    // See CaseLinker (cases.js) for what merging and linking change
+    async linkReports(leadId, reportId, mode) {
+        const data = this.readData();
+        const user = this.requirePermission('cases:update', data);
+        const problem = this.cases.checkLink(data.reports, leadId, reportId, mode);
+        if (problem) throw new Error(`Cannot link reports: ${problem}`);
+
+        this.cases.linkChanges(data.reports, leadId, reportId, mode).forEach(([report, changes]) => this.changeReport(report, changes, user.name));
+        const report = data.reports.find(r => r.id === reportId);
+        const caseLead = data.reports.find(r => r.id === report.caseId);
+        this.recordAudit(data, user, mode === 'merge' ? 'case.merge' : 'case.link', this.reportTarget(report), { case: caseLead.trackingCode || caseLead.id });
+        return this.writeData(data) ? report : null;
+    }
+
+    async unlinkReport(reportId) {
+        const data = this.readData();
+        const user = this.requirePermission('cases:update', data);
+        const problem = this.cases.checkUnlink(data.reports, reportId);
+        if (problem) throw new Error(`Cannot unlink report: ${problem}`);
+
+        const report = data.reports.find(r => r.id === reportId);
+        const caseLead = data.reports.find(r => r.id === report.caseId);
+        this.cases.unlinkChanges(data.reports, reportId).forEach(([member, changes]) => this.changeReport(member, changes, user.name));
+        this.recordAudit(data, user, 'case.unlink', this.reportTarget(report), { case: caseLead.trackingCode || caseLead.id });
+        return this.writeData(data) ? report : null;
+    }
+
+    async addReportEntry(reportId, listName, message) {
+        const data = this.readData();
+        const user = this.requirePermission('cases:update', data);
+        const report = (data.reports || []).find(r => r.id === reportId);
+        if (!report) return null;
+
+        const entry = {
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            author: user.name,
+            message: message
+        };
+        if (listName === 'replies') {
+            entry.from = 'counselor';
+        }
+        report[listName] = report[listName] || [];
+        report[listName].push(entry);
+
+        this.recordAudit(data, user, listName === 'replies' ? 'case.reply' : 'case.note', this.reportTarget(report));
+        return this.writeData(data) ? entry : null;
+    }
+
+    async updateAspiration(aspirationId, changes) {
+        const data = this.readData();
+        const user = this.requirePermission('aspirations:manage', data);
+        const aspiration = (data.aspirations || []).find(a => a.id === aspirationId);
+        if (!aspiration) return null;
+
+        Object.assign(aspiration, changes, { updatedAt: new Date().toISOString() });
+        if ('response' in changes) {
+            aspiration.respondedAt = aspiration.updatedAt;
+        }
+        this.recordAudit(data, user, 'aspiration.update', { type: 'aspiration', id: aspiration.id, label: aspiration.title },
+            { fields: Object.keys(changes) });
+        return this.writeData(data) ? aspiration : null;
+    }
+
+    async getAspirationBoard() {
+        return (this.readData().aspirations || [])
+            .filter(aspiration => aspiration.published)
+            .map(aspiration => this.toPublicAspiration(aspiration));
+    }
+
+    async voteAspiration(aspirationId, voterId) {
+        // Salting with the aspiration id keeps one device's votes from being linked together
+        const voterHash = await this.hashValue(`${aspirationId}:${voterId}`);
+        const data = this.readData();
+        const aspiration = (data.aspirations || []).find(a => a.id === aspirationId && a.published);
+        if (!aspiration) return null;
+
+        const voters = aspiration.voters || [];
+        const voted = !voters.includes(voterHash);
+        aspiration.voters = voted ? [...voters, voterHash] : voters.filter(hash => hash !== voterHash);
+        return this.writeData(data) ? { votes: aspiration.voters.length, voted: voted } : null;
+    }
+
+    // Only what the public board shows; the full text stays with the staff
+    toPublicAspiration(aspiration) {
+        return {
+            id: aspiration.id,
+            timestamp: aspiration.timestamp,
+            title: aspiration.title,
+            type: aspiration.type,
+            priority: aspiration.priority,
+            status: aspiration.status,
+            votes: (aspiration.voters || []).length,
+            response: aspiration.response || '',
+            respondedAt: aspiration.respondedAt || null
+        };
+    }
+
+    // The interface language belongs to whoever uses this browser, so changing it needs no sign-in
+    async getLanguage() {
+        return this.readData().settings?.language || null;
+    }
+
+    async setLanguage(language) {
+        const data = this.readData();
+        data.settings = { ...data.settings, language: language };
+        return this.writeData(data);
+    }
+
+    async getSettings() {
+        const { notifications = true } = this.readData().settings || {};
+        return { notifications: notifications };
+    }
+
+    async updateSettings(changes) {
+        const data = this.readData();
+        const user = this.requirePermission('settings:manage', data);
+        data.settings = { ...data.settings, notifications: Boolean(changes.notifications) };
+        this.recordAudit(data, user, 'settings.update', null, { notifications: data.settings.notifications });
+        return this.writeData(data) ? this.getSettings() : null;
+    }
+
+    async getPublicKey() {
+        return this.readData().settings?.counselorPublicKey || null;
+    }
+
+    async setPublicKey(publicJwk) {
+        const data = this.readData();
+        const user = this.requirePermission('settings:manage', data);
+        data.settings = data.settings || {};
+        data.settings.counselorPublicKey = publicJwk;
+        this.recordAudit(data, user, 'keys.update', null, { kid: publicJwk.kid || null });
+        return this.writeData(data);
+    }
+
+    async hasAdmin() {
+        return this.readData().staff.some(account => account.role === 'admin' && account.active !== false);
+    }
+
+    async setupAdmin(fields) {
+        if (await this.hasAdmin()) throw new Error('Admin account already set up');
+        const data = this.readData();
+        const account = await this.addStaff(data, { ...fields, role: 'admin' }, null);
+        if (!this.writeData(data)) return null;
+
+        sessionStorage.setItem(this.sessionKey, account.id);
+        return this.access.toPublicStaff(account);
+    }
+
+    async login(username, password) {
+        const data = this.readData();
+        const account = data.staff.find(a => a.username === this.access.normalizeUsername(username) && a.active !== false);
+        const passwordHash = await this.hashValue(`${this.access.normalizeUsername(username)}:${password}`);
+
+        if (!account || account.passwordHash !== passwordHash) {
+            this.recordAudit(data, null, 'login.failed', null, { username: this.access.normalizeUsername(username) });
+            this.writeData(data);
+            return null;
+        }
+
+        this.recordAudit(data, account, 'login');
+        this.writeData(data);
+        sessionStorage.setItem(this.sessionKey, account.id);
+        return this.access.toPublicStaff(account);
+    }
+
+    async getSession() {
+        const user = this.currentStaff();
+        return user ? this.access.toPublicStaff(user) : null;
+    }
+
+    async listStaff() {
+        const data = this.readData();
+        this.requirePermission('staff:manage', data);
+        return data.staff.map(account => this.access.toPublicStaff(account));
+    }
+
+    async createStaff(fields) {
+        const data = this.readData();
+        const user = this.requirePermission('staff:manage', data);
+        const account = await this.addStaff(data, fields, user);
+        return this.writeData(data) ? this.access.toPublicStaff(account) : null;
+    }
+
+    async addStaff(data, fields, actor) {
+        const account = {
+            username: this.access.normalizeUsername(fields.username),
+            name: typeof fields.name === 'string' ? fields.name.trim() : fields.name,
+            role: fields.role
+        };
+        const problem = this.access.checkAccount({ ...account, password: fields.password }, data.staff);
+        if (problem) throw new Error(`Invalid ${problem.field}: ${problem.reason}`);
+
+        Object.assign(account, {
+            id: this.generateId(),
+            active: true,
+            passwordHash: await this.hashValue(`${account.username}:${fields.password}`),
+            createdAt: new Date().toISOString()
+        });
+        data.staff.push(account);
+        this.recordAudit(data, actor || account, 'staff.create', this.staffTarget(account), { role: account.role });
+        return account;
+    }
+
+    async updateStaff(staffId, changes) {
+        const data = this.readData();
+        const user = this.requirePermission('staff:manage', data);
+        const account = data.staff.find(a => a.id === staffId);
+        if (!account) return null;
+
+        const { password, ...profile } = changes;
+        const problem = this.access.checkAccount(changes, data.staff, staffId);
+        if (problem) throw new Error(`Invalid ${problem.field}: ${problem.reason}`);
+        if (!this.access.keepsAnAdmin(data.staff, staffId, profile)) {
+            throw new Error('At least one active admin account is required');
+        }
+
+        Object.assign(account, profile, { updatedAt: new Date().toISOString() });
+        if (password !== undefined) {
+            account.passwordHash = await this.hashValue(`${account.username}:${password}`);
+        }
+        this.recordAudit(data, user, 'staff.update', this.staffTarget(account), { fields: Object.keys(changes) });
+        return this.writeData(data) ? this.access.toPublicStaff(account) : null;
+    }
+
+    async getAuditLog() {
+        const data = this.readData();
+        this.requirePermission('audit:view', data);
+        return data.auditLog;
+    }
+
+    // Exports happen in the page itself; this only records them
+    async recordExport(action, reportId, details) {
+        const data = this.readData();
+        const user = this.requirePermission('cases:export', data);
+        const report = reportId ? data.reports.find(r => r.id === reportId) : null;
+        this.recordAudit(data, user, action, report ? this.reportTarget(report) : null, details || null);
+        return this.writeData(data);
+    }
+
+    currentStaff(data = this.readData()) {
+        const staffId = sessionStorage.getItem(this.sessionKey);
+        return data.staff.find(account => account.id === staffId && account.active !== false) || null;
+    }
+
+    // Without a server the page has to check permissions itself, the same way server.js does
+    requirePermission(permission, data = this.readData()) {
+        const user = this.currentStaff(data);
+        if (!this.access.can(user, permission)) {
+            throw new Error(`Not allowed: ${permission}`);
+        }
+        return user;
+    }
+
+    // Appends to data.auditLog; the caller writes the data. Nothing ever edits or removes entries.
+    recordAudit(data, user, action, target = null, details = null) {
+        data.auditLog.push({ id: this.generateId(), ...this.access.createAuditEntry(user, action, target, details) });
+    }
+
+    reportTarget(report) {
+        return { type: 'report', id: report.id, label: report.trackingCode || report.id };
+    }
+
+    staffTarget(account) {
+        return { type: 'staff', id: account.id, label: account.username };
+    }
+
+    async saveEvidence(file) {
+        const evidence = {
+            id: this.generateId(),
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            lastModified: file.lastModified
+        };
+        await this.evidenceStore.put({ ...evidence, blob: file });
+        return evidence;
+    }
+
+    async getEvidence(evidenceId) {
+        const record = await this.evidenceStore.get(evidenceId);
+        return record ? record.blob : null;
+    }
+
+    async logout() {
+        const data = this.readData();
+        const user = this.currentStaff(data);
+        if (user) {
+            this.recordAudit(data, user, 'logout');
+            this.writeData(data);
+        }
+        sessionStorage.removeItem(this.sessionKey);
+        return true;
+    }
+
+    // Accounts and the audit log survive a reset, like on the server
+    async clear() {
+        const data = this.readData();
+        const user = this.requirePermission('data:delete', data);
+        const cleared = { ...this.schema.createInitialData(), staff: data.staff, auditLog: data.auditLog };
+        this.recordAudit(cleared, user, 'data.delete');
+        await this.evidenceStore.clear();
+        return this.writeData(cleared);
+    }
+
+    generateId() {
+        return 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    generateTrackingCode() {
+        // No 0/O or 1/I so codes can be read back over the phone
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.getRandomValues(new Uint8Array(10));
+        const code = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    }
+
+    generatePin() {
+        const value = crypto.getRandomValues(new Uint32Array(1))[0] % 1000000;
+        return value.toString().padStart(6, '0');
+    }
+
+    async hashPin(trackingCode, pin) {
+        return this.hashValue(`${trackingCode}:${pin}`);
+    }
+
+    async hashValue(value) {
+        const encoded = new TextEncoder().encode(value);
+        const digest = await crypto.subtle.digest('SHA-256', encoded);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+class HttpStorageAdapter {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.tokenKey = 'cyberbullying_admin_token';
+        this.languageKey = 'cyberbullying_language';
+    }
+
+    async request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = sessionStorage.getItem(this.tokenKey);
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: method,
+            headers: headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const error = new Error(`${method} ${path} failed with status ${response.status}`);
+            error.status = response.status;
+            if (response.headers.has('Retry-After')) {
+                error.retryAfter = Number(response.headers.get('Retry-After')) * 1000;
+            }
+            throw error;
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    endpointFor(kind) {
+        const paths = { report: '/reports', aspiration: '/aspirations', evidence: '/evidence' };
+        return new URL(`${this.baseUrl}${paths[kind]}`, location.href).href;
+    }
+
+    async getData() {
+        return this.request('GET', '/data');
+    }
+
+    async saveData(data) {
+        await this.request('PUT', '/data', data);
+        return true;
+    }
+
+    async exportData() {
+        return this.request('GET', '/data/export');
+    }
+
+    async importData(data, mode) {
+        return this.request('POST', '/data/import', { data: data, mode: mode });
+    }
+
+    async getStatistics() {
+        return this.request('GET', '/statistics');
+    }
+
+    async addReport(reportData) {
+        return this.request('POST', '/reports', reportData);
+    }
+
+    async addAspiration(aspirationData) {
+        const result = await this.request('POST', '/aspirations', aspirationData);
+        return result.id;
+    }
+
+    async findReportByTracking(trackingCode, pin) {
+        try {
+            return await this.request('POST', '/reports/lookup', { trackingCode: trackingCode, pin: pin });
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async addReporterMessage(trackingCode, pin, payload) {
+        try {
+            return await this.request('POST', '/reports/lookup/messages', { ...payload, trackingCode: trackingCode, pin: pin });
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async markThreadRead(reportId) {
+        return this.request('POST', `/reports/${encodeURIComponent(reportId)}/read`);
+    }
+
+    async getReport(reportId) {
+        return this.request('GET', `/reports/${encodeURIComponent(reportId)}`);
+    }
+
+    async updateReport(reportId, changes) {
+        return this.request('PATCH', `/reports/${encodeURIComponent(reportId)}`, { changes: changes });
+    }
+
+    async addReportEntry(reportId, listName, message) {
+        return this.request('POST', `/reports/${encodeURIComponent(reportId)}/${listName}`, { message: message });
+    }
+
+    async linkReports(leadId, reportId, mode) {
+        return this.request('POST', `/reports/${encodeURIComponent(leadId)}/case`, { reportId: reportId, mode: mode });
+    }
+
+    async unlinkReport(reportId) {
+        return this.request('DELETE', `/reports/${encodeURIComponent(reportId)}/case`);
+    }
+
+    async updateAspiration(aspirationId, changes) {
+        return this.request('PATCH', `/aspirations/${encodeURIComponent(aspirationId)}`, { changes: changes });
+    }
+
+    async getAspirationBoard() {
+        return this.request('GET', '/aspirations/public');
+    }
+
+    async voteAspiration(aspirationId, voterId) {
+        return this.request('POST', `/aspirations/${encodeURIComponent(aspirationId)}/vote`, { voterId: voterId });
+    }
+
+    async saveEvidence(file) {
+        const response = await fetch(`${this.baseUrl}/evidence`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(file.name)
+            },
+            body: file
+        });
+        if (!response.ok) {
+            const error = new Error(`POST /evidence failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    async getEvidence(evidenceId) {
+        const response = await fetch(`${this.baseUrl}/evidence/${encodeURIComponent(evidenceId)}`, {
+            headers: { Authorization: `Bearer ${sessionStorage.getItem(this.tokenKey)}` }
+        });
+        return response.ok ? response.blob() : null;
+    }
+
+    // Settings on the server are the team's, so a visitor's language stays in their own browser
+    async getLanguage() {
+        return localStorage.getItem(this.languageKey);
+    }
+
+    async setLanguage(language) {
+        localStorage.setItem(this.languageKey, language);
+        return true;
+    }
+
+    async getSettings() {
+        return this.request('GET', '/settings');
+    }
+
+    async updateSettings(changes) {
+        return this.request('PATCH', '/settings', { changes: changes });
+    }
+
+    async getPublicKey() {
+        const result = await this.request('GET', '/settings/public-key');
+        return result.publicKey;
+    }
+
+    async setPublicKey(publicJwk) {
+        await this.request('PUT', '/settings/public-key', { publicKey: publicJwk });
+        return true;
+    }
+
+    async hasAdmin() {
+        const result = await this.request('GET', '/admin/status');
+        return result.configured;
+    }
+
+    async setupAdmin(fields) {
+        const result = await this.request('POST', '/admin/setup', fields);
+        sessionStorage.setItem(this.tokenKey, result.token);
+        return result.user;
+    }
+
+    async login(username, password) {
+        try {
+            const result = await this.request('POST', '/admin/login', { username: username, password: password });
+            sessionStorage.setItem(this.tokenKey, result.token);
+            return result.user;
+        } catch (error) {
+            if (error.status === 401) return null;
+            throw error;
+        }
+    }
+
+    async getSession() {
+        if (!sessionStorage.getItem(this.tokenKey)) return null;
+        try {
+            return await this.request('GET', '/admin/session');
+        } catch (error) {
+            if (error.status === 401) return null;
+            throw error;
+        }
+    }
+
+    async listStaff() {
+        return this.request('GET', '/staff');
+    }
+
+    async createStaff(fields) {
+        return this.request('POST', '/staff', fields);
+    }
+
+    async updateStaff(staffId, changes) {
+        return this.request('PATCH', `/staff/${encodeURIComponent(staffId)}`, { changes: changes });
+    }
+
+    async getAuditLog() {
+        return this.request('GET', '/audit');
+    }
+
+    async recordExport(action, reportId, details) {
+        await this.request('POST', '/audit', { action: action, reportId: reportId || undefined, details: details });
+        return true;
+    }
+
+    async logout() {
+        await this.request('POST', '/admin/logout').catch(() => null);
+        sessionStorage.removeItem(this.tokenKey);
+        return true;
+    }
+
+    async clear() {
+        await this.request('DELETE', '/data');
+        return true;
+    }
+}
+
+class IndexedDbStore {
+    constructor(dbName, storeName, keyOptions = { keyPath: 'id', autoIncrement: true }) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.keyOptions = keyOptions;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, this.keyOptions);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    add(value) {
+        return this.run('readwrite', store => store.add(value));
+    }
+
+    put(value) {
+        return this.run('readwrite', store => store.put(value));
+    }
+
+    get(key) {
+        return this.run('readonly', store => store.get(key));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+class OutboxQueue {
+    constructor() {
+        // sw.js opens the same database, keep the names in sync
+        this.store = new IndexedDbStore('cyberbullying_outbox', 'submissions');
+        this.syncTag = 'outbox-sync';
+    }
+
+    async enqueue(kind, endpoints, payload, files = []) {
+        const outboxId = await this.store.add({
+            kind: kind,
+            endpoint: endpoints.submission,
+            evidenceEndpoint: endpoints.evidence,
+            payload: payload,
+            // Blobs are stored as-is; IndexedDB keeps them until they are uploaded
+            attachments: files.map(file => ({ name: file.name, type: file.type, size: file.size, lastModified: file.lastModified, blob: file })),
+            status: 'queued',
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        });
+        this.requestSync();
+        return { queued: true, outboxId: outboxId };
+    }
+
+    async getItems(status) {
+        const items = await this.store.getAll();
+        return items.filter(item => item.status === status);
+    }
+
+    async remove(outboxId) {
+        return this.store.delete(outboxId);
+    }
+
+    // Receipts hold a tracking code and PIN, enough to open the report on the status page
+    async clearReceipts() {
+        const done = [...await this.getItems('sent'), ...await this.getItems('failed')];
+        await Promise.all(done.map(item => this.remove(item.id)));
+        return done.length;
+    }
+
+    async requestSync() {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration?.sync) {
+            try {
+                await registration.sync.register(this.syncTag);
+                return;
+            } catch (error) {
+                console.error('Background sync unavailable, sending from page:', error);
+            }
+        }
+        if (navigator.onLine) {
+            await this.flush();
+        }
+    }
+
+    async flush() {
+        const items = await this.getItems('queued');
+
+        for (const item of items) {
+            try {
+                const files = await this.uploadAttachments(item);
+                const payload = files.length > 0 ? { ...item.payload, files: files } : item.payload;
+                const response = await fetch(item.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+                if (!response.ok) {
+                    const error = new Error(`Outbox delivery failed with status ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                // The receipt holds the one-time PIN, so it waits here until the page has shown it
+                await this.store.put({ ...item, status: 'sent', receipt: await response.json(), sentAt: new Date().toISOString() });
+            } catch (error) {
+                if (this.isRefusal(error.status)) {
+                    await this.store.put(this.toFailed(item, error));
+                    console.error('Queued submission was refused:', error);
+                    continue;
+                }
+                await this.store.put({ ...item, attempts: item.attempts + 1, lastError: error.message });
+                console.error('Error sending queued submission:', error);
+                break;
+            }
+        }
+    }
+
+    // The server will give the same answer to every retry (a proof already used or too old, data it
+    // won't take), so the item is given up instead of holding back the ones behind it
+    isRefusal(status) {
+        return status >= 400 && status < 500 && status !== 408 && status !== 429;
+    }
+
+    // Only what the page needs to tell the student; the submission itself is not kept
+    toFailed(item, error) {
+        return { id: item.id, kind: item.kind, status: 'failed', failedStatus: error.status, lastError: error.message, createdAt: item.createdAt };
+    }
+
+    async uploadAttachments(item) {
+        const attachments = item.attachments || [];
+
+        for (const attachment of attachments) {
+            if (attachment.uploaded) continue;
+
+            const response = await fetch(item.evidenceEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': attachment.type || 'application/octet-stream',
+                    'X-File-Name': encodeURIComponent(attachment.name)
+                },
+                body: attachment.blob
+            });
+            if (!response.ok) {
+                const error = new Error(`Evidence upload failed with status ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            // Remember finished uploads so a retry does not send the same file twice
+            attachment.uploaded = await response.json();
+            await this.store.put(item);
+        }
+
+        return attachments.map(attachment => attachment.uploaded);
+    }
+}
+
+class DataStorage {
+    constructor(config = window.PLATFORM_CONFIG || {}) {
+        this.storageKey = 'cyberbullying_platform_data';
+        this.config = config;
+        this.adapter = this.createAdapter(config);
+        this.crypto = new ReportCrypto();
+        this.guard = new SubmissionGuard();
+        this.submitterKey = 'cyberbullying_submitter_id';
+        // Only submissions that travel over the network can get stuck offline
+        this.outbox = this.adapter.endpointFor && 'indexedDB' in window ? new OutboxQueue() : null;
+        // Turned off on shared devices (PrivacyGuard): a queued submission is the whole report
+        this.queuesOffline = true;
+    }
+
+    createAdapter(config) {
+        if (config.storage === 'http') {
+            return new HttpStorageAdapter(config.apiBaseUrl || '/api');
+        }
+        return new LocalStorageAdapter(this.storageKey);
+    }
+
+    async run(method, ...args) {
+        try {
+            return await this.adapter[method](...args);
+        } catch (error) {
+            console.error(`Storage error in ${method}:`, error);
+            return null;
+        }
+    }
+
+    // Like run, but resolves to { throttled, retryAfter } when the store turned the request away
+    // for being one of too many
+    async runLimited(method, ...args) {
+        try {
+            return await this.adapter[method](...args);
+        } catch (error) {
+            if (error.status === 429) {
+                return { throttled: true, retryAfter: error.retryAfter || 0 };
+            }
+            console.error(`Storage error in ${method}:`, error);
+            return null;
+        }
+    }
+
+    async getData() {
+        return (await this.run('getData')) || {};
+    }
+
+    async saveData(data) {
+        return Boolean(await this.run('saveData', data));
+    }
+
+    // mode is 'merge' or 'replace'; resolves to { added, updated, skipped } or null on failure
+    async importData(data, mode) {
+        const summary = await this.run('importData', data, mode);
+        if (summary) {
+            this.updateStatistics();
+        }
+        return summary;
+    }
+
+    async addReport(reportData, files = []) {
+        // Screened before sealing, while the description can still be read
+        reportData = { ...reportData, screening: this.guard.screen(reportData.description) };
+        const publicKey = await this.getCounselorPublicKey();
+        if (publicKey) {
+            ({ reportData, files } = await this.crypto.sealReport(publicKey, reportData, files));
+        }
+
+        const receipt = await this.submit('report', 'addReport', reportData, files);
+        if (receipt && !receipt.queued) {
+            this.updateStatistics();
+        }
+        return receipt;
+    }
+
+    async addAspiration(aspirationData) {
+        const aspirationId = await this.submit('aspiration', 'addAspiration', aspirationData);
+        if (aspirationId && !aspirationId.queued) {
+            this.updateStatistics();
+        }
+        return aspirationId;
+    }
+
+    // Resolves to the store's receipt, { queued } when the outbox took it, { throttled, retryAfter }
+    // when too many were sent lately, or null on failure
+    async submit(kind, method, payload, files = []) {
+        // Proved before it can be queued, so the outbox can deliver it as it is
+        payload = { ...payload, proof: await this.guard.solve(kind, payload, this.submitterId()) };
+        if (this.outbox && this.queuesOffline && !navigator.onLine) {
+            return this.queueSubmission(kind, payload, files);
+        }
+
+        try {
+            const evidence = [];
+            for (const file of files) {
+                evidence.push(await this.adapter.saveEvidence(file));
+            }
+            return await this.adapter[method](files.length > 0 ? { ...payload, files: evidence } : payload);
+        } catch (error) {
+            // fetch rejects with a TypeError when the request never reached the server
+            if (this.outbox && this.queuesOffline && error instanceof TypeError) {
+                return this.queueSubmission(kind, payload, files);
+            }
+            if (error.status === 429) {
+                return { throttled: true, retryAfter: error.retryAfter || 0 };
+            }
+            console.error(`Storage error in ${method}:`, error);
+            return null;
+        }
+    }
+
+    // A random id for this browser session, which the limits on submissions are counted against
+    submitterId() {
+        let id = sessionStorage.getItem(this.submitterKey);
+        if (!id) {
+            id = crypto.randomUUID();
+            sessionStorage.setItem(this.submitterKey, id);
+        }
+        return id;
+    }
+
+    queueSubmission(kind, payload, files) {
+        const endpoints = {
+            submission: this.adapter.endpointFor(kind),
+            evidence: this.adapter.endpointFor('evidence')
+        };
+        return this.outbox.enqueue(kind, endpoints, payload, files);
+    }
+
+    async getEvidence(evidenceId) {
+        return this.run('getEvidence', evidenceId);
+    }
+
+    async getLanguage() {
+        return this.run('getLanguage');
+    }
+
+    async setLanguage(language) {
+        return this.run('setLanguage', language);
+    }
+
+    async getSettings() {
+        return this.run('getSettings');
+    }
+
+    async updateSettings(changes) {
+        return this.run('updateSettings', changes);
+    }
+
+    async getCounselorPublicKey() {
+        return this.config.counselorPublicKey || await this.run('getPublicKey');
+    }
+
+    async setCounselorPublicKey(publicJwk) {
+        return Boolean(await this.run('setPublicKey', publicJwk));
+    }
+
+    async findReportByTracking(trackingCode, pin) {
+        return this.runLimited('findReportByTracking', this.normalizeTrackingCode(trackingCode), (pin || '').trim());
+    }
+
+    normalizeTrackingCode(code) {
+        const cleaned = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return cleaned.length === 10 ? `${cleaned.slice(0, 5)}-${cleaned.slice(5)}` : cleaned;
+    }
+
+    // Opening a case is recorded in the audit log
+    async getReport(reportId) {
+        return this.run('getReport', reportId);
+    }
+
+    // The author of timeline entries, notes and replies is the signed-in staff member
+    async updateReport(reportId, changes) {
+        const report = await this.run('updateReport', reportId, changes);
+        if (report) {
+            this.updateStatistics();
+        }
+        return report;
+    }
+
+    async addReportEntry(reportId, listName, message) {
+        return this.run('addReportEntry', reportId, listName, message);
+    }
+
+    // mode: 'merge' (a duplicate of the same incident) or 'link' (a related report)
+    async linkReports(leadId, reportId, mode) {
+        return Boolean(await this.run('linkReports', leadId, reportId, mode));
+    }
+
+    async unlinkReport(reportId) {
+        return Boolean(await this.run('unlinkReport', reportId));
+    }
+
+    async addInternalNote(reportId, message) {
+        return this.addReportEntry(reportId, 'internalNotes', message);
+    }
+
+    async addReply(reportId, message) {
+        return this.addReportEntry(reportId, 'replies', message);
+    }
+
+    async addReporterMessage(trackingCode, pin, message) {
+        // Follow-up details can be as identifying as the report itself, so they are sealed the same way
+        const publicKey = await this.getCounselorPublicKey();
+        const payload = publicKey
+            ? { message: '', encrypted: await this.crypto.seal(publicKey, { message: message }) }
+            : { message: message };
+        return this.runLimited('addReporterMessage', this.normalizeTrackingCode(trackingCode), (pin || '').trim(), payload);
+    }
+
+    async markThreadRead(reportId) {
+        return this.run('markThreadRead', reportId);
+    }
+
+    // Messages in `replies` come from the counselor unless marked as coming from the reporter
+    countUnread(report, reader) {
+        const readAt = new Date(report[`${reader}ReadAt`] || 0);
+        return (report.replies || [])
+            .filter(entry => (entry.from === 'reporter') !== (reader === 'reporter'))
+            .filter(entry => new Date(entry.timestamp) > readAt)
+            .length;
+    }
+
+    async updateAspiration(aspirationId, changes) {
+        return this.run('updateAspiration', aspirationId, changes);
+    }
+
+    async getAspirationBoard() {
+        return (await this.run('getAspirationBoard')) || [];
+    }
+
+    async voteAspiration(aspirationId, voterId) {
+        return this.runLimited('voteAspiration', aspirationId, voterId);
+    }
+
+    async hasAdmin() {
+        return Boolean(await this.run('hasAdmin'));
+    }
+
+    // fields: { username, name, password }; resolves to the new admin account or null
+    async setupAdmin(fields) {
+        return this.run('setupAdmin', fields);
+    }
+
+    // Resolves to the staff account ({ id, username, name, role, permissions }) or null
+    async login(username, password) {
+        return this.runLimited('login', username, password);
+    }
+
+    async getSession() {
+        return this.run('getSession');
+    }
+
+    async logout() {
+        return this.run('logout');
+    }
+
+    async listStaff() {
+        return (await this.run('listStaff')) || [];
+    }
+
+    async createStaff(fields) {
+        return this.run('createStaff', fields);
+    }
+
+    async updateStaff(staffId, changes) {
+        return this.run('updateStaff', staffId, changes);
+    }
+
+    async getAuditLog() {
+        return (await this.run('getAuditLog')) || [];
+    }
+
+    // action: 'case.print' with a report id, or 'records.export' with the export filters
+    async recordExport(action, reportId, details) {
+        return Boolean(await this.run('recordExport', action, reportId, details));
+    }
+
+    async updateStatistics() {
+        const elements = document.querySelectorAll('[data-stat]');
+        if (elements.length === 0) return null;
+
+        const stats = await this.run('getStatistics');
+        if (!stats) return null;
+
+        const figures = { ...stats.totals, averageResolutionDays: stats.averageResolutionDays };
+        elements.forEach(element => {
+            const value = figures[element.dataset.stat];
+            const unit = element.dataset.statUnit;
+            const suffix = !unit ? '' : unit === '%' ? unit : ` ${t(unit)}`;
+            element.textContent = value === null || value === undefined ? '–' : `${value}${suffix}`;
+        });
+        return stats;
+    }
+
+    async exportData() {
+        const data = await this.run('exportData');
+        if (!data) return false;
+        const exportData = {
+            ...data,
+            exportDate: new Date().toISOString(),
+            platform: 'Stop Cyberbullying - SMA Negeri 34 Jakarta'
+        };
+        
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+            type: 'application/json'
+        });
+        
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `cyberbullying_data_${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    async clearData() {
+        if (confirm(t('Apakah Anda yakin ingin menghapus semua data? Tindakan ini tidak dapat dibatalkan.'))) {
+            if (await this.run('clear')) {
+                this.updateStatistics();
+                alert(t('Data berhasil dihapus.'));
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+class FormValidator {
+    constructor(schemas = FORM_SCHEMAS) {
+        this.schemas = schemas;
+        this.rules = {
+            required: (value) => typeof value === 'string' ? value !== '' : Array.isArray(value) ? value.length > 0 : Boolean(value),
+            email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+            minLength: (value, min) => value.length >= min,
+            maxLength: (value, max) => value.length <= max,
+            pattern: (value, pattern) => pattern.test(value),
+            matches: (value, otherField, values) => value === values[otherField],
+            custom: (value, test, values) => test(value, values),
+            fileSize: (file, maxSize) => file.size <= maxSize,
+            fileType: (file, allowedTypes) => allowedTypes.includes(file.type)
+        };
+        this.fileRules = ['fileSize', 'fileType'];
+    }
+
+    static async imagesDecode(files) {
+        if (typeof createImageBitmap === 'undefined') return true;
+
+        for (const file of files.filter(f => f.type.startsWith('image/'))) {
+            try {
+                (await createImageBitmap(file)).close();
+            } catch (error) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    getFields(form) {
+        return Array.from(form.querySelectorAll('input, select, textarea'))
+            .filter(field => field.name && field.type !== 'hidden' && !field.disabled && !field.closest('[hidden]'));
+    }
+
+    getRules(field, form) {
+        const schema = (form && this.schemas[form.id]) || {};
+        const rules = (schema[field.name] || []).slice();
+
+        if (field.hasAttribute('required')) {
+            rules.push({ type: 'required' });
+        }
+        if (field.type === 'email') {
+            rules.push({ type: 'email' });
+        }
+        if (field.hasAttribute('minlength')) {
+            rules.push({ type: 'minLength', value: Number(field.getAttribute('minlength')) });
+        }
+        if (field.hasAttribute('maxlength')) {
+            rules.push({ type: 'maxLength', value: Number(field.getAttribute('maxlength')) });
+        }
+
+        return rules;
+    }
+
+    getValues(form, getFiles = field => Array.from(field.files)) {
+        const values = {};
+        this.getFields(form).forEach(field => {
+            if (field.type === 'checkbox') {
+                values[field.name] = field.checked;
+            } else if (field.type === 'file') {
+                values[field.name] = getFiles(field);
+            } else {
+                values[field.name] = field.value.trim();
+            }
+        });
+        return values;
+    }
+
+    async validateField(field, rules = [], context = {}) {
+        const values = context.values || {};
+        const value = field.name in values ? values[field.name] : field.value.trim();
+        const isEmpty = !this.rules.required(value);
+        const errors = [];
+
+        for (const rule of rules) {
+            if (rule.when && !rule.when(values, context.form || field.form)) continue;
+
+            if (this.fileRules.includes(rule.type)) {
+                (Array.isArray(value) ? value : []).forEach(file => {
+                    if (!this.rules[rule.type](file, rule.value)) {
+                        errors.push(rule.message ? t(rule.message) : this.fileMessage(rule.type, file));
+                    }
+                });
+            } else if (rule.type === 'required' ? isEmpty : !isEmpty && !await this.rules[rule.type](value, rule.value, values)) {
+                errors.push(rule.message ? t(rule.message) : this.defaultMessage(rule));
+            }
+
+            // Expensive or async checks are pointless once a simpler rule has failed
+            if (errors.length > 0) break;
+        }
+
+        return errors;
+    }
+
+    defaultMessage(rule) {
+        switch (rule.type) {
+            case 'required': return t('Field ini wajib diisi');
+            case 'email': return t('Format email tidak valid');
+            case 'minLength': return t('Minimal {n} karakter', { n: rule.value });
+            case 'maxLength': return t('Maksimal {n} karakter', { n: rule.value });
+            default: return t('Isian tidak valid');
+        }
+    }
+
+    fileMessage(type, file) {
+        return type === 'fileSize'
+            ? t('File {name} terlalu besar. Maksimal 5MB.', { name: file.name })
+            : t('Format file {name} tidak didukung.', { name: file.name });
+    }
+
+    validateFiles(files, rules = {}) {
+        const errors = [];
+        const maxSize = rules.maxSize || EVIDENCE_MAX_SIZE;
+        const allowedTypes = rules.allowedTypes || EVIDENCE_TYPES;
+
+        Array.from(files).forEach(file => {
+            if (!this.rules.fileSize(file, maxSize)) {
+                errors.push(this.fileMessage('fileSize', file));
+            }
+            if (!this.rules.fileType(file, allowedTypes)) {
+                errors.push(this.fileMessage('fileType', file));
+            }
+        });
+
+        return errors;
+    }
+
+    showFieldError(field, message) {
+        this.clearFieldError(field);
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        
+        const fieldGroup = field.closest('.form-group');
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.id = this.errorIdOf(field);
+        errorDiv.textContent = message;
+        fieldGroup.appendChild(errorDiv);
+        // Read out with the field, after any hint it is already described by
+        this.setDescribedBy(field, [...this.describedBy(field), errorDiv.id]);
+    }
+
+    clearFieldError(field) {
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        this.setDescribedBy(field, this.describedBy(field).filter(id => id !== this.errorIdOf(field)));
+        const fieldGroup = field.closest('.form-group');
+        const existingError = fieldGroup?.querySelector('.error-message');
+        if (existingError) {
+            existingError.remove();
+        }
+    }
+
+    errorIdOf(field) {
+        return `${field.id || `${field.form?.id || 'form'}-${field.name}`}-error`;
+    }
+
+    describedBy(field) {
+        return (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    }
+
+    setDescribedBy(field, ids) {
+        if (ids.length > 0) {
+            field.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    // Lists every problem at the top of the form and moves focus there, so keyboard and
+    // screen reader users learn about errors further down without hunting for them
+    showErrorSummary(form, errors) {
+        this.clearErrorSummary(form);
+        if (errors.length === 0) return;
+
+        const summary = document.createElement('div');
+        summary.className = 'form-error-summary';
+        summary.setAttribute('role', 'alert');
+        summary.tabIndex = -1;
+
+        const heading = document.createElement('p');
+        heading.textContent = t('Periksa kembali {count} isian berikut:', { count: errors.length });
+        summary.appendChild(heading);
+
+        const list = document.createElement('ul');
+        errors.forEach(({ field, message }) => {
+            const label = field.id ? form.querySelector(`label[for="${field.id}"]`) : null;
+            const link = document.createElement('a');
+            link.href = `#${field.id}`;
+            link.textContent = label ? `${label.textContent.trim()}: ${message}` : message;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                field.focus();
+            });
+
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        summary.appendChild(list);
+
+        form.insertBefore(summary, form.firstChild);
+        summary.focus();
+    }
+
+    clearErrorSummary(form) {
+        form.querySelector('.form-error-summary')?.remove();
+    }
+}
+
+// Keeps keyboard focus inside an open modal and hands it back to whatever had it before, so
+// keyboard and screen reader users never end up behind the overlay
+class DialogFocus {
+    constructor(modal) {
+        this.modal = modal;
+        this.returnTo = null;
+        modal.addEventListener('keydown', (e) => this.trap(e));
+    }
+
+    open(initialFocus = null) {
+        // Opening again while open (a second message) keeps the original place to return to
+        if (!this.modal.contains(document.activeElement)) {
+            this.returnTo = document.activeElement;
+        }
+        (initialFocus || this.focusable()[0] || this.modal).focus();
+    }
+
+    close() {
+        if (this.returnTo?.isConnected) {
+            this.returnTo.focus();
+        }
+        this.returnTo = null;
+    }
+
+    focusable() {
+        return Array.from(this.modal.querySelectorAll('a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+            .filter(element => !element.disabled && !element.closest('[hidden]'));
+    }
+
+    trap(event) {
+        if (event.key !== 'Tab') return;
+        const focusable = this.focusable();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!first) {
+            event.preventDefault();
+        } else if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+class RedactionEditor {
+    constructor(modal) {
+        this.modal = modal;
+        this.focus = new DialogFocus(modal);
+        this.canvas = modal.querySelector('#redactionCanvas');
+        // Taken when the first image is opened: most visits never redact anything
+        this.context = null;
+        this.stripMetadata = modal.querySelector('#redactionStripMetadata');
+        this.tool = 'black';
+        this.boxes = [];
+        this.draft = null;
+        this.image = null;
+        this.resolve = null;
+
+        modal.querySelectorAll('[data-redaction-tool]').forEach(button => {
+            button.addEventListener('click', () => this.selectTool(button.dataset.redactionTool));
+        });
+        modal.querySelector('#redactionUndo').addEventListener('click', () => {
+            this.boxes.pop();
+            this.draw();
+        });
+        modal.querySelector('#redactionSave').addEventListener('click', () => this.save());
+        modal.querySelectorAll('#redactionCancel, .close').forEach(button => {
+            button.addEventListener('click', () => this.close(null));
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.resolve) {
+                this.close(null);
+            }
+        });
+
+        this.canvas.addEventListener('pointerdown', (e) => this.startBox(e));
+        this.canvas.addEventListener('pointermove', (e) => this.resizeBox(e));
+        this.canvas.addEventListener('pointerup', () => this.finishBox());
+        this.canvas.addEventListener('pointercancel', () => {
+            this.draft = null;
+            this.draw();
+        });
+    }
+
+    // Resolves with the redacted File, the untouched original, or null when cancelled
+    async open(file) {
+        if (this.resolve) return file;
+
+        try {
+            this.image = await this.loadImage(file);
+        } catch (error) {
+            console.error('Error loading image for redaction:', error);
+            return file;
+        }
+
+        this.context = this.context || this.canvas.getContext('2d');
+        this.file = file;
+        this.boxes = [];
+        this.draft = null;
+        this.stripMetadata.checked = true;
+        this.canvas.width = this.image.naturalWidth;
+        this.canvas.height = this.image.naturalHeight;
+        this.modal.querySelector('#redactionFileName').textContent = file.name;
+        this.selectTool('black');
+        this.draw();
+
+        this.modal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+        this.focus.open(this.modal.querySelector('[data-redaction-tool]'));
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close(result) {
+        this.modal.style.display = 'none';
+        document.body.style.overflow = 'auto';
+        this.focus.close();
+        URL.revokeObjectURL(this.image.src);
+        this.image = null;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve(result === null ? this.file : result);
+    }
+
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => {
+                URL.revokeObjectURL(image.src);
+                reject(new Error(`Could not decode ${file.name}`));
+            };
+            image.src = URL.createObjectURL(file);
+        });
+    }
+
+    selectTool(tool) {
+        this.tool = tool;
+        this.modal.querySelectorAll('[data-redaction-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.redactionTool === tool);
+            button.setAttribute('aria-pressed', button.dataset.redactionTool === tool);
+        });
+    }
+
+    // The canvas is scaled down by CSS, so pointer positions are mapped back to image pixels
+    toImagePoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max(0, (event.clientX - rect.left) * (this.canvas.width / rect.width)), this.canvas.width),
+            y: Math.min(Math.max(0, (event.clientY - rect.top) * (this.canvas.height / rect.height)), this.canvas.height)
+        };
+    }
+
+    startBox(event) {
+        if (!this.image) return;
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+        const point = this.toImagePoint(event);
+        this.draft = { startX: point.x, startY: point.y, x: point.x, y: point.y, width: 0, height: 0, tool: this.tool };
+    }
+
+    resizeBox(event) {
+        if (!this.draft) return;
+        const point = this.toImagePoint(event);
+        this.draft.x = Math.min(this.draft.startX, point.x);
+        this.draft.y = Math.min(this.draft.startY, point.y);
+        this.draft.width = Math.abs(point.x - this.draft.startX);
+        this.draft.height = Math.abs(point.y - this.draft.startY);
+        this.draw();
+    }
+
+    finishBox() {
+        if (!this.draft) return;
+        if (this.draft.width >= 4 && this.draft.height >= 4) {
+            this.boxes.push(this.draft);
+        }
+        this.draft = null;
+        this.draw();
+    }
+
+    draw() {
+        const ctx = this.context;
+        ctx.drawImage(this.image, 0, 0);
+        this.boxes.forEach(box => this.applyBox(box));
+
+        if (this.draft) {
+            ctx.save();
+            ctx.strokeStyle = '#667eea';
+            ctx.lineWidth = Math.max(2, this.canvas.width / 400);
+            ctx.setLineDash([8, 6]);
+            ctx.strokeRect(this.draft.x, this.draft.y, this.draft.width, this.draft.height);
+            ctx.restore();
+        }
+    }
+
+    applyBox(box) {
+        const ctx = this.context;
+        const x = Math.round(box.x);
+        const y = Math.round(box.y);
+        const width = Math.round(box.width);
+        const height = Math.round(box.height);
+
+        if (box.tool === 'black') {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(x, y, width, height);
+            return;
+        }
+
+        // Coarse pixelation instead of a soft blur: small blurs on text can be reversed
+        const blockSize = Math.max(12, Math.round(Math.min(width, height) / 4));
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.ceil(width / blockSize));
+        small.height = Math.max(1, Math.ceil(height / blockSize));
+        small.getContext('2d').drawImage(this.canvas, x, y, width, height, 0, 0, small.width, small.height);
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(small, 0, 0, small.width, small.height, x, y, width, height);
+        ctx.restore();
+    }
+
+    save() {
+        if (this.boxes.length === 0 && !this.stripMetadata.checked) {
+            this.close(this.file);
+            return;
+        }
+
+        // Re-encoding through the canvas drops EXIF/GPS and every other metadata block.
+        // GIFs become PNG because canvases cannot encode GIF.
+        const type = this.file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+        const name = type === this.file.type ? this.file.name : this.file.name.replace(/\.[^.]+$/, '') + '.png';
+
+        this.draft = null;
+        this.draw();
+        this.canvas.toBlob(blob => {
+            if (!blob) {
+                console.error('Error encoding redacted image');
+                this.close(null);
+                return;
+            }
+            this.close(new File([blob], name, { type: type, lastModified: Date.now() }));
+        }, type, 0.92);
+    }
+}
+
+class ReportWizard {
+    constructor(form, platform) {
+        this.form = form;
+        this.platform = platform;
+        this.steps = Array.from(form.querySelectorAll('.wizard-step'));
+        this.progressItems = Array.from(form.querySelectorAll('.wizard-progress li'));
+        this.stepField = form.querySelector('#wizardStep');
+        this.backButton = form.querySelector('#wizardBack');
+        this.nextButton = form.querySelector('#wizardNext');
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.current = 0;
+
+        this.backButton.addEventListener('click', () => this.goTo(this.current - 1));
+        this.nextButton.addEventListener('click', () => this.next());
+        form.querySelector('#wizardRestart')?.addEventListener('click', () => this.restart());
+        form.addEventListener('reset', () => setTimeout(() => {
+            this.goTo(0, false);
+            form.querySelector('#wizardResume').hidden = true;
+        }));
+
+        // Links in the error summary may point at a field on another step
+        form.addEventListener('click', (e) => {
+            const link = e.target.closest('.form-error-summary a');
+            if (link) {
+                this.showStepOf(form.querySelector(link.hash));
+            }
+        }, true);
+
+        this.goTo(0, false);
+    }
+
+    isLastStep() {
+        return this.current === this.steps.length - 1;
+    }
+
+    async next() {
+        if (!await this.platform.validateForm(this.form, this.steps[this.current])) return;
+        this.goTo(this.current + 1);
+        this.platform.saveAutoSave(this.form.id);
+    }
+
+    goTo(index, moveFocus = true) {
+        this.current = Math.max(0, Math.min(index, this.steps.length - 1));
+        this.stepField.value = this.current + 1;
+
+        this.steps.forEach((step, i) => step.classList.toggle('active', i === this.current));
+        this.progressItems.forEach((item, i) => {
+            item.classList.toggle('active', i === this.current);
+            item.classList.toggle('complete', i < this.current);
+            if (i === this.current) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        this.backButton.hidden = this.current === 0;
+        this.nextButton.hidden = this.isLastStep();
+        this.submitButton.hidden = !this.isLastStep();
+
+        if (this.isLastStep()) {
+            this.renderReview();
+        }
+        if (moveFocus) {
+            this.platform.validator.clearErrorSummary(this.form);
+            this.steps[this.current].querySelector('legend').focus();
+        }
+    }
+
+    showStepOf(field) {
+        const step = this.steps.findIndex(s => s.contains(field));
+        if (step !== -1 && step !== this.current) {
+            this.goTo(step, false);
+        }
+    }
+
+    showFirstError() {
+        this.showStepOf(this.form.querySelector('.wizard-step .error'));
+    }
+
+    // Called once the auto-saved draft has been put back into the form
+    resume() {
+        const savedStep = parseInt(this.stepField.value, 10) - 1;
+        if (savedStep > 0) {
+            this.goTo(savedStep, false);
+            this.form.querySelector('#wizardResume').hidden = false;
+        }
+    }
+
+    restart() {
+        this.form.reset();
+        this.platform.clearSelectedFiles(this.form);
+        this.platform.clearFormErrors(this.form);
+        this.platform.clearAutoSave(this.form.id);
+        setTimeout(() => this.goTo(0));
+    }
+
+    renderReview() {
+        const review = this.form.querySelector('#reportReview');
+        const values = this.platform.getFormValues(this.form);
+        const platform = t(PLATFORMS[values.platform] || '-');
+        const files = values.evidence || [];
+        review.innerHTML = '';
+
+        [
+            ['Jenis Laporan', t(REPORT_TYPES[values.reportType] || '-'), 0],
+            ['Deskripsi', values.description || '-', 0],
+            ['Platform', values.platformOther ? `${platform} (${values.platformOther})` : platform, 1],
+            ['Bukti', files.length > 0 ? files.map(file => file.name).join(', ') : t('Tidak ada'), 2],
+            ['Urgensi', t(URGENCY_LEVELS[values.urgency] || '-'), 3],
+            ['Anonim', values.anonymous ? t('Ya') : t('Tidak'), 3],
+            ...(values.urgency === 'critical'
+                ? [['Minta Dihubungi', values.contactRequested ? t('Ya: {contact}', { contact: values.contactDetails }) : t('Tidak'), 3]]
+                : [])
+        ].forEach(([source, description, step]) => {
+            const term = t(source);
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'wizard-edit';
+            edit.textContent = t('Ubah');
+            edit.setAttribute('aria-label', t('Ubah {field}', { field: term.toLowerCase() }));
+            edit.addEventListener('click', () => this.goTo(step));
+            dt.appendChild(edit);
+
+            const dd = document.createElement('dd');
+            dd.textContent = description;
+            review.appendChild(dt);
+            review.appendChild(dd);
+        });
+    }
+}
+
+// Suggestions from the description classifier (classifier.js). They are only offered: the form
+// changes when the student presses "Gunakan saran", never on its own.
+class ReportSuggestions {
+    constructor(form, classifier, platform) {
+        this.form = form;
+        this.classifier = classifier;
+        this.typeBox = form.querySelector('#typeSuggestion');
+        this.urgencyBox = form.querySelector('#urgencySuggestion');
+        this.support = form.querySelector('#selfHarmSupport');
+        this.result = null;
+        this.dismissed = new Set();
+
+        form.elements.description.addEventListener('input', platform.debounce(() => this.refresh(), 400));
+        ['reportType', 'urgency'].forEach(name => {
+            form.elements[name].addEventListener('change', () => this.render());
+        });
+        form.addEventListener('reset', () => setTimeout(() => {
+            this.dismissed.clear();
+            this.refresh();
+        }));
+    }
+
+    refresh() {
+        this.result = this.classifier.analyze(this.form.elements.description.value);
+        this.render();
+    }
+
+    render() {
+        if (!this.result) return;
+        const { type, urgency, reasons, selfHarm, matches } = this.result;
+        const currentType = this.form.elements.reportType.value;
+        const currentUrgency = this.form.elements.urgency.value;
+        const urgencies = Object.keys(URGENCY_LEVELS);
+
+        // 'alamat' inside 'alamat rumah' is listed once
+        const found = matches.filter(match => match.category === type).map(match => match.text);
+        const words = [...new Set(found)].filter(text => !found.some(other => other !== text && other.includes(text)));
+        this.renderSuggestion(this.typeBox, 'reportType', type && type !== currentType ? type : null,
+            t('Dari ceritamu, laporan ini tampaknya termasuk {label}.', { label: t(REPORT_TYPES[type]) }),
+            t('Berdasarkan kata: {words}. Kamu tetap bebas memilih jenis lain.', { words: words.slice(0, 5).join(', ') }));
+
+        this.renderSuggestion(this.urgencyBox, 'urgency', urgency && urgencies.indexOf(urgency) > urgencies.indexOf(currentUrgency) ? urgency : null,
+            t('Ceritamu menyebut {reasons}. Pertimbangkan urgensi {label}.', {
+                reasons: reasons.map(reason => t(URGENCY_REASONS[reason])).join(', ') || t(REPORT_TYPES[type]).toLowerCase(),
+                label: t(URGENCY_LEVELS[urgency])
+            }),
+            t('Urgensi yang lebih tinggi membuat Guru BK menangani laporanmu lebih cepat.'));
+
+        this.support.hidden = !selfHarm;
+    }
+
+    renderSuggestion(box, field, value, message, detail) {
+        box.innerHTML = '';
+        box.hidden = !value || this.dismissed.has(`${field}:${value}`);
+        if (box.hidden) return;
+
+        const text = document.createElement('p');
+        text.innerHTML = '<i class="fas fa-lightbulb" aria-hidden="true"></i> ';
+        text.appendChild(document.createTextNode(message));
+        const note = document.createElement('small');
+        note.textContent = detail;
+
+        const apply = document.createElement('button');
+        apply.type = 'button';
+        apply.textContent = t('Gunakan saran');
+        apply.addEventListener('click', () => {
+            const select = this.form.elements[field];
+            select.value = value;
+            // Lets conditional fields, validation and the draft auto-save see the new choice
+            select.dispatchEvent(new Event('input', { bubbles: true }));
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+            select.focus();
+        });
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.textContent = t('Abaikan');
+        dismiss.addEventListener('click', () => {
+            this.dismissed.add(`${field}:${value}`);
+            this.render();
+            this.form.elements[field].focus();
+        });
+
+        box.append(text, note, apply, dismiss);
+    }
+}
+
+class AdminDashboard {
+    constructor(platform) {
+        this.platform = platform;
+        this.storage = platform.storage;
+        this.access = new AccessControl();
+        this.user = null;
+        this.selectedReportId = null;
+        this.evidenceUrls = [];
+        this.init();
+    }
+
+    init() {
+        this.loginSection = document.getElementById('adminLogin');
+        this.dashboard = document.getElementById('adminDashboard');
+        this.loginForm = document.getElementById('adminLoginForm');
+        this.filterForm = document.getElementById('reportFilters');
+
+        this.loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        document.getElementById('adminLogout')?.addEventListener('click', () => this.logout());
+        document.getElementById('generateTeamKeys')?.addEventListener('click', () => this.generateTeamKeys());
+        document.getElementById('privateKeyFile')?.addEventListener('change', (e) => this.importPrivateKey(e));
+        document.getElementById('notificationsEnabled')?.addEventListener('change', (e) => this.toggleNotifications(e.target));
+
+        const dataSection = document.getElementById('adminData');
+        if (dataSection) {
+            this.archivePanel = new ArchivePanel(dataSection, this);
+        }
+        const staffSection = document.getElementById('adminStaff');
+        if (staffSection) {
+            this.staffPanel = new StaffPanel(staffSection, this);
+        }
+        const auditSection = document.getElementById('adminAudit');
+        if (auditSection) {
+            this.auditPanel = new AuditLogPanel(auditSection, this);
+        }
+        this.casePanel = new CasePanel(this);
+
+        this.populateSelect(this.filterForm.querySelector('[name="urgency"]'), URGENCY_LEVELS);
+        this.populateSelect(this.filterForm.querySelector('[name="type"]'), REPORT_TYPES);
+        this.populateSelect(this.filterForm.querySelector('[name="platform"]'), PLATFORMS);
+        this.populateSelect(this.filterForm.querySelector('[name="status"]'), REPORT_STATUSES);
+        this.filterForm.addEventListener('change', () => this.renderReportList());
+        this.filterForm.addEventListener('reset', () => setTimeout(() => this.renderReportList(), 0));
+
+        // With local storage, reports sent from another tab show up without a reload
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storage.storageKey && !this.dashboard.hidden) {
+                this.refresh();
+            }
+        });
+        document.addEventListener('i18n:change', () => {
+            if (this.dashboard.hidden) {
+                this.showLogin();
+            } else {
+                this.showDashboard();
+            }
+        });
+
+        this.restoreSession();
+    }
+
+    // The session itself lives in the storage adapter (a server token, or the account id when
+    // there is no server); asking for it also picks up role changes made since signing in
+    async restoreSession() {
+        this.user = await this.storage.getSession();
+        if (this.user) {
+            this.showDashboard();
+        } else {
+            this.showLogin();
+        }
+    }
+
+    can(permission) {
+        return this.access.can(this.user, permission);
+    }
+
+    async showLogin() {
+        const isSetup = !await this.storage.hasAdmin();
+        const confirmGroup = document.getElementById('adminPasswordConfirmGroup');
+        const confirmField = document.getElementById('adminPasswordConfirm');
+        const nameGroup = document.getElementById('adminNameGroup');
+
+        confirmGroup.hidden = !isSetup;
+        confirmField.required = isSetup;
+        nameGroup.hidden = !isSetup;
+        nameGroup.querySelector('input').required = isSetup;
+        document.getElementById('adminLoginLabel').textContent = isSetup ? t('Buat Akun Admin & Masuk') : t('Masuk');
+        document.getElementById('adminLoginHint').textContent = isSetup
+            ? t('Belum ada akun staf. Buat akun administrator pertama, lalu buat akun untuk Guru BK dan kepala sekolah di tab Staf.')
+            : t('Halaman ini khusus untuk staf SMA Negeri 34 Jakarta. Masuk dengan akun Anda sendiri.');
+
+        this.loginSection.hidden = false;
+        this.dashboard.hidden = true;
+    }
+
+    showDashboard() {
+        this.loginSection.hidden = true;
+        this.dashboard.hidden = false;
+        document.getElementById('adminUserName').textContent = `${this.user.name} (${t(STAFF_ROLES[this.user.role] || this.user.role)})`;
+        this.applyPermissions();
+        this.renderKeyStatus();
+        if (this.can('settings:manage')) this.renderNotificationSetting();
+        this.renderReportList();
+        if (this.can('aspirations:manage')) this.renderAspirationList();
+        this.staffPanel?.refresh();
+        this.auditPanel?.refresh();
+    }
+
+    // Controls the role may not use are hidden; the storage layer refuses the actions anyway.
+    // data-permission lists the permissions that each unlock the element.
+    applyPermissions() {
+        this.dashboard.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !element.dataset.permission.split(' ').some(permission => this.can(permission));
+        });
+
+        const activeTab = this.dashboard.querySelector('.tab-btn.active');
+        if (activeTab && activeTab.hidden) {
+            this.dashboard.querySelector('.tab-btn:not([hidden])').click();
+        }
+    }
+
+    async handleLogin(event) {
+        event.preventDefault();
+        const form = event.target;
+
+        if (!await this.platform.validateForm(form)) {
+            return;
+        }
+
+        const formData = new FormData(form);
+        const username = formData.get('adminUsername').trim();
+        const password = formData.get('adminPassword');
+        const passwordField = form.querySelector('#adminPassword');
+        let user;
+
+        if (!await this.storage.hasAdmin()) {
+            user = await this.storage.setupAdmin({ username: username, name: formData.get('adminName').trim(), password: password });
+            if (!user) {
+                this.platform.validator.showFieldError(passwordField, t('Akun gagal dibuat. Silakan coba lagi.'));
+                return;
+            }
+        } else {
+            user = await this.storage.login(username, password);
+            if (!user || user.throttled) {
+                this.platform.validator.showFieldError(passwordField, user
+                    ? t('Terlalu banyak percobaan masuk yang gagal. Coba lagi dalam {minutes} menit.', { minutes: Math.max(1, Math.ceil(user.retryAfter / 60000)) })
+                    : t('Nama pengguna atau kata sandi salah'));
+                return;
+            }
+        }
+
+        form.reset();
+        this.user = user;
+        this.showDashboard();
+    }
+
+    async logout() {
+        await this.storage.logout();
+        // Shared staff computers should not keep the ability to decrypt reports
+        await this.storage.crypto.forgetPrivateKey().catch(() => null);
+        this.user = null;
+        this.selectedReportId = null;
+        document.getElementById('reportDetail').innerHTML = '';
+        this.showLogin();
+    }
+
+    async renderNotificationSetting() {
+        const toggle = document.getElementById('notificationsEnabled');
+        const settings = await this.storage.getSettings();
+        if (toggle && settings) {
+            toggle.checked = settings.notifications;
+        }
+    }
+
+    async toggleNotifications(toggle) {
+        // Browsers only allow the permission prompt in response to a click like this one
+        if (toggle.checked && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+        if (!await this.storage.updateSettings({ notifications: toggle.checked })) {
+            toggle.checked = !toggle.checked;
+            alert(t('Pengaturan notifikasi gagal disimpan. Silakan coba lagi.'));
+        }
+    }
+
+    // Local storage has no server to send email or chat messages, so an open dashboard tab
+    // announces reports that arrive from other tabs with a desktop notification instead
+    async announceNewReports(reports) {
+        // A held report counts as new once it is released
+        reports = reports.filter(report => report.status !== 'held');
+        const newReports = reports.filter(report => this.knownReportIds && !this.knownReportIds.has(report.id));
+        this.knownReportIds = new Set(reports.map(report => report.id));
+
+        if (newReports.length === 0 || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        if (!(await this.storage.getSettings())?.notifications) return;
+
+        newReports.forEach(report => {
+            const urgency = t(URGENCY_LEVELS[report.urgency] || report.urgency);
+            const title = t('Laporan {urgency} masuk', { urgency: urgency });
+            new Notification(report.escalated ? t('DARURAT: {title}', { title: title }) : title, {
+                body: `${t(REPORT_TYPES[report.type] || report.type)} (${report.trackingCode})`,
+                tag: report.id
+            });
+        });
+    }
+
+    async renderKeyStatus() {
+        const status = document.getElementById('keyStatus');
+        if (!status) return;
+
+        const publicKey = await this.storage.getCounselorPublicKey();
+        const privateKey = await this.storage.crypto.getPrivateKey().catch(() => null);
+        let message = t('Enkripsi aktif. Kunci privat tim BK dimuat (ID {kid}).', { kid: publicKey?.kid });
+        let isWarning = false;
+
+        if (!publicKey) {
+            message = t('Enkripsi belum aktif. Buat kunci tim agar laporan baru terenkripsi.');
+            isWarning = true;
+        } else if (!privateKey) {
+            message = t('Kunci publik aktif (ID {kid}). Impor kunci privat untuk membaca laporan.', { kid: publicKey.kid });
+            isWarning = true;
+        } else if (privateKey.kid !== publicKey.kid) {
+            message = t('Kunci privat yang dimuat (ID {loaded}) bukan pasangan kunci aktif (ID {active}). Laporan baru tidak dapat dibuka.', { loaded: privateKey.kid, active: publicKey.kid });
+            isWarning = true;
+        }
+
+        status.textContent = message;
+        status.classList.toggle('warning', isWarning);
+    }
+
+    async generateTeamKeys() {
+        if (await this.storage.getCounselorPublicKey() &&
+            !confirm(t('Kunci tim sudah ada. Laporan lama hanya bisa dibuka dengan kunci privat lama. Buat kunci baru?'))) {
+            return;
+        }
+
+        const { publicKey, privateKey } = await this.storage.crypto.generateTeamKeys();
+        this.platform.downloadBlob(
+            new Blob([JSON.stringify(privateKey, null, 2)], { type: 'application/json' }),
+            `kunci-privat-bk-${privateKey.kid}.json`
+        );
+
+        if (!await this.storage.setCounselorPublicKey(publicKey)) {
+            alert(t('Kunci publik gagal disimpan. Silakan coba lagi.'));
+            return;
+        }
+        await this.storage.crypto.importPrivateKey(privateKey);
+
+        alert(t('Kunci privat tim BK telah diunduh. Simpan file ini di tempat aman dan bagikan hanya kepada Guru BK. Tanpa file ini laporan tidak dapat dibuka.'));
+        this.renderKeyStatus();
+        this.refresh();
+    }
+
+    async importPrivateKey(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            await this.storage.crypto.importPrivateKey(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Error importing private key:', error);
+            alert(t('File kunci privat tidak valid.'));
+        }
+
+        event.target.value = '';
+        this.renderKeyStatus();
+        this.refresh();
+    }
+
+    populateSelect(select, options) {
+        if (!select) return;
+        Object.entries(options).forEach(([value, label]) => {
+            const option = new Option(t(label), value);
+            option.dataset.i18n = label;
+            select.appendChild(option);
+        });
+    }
+
+    createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    // Merged duplicates are handled through their lead report and stay out of the queue, as do
+    // reports rejected as junk unless the status filter asks for them
+    filterReports(reports) {
+        const filters = Object.fromEntries(new FormData(this.filterForm).entries());
+
+        return reports
+            .filter(report => !report.mergedInto)
+            .filter(report => report.status !== 'rejected' || filters.status === 'rejected')
+            .filter(report => Object.keys(filters).every(key => !filters[key] || report[key] === filters[key]))
+            .sort((a, b) => this.isOpenEscalation(b) - this.isOpenEscalation(a) || new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    // Critical reports stay at the top of the queue until they are resolved
+    isOpenEscalation(report) {
+        return Boolean(report.escalated) && report.status !== 'resolved';
+    }
+
+    renderEscalationAlert(reports) {
+        const alertBox = document.getElementById('escalationAlert');
+        if (!alertBox) return;
+
+        const open = reports.filter(report => this.isOpenEscalation(report));
+        alertBox.hidden = open.length === 0;
+        alertBox.textContent = t('{count} laporan darurat belum selesai. Tangani laporan bertanda merah terlebih dahulu.', { count: open.length });
+    }
+
+    renderModerationNotice(reports) {
+        const notice = document.getElementById('moderationNotice');
+        if (!notice) return;
+
+        const held = reports.filter(report => report.status === 'held');
+        notice.hidden = held.length === 0;
+        notice.textContent = t('{count} laporan ditahan karena terindikasi spam atau candaan. Periksa isinya, lalu lepaskan ke antrean atau tolak.', { count: held.length });
+    }
+
+    // Records the storage could not repair are set aside, not deleted; the backup download keeps them
+    renderIntegrityNotice(quarantine) {
+        const notice = document.getElementById('integrityNotice');
+        if (!notice) return;
+
+        notice.hidden = quarantine.length === 0;
+        notice.textContent = t('{count} data rusak dipisahkan agar tidak mengganggu dashboard. Data tersebut tetap tersimpan dan ikut dalam file cadangan JSON untuk diperiksa.', { count: quarantine.length });
+    }
+
+    async renderReportList() {
+        const tbody = document.getElementById('reportList');
+        const data = await this.storage.getData();
+        const allReports = data.reports || [];
+        const reports = this.filterReports(allReports);
+        tbody.innerHTML = '';
+
+        this.renderEscalationAlert(allReports);
+        this.renderModerationNotice(allReports);
+        this.renderIntegrityNotice(data.quarantine || []);
+        this.announceNewReports(allReports);
+
+        document.getElementById('reportCount').textContent = t('{count} laporan', { count: reports.length });
+
+        if (reports.length === 0) {
+            const row = tbody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 7;
+            cell.className = 'admin-empty';
+            cell.textContent = t('Tidak ada laporan yang sesuai filter.');
+            return;
+        }
+
+        reports.forEach(report => {
+            const row = tbody.insertRow();
+            row.dataset.id = report.id;
+            row.tabIndex = 0;
+            row.classList.toggle('selected', report.id === this.selectedReportId);
+            row.classList.toggle('escalated', this.isOpenEscalation(report));
+            row.classList.toggle('held', report.status === 'held');
+
+            [
+                report.trackingCode || report.id.substr(-8),
+                this.platform.formatDate(report.timestamp),
+                t(REPORT_TYPES[report.type] || report.type),
+                this.platformLabel(report),
+                t(URGENCY_LEVELS[report.urgency] || report.urgency),
+                t(REPORT_STATUSES[report.status] || report.status),
+                report.assignedTo || '-'
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            row.cells[4].appendChild(this.createElement('span', `urgency-badge urgency-${report.urgency}`));
+
+            const caseSize = this.casePanel.linker.members(allReports, report.caseId).length;
+            if (caseSize > 1) {
+                const badge = this.createElement('span', 'case-badge');
+                badge.innerHTML = '<i class="fas fa-link" aria-hidden="true"></i> ';
+                badge.appendChild(document.createTextNode(caseSize));
+                badge.title = t('Bagian dari kasus dengan {count} laporan', { count: caseSize });
+                row.cells[0].appendChild(badge);
+            }
+
+            if ((report.screening || []).length > 0) {
+                const badge = this.createElement('span', 'screening-badge');
+                badge.innerHTML = '<i class="fas fa-flag" aria-hidden="true"></i>';
+                badge.title = this.screeningLabel(report);
+                badge.setAttribute('role', 'img');
+                badge.setAttribute('aria-label', badge.title);
+                row.cells[0].appendChild(badge);
+            }
+
+            const unread = this.storage.countUnread(report, 'counselor');
+            if (unread > 0) {
+                const badge = this.createElement('span', 'unread-badge', String(unread));
+                badge.title = t('{count} pesan baru dari pelapor', { count: unread });
+                row.cells[0].appendChild(badge);
+            }
+
+            row.addEventListener('click', () => this.selectReport(report.id));
+            row.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.selectReport(report.id);
+            });
+        });
+    }
+
+    screeningLabel(record) {
+        return t('Terindikasi spam: {reasons}', { reasons: record.screening.map(reason => t(SCREENING_REASONS[reason] || reason)).join(', ') });
+    }
+
+    // Reports flagged by submissions.js say why; a held one is released into the queue or rejected
+    buildModerationSection(report) {
+        const section = this.createElement('div', 'admin-moderation');
+        section.appendChild(this.createElement('p', null, report.status === 'held'
+            ? `${this.screeningLabel(report)}. ${t('Laporan ini belum masuk antrean dan tidak dihitung di statistik.')}`
+            : this.screeningLabel(report)));
+        if (report.status !== 'held' || !this.can('cases:update')) return section;
+
+        const actions = this.createElement('div', 'admin-actions');
+        const release = this.createElement('button', 'btn btn-primary');
+        release.type = 'button';
+        release.innerHTML = `<i class="fas fa-inbox" aria-hidden="true"></i> ${t('Lepaskan ke Antrean')}`;
+        release.addEventListener('click', async () => {
+            await this.storage.updateReport(report.id, { status: 'pending' });
+            this.refresh();
+        });
+
+        const reject = this.createElement('button', 'btn btn-danger');
+        reject.type = 'button';
+        reject.innerHTML = `<i class="fas fa-ban" aria-hidden="true"></i> ${t('Tolak sebagai Spam')}`;
+        reject.addEventListener('click', async () => {
+            if (!confirm(t('Tolak laporan ini sebagai spam? Laporan tetap tersimpan dan bisa dilihat lewat filter status.'))) return;
+            await this.storage.updateReport(report.id, { status: 'rejected' });
+            this.refresh();
+        });
+
+        actions.appendChild(release);
+        actions.appendChild(reject);
+        section.appendChild(actions);
+        return section;
+    }
+
+    platformLabel(report) {
+        const label = t(PLATFORMS[report.platform] || report.platform);
+        return report.platformOther ? `${label} (${report.platformOther})` : label;
+    }
+
+    selectReport(reportId) {
+        this.selectedReportId = reportId;
+        this.refresh();
+    }
+
+    async renderReportDetail() {
+        const container = document.getElementById('reportDetail');
+        const reports = (await this.storage.getData()).reports || [];
+        // Fetched on its own so that opening the case is recorded in the audit log
+        const report = this.selectedReportId ? await this.storage.getReport(this.selectedReportId) : null;
+        container.innerHTML = '';
+        this.evidenceUrls.forEach(url => URL.revokeObjectURL(url));
+        this.evidenceUrls = [];
+        if (!report) return;
+
+        container.appendChild(this.createElement('h3', null, t('Laporan {code}', { code: report.trackingCode || report.id.substr(-8) })));
+
+        const details = this.createElement('dl', 'admin-details');
+        [
+            ['Dikirim', this.platform.formatDate(report.timestamp)],
+            ['Jenis', t(REPORT_TYPES[report.type] || report.type)],
+            ['Platform', this.platformLabel(report)],
+            ['Urgensi', t(URGENCY_LEVELS[report.urgency] || report.urgency)],
+            ['Anonim', report.anonymous ? t('Ya') : t('Tidak')],
+            ['Lampiran', t('{count} file', { count: (report.files || []).length })]
+        ].forEach(([term, description]) => {
+            details.appendChild(this.createElement('dt', null, t(term)));
+            details.appendChild(this.createElement('dd', null, description));
+        });
+        container.appendChild(details);
+        if ((report.screening || []).length > 0) {
+            container.appendChild(this.buildModerationSection(report));
+        }
+        if (this.archivePanel && this.can('cases:export')) {
+            container.appendChild(this.archivePanel.buildPrintForm(report));
+        }
+
+        const contents = await this.openReportContents(report);
+        if (report.contactRequested) {
+            container.appendChild(this.createElement('p', 'admin-contact-request', contents.locked
+                ? t('Pelapor meminta dihubungi. Kontak terenkripsi, impor kunci privat untuk membacanya.')
+                : t('Pelapor meminta dihubungi: {contact}', { contact: contents.contactDetails || '-' })));
+        }
+
+        const description = this.createElement('p', 'admin-description', contents.description);
+        description.classList.toggle('locked', contents.locked);
+        container.appendChild(description);
+        container.appendChild(await this.buildEvidenceList(contents.files, contents.locked));
+
+        container.appendChild(await this.casePanel.buildCaseSection(report, reports));
+
+        // A merged duplicate's status is set through its lead report
+        if (this.can('cases:update') && !report.mergedInto) {
+            container.appendChild(this.buildStatusForm(report, reports));
+        }
+        container.appendChild(this.buildEntrySection(report, 'internalNotes', t('Catatan Internal'), t('Catatan hanya terlihat oleh tim BK'), t('Tambah Catatan')));
+        container.appendChild(await this.buildThreadSection(report));
+        if (this.auditPanel && this.can('audit:view')) {
+            container.appendChild(await this.auditPanel.buildCaseHistory(report));
+        }
+
+        if (this.storage.countUnread(report, 'counselor') > 0) {
+            await this.storage.markThreadRead(report.id);
+            this.renderReportList();
+        }
+    }
+
+    async openReportContents(report) {
+        if (!report.encrypted) {
+            return { description: report.description, contactDetails: report.contactDetails, files: report.files || [], locked: false };
+        }
+
+        try {
+            const opened = await this.storage.crypto.open(report.encrypted);
+            if (opened) {
+                // Sealed file secrets line up with the uploaded evidence by position
+                const files = (report.files || []).map((file, index) => ({ ...file, ...opened.files[index] }));
+                return { description: opened.description, contactDetails: opened.contactDetails, files: files, locked: false };
+            }
+        } catch (error) {
+            console.error('Error decrypting report:', error);
+            return {
+                description: t('Laporan ini tidak dapat dibuka dengan kunci privat yang dimuat. Pastikan Anda mengimpor kunci tim yang benar.'),
+                files: report.files || [],
+                locked: true
+            };
+        }
+
+        return {
+            description: t('Deskripsi terenkripsi. Impor kunci privat tim BK untuk membacanya.'),
+            files: report.files || [],
+            locked: true
+        };
+    }
+
+    async buildEvidenceList(reportFiles, locked, title = t('Bukti Terlampir')) {
+        const section = this.createElement('div', 'admin-evidence');
+        const files = reportFiles.filter(file => file.id);
+
+        if (files.length === 0) {
+            return section;
+        }
+
+        section.appendChild(this.createElement('h4', null, title));
+        const list = this.createElement('ul', 'file-previews');
+
+        for (const file of files) {
+            const item = this.createElement('li', 'file-preview');
+
+            if (locked) {
+                item.appendChild(this.createElement('i', 'fas fa-lock'));
+                item.appendChild(this.createElement('span', 'file-preview-info', t('Bukti terenkripsi ({size})', { size: this.platform.formatFileSize(file.size) })));
+                list.appendChild(item);
+                continue;
+            }
+
+            let blob = await this.storage.getEvidence(file.id);
+            if (blob && file.key) {
+                blob = await this.storage.crypto.decryptBlob(blob, file).catch(error => {
+                    console.error('Error decrypting evidence:', error);
+                    return null;
+                });
+            }
+
+            if (!blob) {
+                item.appendChild(this.createElement('i', 'fas fa-exclamation-triangle'));
+                item.appendChild(this.createElement('span', 'file-preview-info', t('{name} (tidak tersedia)', { name: file.name })));
+                list.appendChild(item);
+                continue;
+            }
+
+            const url = URL.createObjectURL(blob);
+            this.evidenceUrls.push(url);
+
+            if (file.type.startsWith('image/')) {
+                const thumbnail = this.createElement('img');
+                thumbnail.src = url;
+                thumbnail.alt = file.name;
+                item.appendChild(thumbnail);
+            } else {
+                item.appendChild(this.createElement('i', file.type === 'application/pdf' ? 'fas fa-file-pdf' : 'fas fa-file-word'));
+            }
+
+            item.appendChild(this.createElement('span', 'file-preview-info', `${file.name} (${this.platform.formatFileSize(file.size)})`));
+
+            const viewLink = this.createElement('a', 'file-preview-action', t('Lihat'));
+            viewLink.href = url;
+            viewLink.target = '_blank';
+            viewLink.rel = 'noopener';
+            item.appendChild(viewLink);
+
+            const downloadLink = this.createElement('a', 'file-preview-action', t('Unduh'));
+            downloadLink.href = url;
+            downloadLink.download = file.name;
+            item.appendChild(downloadLink);
+
+            list.appendChild(item);
+        }
+
+        section.appendChild(list);
+        return section;
+    }
+
+    buildStatusForm(report, reports) {
+        const form = this.createElement('form', 'admin-status-form');
+        form.innerHTML = `
+            <div class="form-group">
+                <label for="detailStatus">${t('Status')}</label>
+                <select id="detailStatus" name="status"></select>
+            </div>
+            <div class="form-group">
+                <label for="detailAssignee">${t('Guru BK Penanggung Jawab')}</label>
+                <input type="text" id="detailAssignee" name="assignedTo" list="counselorList" placeholder="${t('Nama guru BK')}">
+                <datalist id="counselorList"></datalist>
+            </div>
+            <div class="admin-actions">
+                <button type="submit" class="btn btn-primary"><i class="fas fa-save" aria-hidden="true"></i> ${t('Simpan')}</button>
+                <button type="button" class="btn btn-success" data-action="resolve"><i class="fas fa-check" aria-hidden="true"></i> ${t('Tandai Selesai')}</button>
+            </div>
+        `;
+
+        const statusSelect = form.querySelector('[name="status"]');
+        this.populateSelect(statusSelect, REPORT_STATUSES);
+        statusSelect.value = report.status;
+        form.querySelector('[name="assignedTo"]').value = report.assignedTo || '';
+
+        const counselors = new Set(reports.map(r => r.assignedTo).filter(Boolean));
+        counselors.add(this.user.name);
+        counselors.forEach(name => form.querySelector('datalist').appendChild(new Option(name)));
+
+        const resolveBtn = form.querySelector('[data-action="resolve"]');
+        resolveBtn.disabled = report.status === 'resolved';
+        resolveBtn.addEventListener('click', async () => {
+            await this.storage.updateReport(report.id, { status: 'resolved' });
+            this.refresh();
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            await this.storage.updateReport(report.id, {
+                status: formData.get('status'),
+                assignedTo: formData.get('assignedTo').trim()
+            });
+            this.refresh();
+        });
+
+        return form;
+    }
+
+    buildEntrySection(report, listName, title, hint, buttonLabel) {
+        const section = this.createElement('div', 'admin-entries');
+        section.appendChild(this.createElement('h4', null, title));
+
+        (report[listName] || []).forEach(entry => {
+            const item = this.createElement('div', 'status-reply');
+            item.appendChild(this.createElement('small', null, `${entry.author || t('Guru BK')} · ${this.platform.formatDate(entry.timestamp)}`));
+            item.appendChild(this.createElement('p', null, entry.message));
+            section.appendChild(item);
+        });
+
+        if (this.can('cases:update')) {
+            section.appendChild(this.buildEntryForm(report, listName, title, hint, buttonLabel));
+        }
+        return section;
+    }
+
+    async buildThreadSection(report) {
+        const section = this.createElement('div', 'admin-entries');
+        const title = t('Percakapan dengan Pelapor');
+        section.appendChild(this.createElement('h4', null, title));
+        const readAt = new Date(report.counselorReadAt || 0);
+
+        for (const entry of report.replies || []) {
+            const fromReporter = entry.from === 'reporter';
+            const item = this.createElement('div', fromReporter ? 'status-reply from-reporter' : 'status-reply');
+            item.classList.toggle('unread', fromReporter && new Date(entry.timestamp) > readAt);
+
+            const author = fromReporter ? t('Pelapor') : entry.author || t('Guru BK');
+            item.appendChild(this.createElement('small', null, `${author} · ${this.platform.formatDate(entry.timestamp)}`));
+
+            let message = entry.message;
+            if (entry.encrypted) {
+                const opened = await this.storage.crypto.open(entry.encrypted).catch(() => null);
+                message = opened ? opened.message : t('Pesan terenkripsi. Impor kunci privat tim BK untuk membacanya.');
+                item.classList.toggle('locked', !opened);
+            }
+            item.appendChild(this.createElement('p', null, message));
+            section.appendChild(item);
+        }
+
+        if (this.can('cases:update')) {
+            section.appendChild(this.buildEntryForm(report, 'replies', title, t('Pesan ini dapat dibaca pelapor di halaman Cek Status'), t('Kirim Pesan')));
+        }
+        return section;
+    }
+
+    buildEntryForm(report, listName, title, hint, buttonLabel) {
+        const form = this.createElement('form');
+        const group = this.createElement('div', 'form-group');
+        const textarea = this.createElement('textarea');
+        textarea.rows = 3;
+        textarea.required = true;
+        textarea.placeholder = hint;
+        textarea.setAttribute('aria-label', title);
+        group.appendChild(textarea);
+        form.appendChild(group);
+
+        const button = this.createElement('button', 'btn btn-secondary-dark', buttonLabel);
+        button.type = 'submit';
+        form.appendChild(button);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const errors = await this.platform.validator.validateField(textarea, [{ type: 'required' }]);
+            if (errors.length > 0) {
+                this.platform.validator.showFieldError(textarea, errors[0]);
+                return;
+            }
+
+            await this.storage.addReportEntry(report.id, listName, textarea.value.trim());
+            this.refresh();
+        });
+
+        return form;
+    }
+
+    async renderAspirationList() {
+        const tbody = document.getElementById('aspirationList');
+        const aspirations = ((await this.storage.getData()).aspirations || [])
+            .slice()
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        tbody.innerHTML = '';
+
+        if (aspirations.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 8;
+            cell.className = 'admin-empty';
+            cell.textContent = t('Belum ada aspirasi.');
+            return;
+        }
+
+        aspirations.forEach(aspiration => {
+            const row = tbody.insertRow();
+            [
+                this.platform.formatDate(aspiration.timestamp),
+                aspiration.title,
+                t(ASPIRATION_TYPES[aspiration.type] || aspiration.type),
+                t(URGENCY_LEVELS[aspiration.priority] || aspiration.priority),
+                (aspiration.voters || []).length
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            if ((aspiration.screening || []).length > 0) {
+                const badge = this.createElement('span', 'screening-badge');
+                badge.innerHTML = '<i class="fas fa-flag" aria-hidden="true"></i>';
+                badge.title = this.screeningLabel(aspiration);
+                badge.setAttribute('role', 'img');
+                badge.setAttribute('aria-label', badge.title);
+                row.cells[1].appendChild(badge);
+            }
+
+            const statusSelect = this.createElement('select');
+            statusSelect.setAttribute('aria-label', t('Status aspirasi {title}', { title: aspiration.title }));
+            this.populateSelect(statusSelect, ASPIRATION_STATUSES);
+            statusSelect.value = aspiration.status;
+            statusSelect.addEventListener('change', () => {
+                this.storage.updateAspiration(aspiration.id, { status: statusSelect.value });
+            });
+            row.insertCell().appendChild(statusSelect);
+
+            // Nothing reaches the public board until a staff member approves it here
+            const publishToggle = this.createElement('input');
+            publishToggle.type = 'checkbox';
+            publishToggle.checked = Boolean(aspiration.published);
+            publishToggle.setAttribute('aria-label', t('Tampilkan aspirasi {title} di papan publik', { title: aspiration.title }));
+            publishToggle.addEventListener('change', () => {
+                this.storage.updateAspiration(aspiration.id, { published: publishToggle.checked });
+            });
+            row.insertCell().appendChild(publishToggle);
+
+            const respondButton = this.createElement('button', 'btn btn-secondary-dark', aspiration.response ? t('Ubah') : t('Tanggapi'));
+            respondButton.type = 'button';
+            respondButton.setAttribute('aria-expanded', 'false');
+            row.insertCell().appendChild(respondButton);
+
+            const detailRow = tbody.insertRow();
+            detailRow.className = 'aspiration-detail';
+            detailRow.hidden = true;
+            const detailCell = detailRow.insertCell();
+            detailCell.colSpan = 8;
+            detailCell.appendChild(this.buildAspirationResponseForm(aspiration));
+
+            respondButton.addEventListener('click', () => {
+                detailRow.hidden = !detailRow.hidden;
+                respondButton.setAttribute('aria-expanded', String(!detailRow.hidden));
+                if (!detailRow.hidden) detailRow.querySelector('textarea').focus();
+            });
+        });
+    }
+
+    buildAspirationResponseForm(aspiration) {
+        const form = this.createElement('form', 'aspiration-response-form');
+        form.appendChild(this.createElement('p', 'admin-description', aspiration.content));
+
+        const group = this.createElement('div', 'form-group');
+        const textarea = this.createElement('textarea');
+        textarea.rows = 3;
+        textarea.maxLength = 2000;
+        textarea.value = aspiration.response || '';
+        textarea.placeholder = t('Tanggapan resmi sekolah, tampil di papan aspirasi');
+        textarea.setAttribute('aria-label', t('Tanggapan resmi untuk {title}', { title: aspiration.title }));
+        group.appendChild(textarea);
+        form.appendChild(group);
+
+        const button = this.createElement('button', 'btn btn-secondary-dark', t('Simpan Tanggapan'));
+        button.type = 'submit';
+        form.appendChild(button);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const saved = await this.storage.updateAspiration(aspiration.id, { response: textarea.value.trim() });
+            if (!saved) {
+                alert(t('Tanggapan gagal disimpan. Silakan coba lagi.'));
+                return;
+            }
+            this.renderAspirationList();
+        });
+
+        return form;
+    }
+
+    async refresh() {
+        await this.renderReportList();
+        await this.renderReportDetail();
+        this.auditPanel?.refresh();
+    }
+}
+
+// Data tab of the counselor dashboard: CSV export, JSON backup and restore, and the printable
+// case summary that BK keeps in the case file or brings to a parent meeting
+class ArchivePanel {
+    constructor(section, dashboard) {
+        this.section = section;
+        this.dashboard = dashboard;
+        this.storage = dashboard.storage;
+        this.archive = new RecordArchive(new DataSchema());
+        this.init();
+    }
+
+    init() {
+        this.csvForm = this.section.querySelector('#csvExportForm');
+        this.restoreForm = this.section.querySelector('#restoreForm');
+
+        this.csvForm.addEventListener('submit', (e) => this.exportCsv(e));
+        this.csvForm.querySelector('[name="collection"]').addEventListener('change', () => this.populateStatuses());
+        this.restoreForm.addEventListener('submit', (e) => this.importBackup(e));
+        this.section.querySelector('#backupDownload').addEventListener('click', () => this.storage.exportData());
+        this.section.querySelector('#clearAllData')?.addEventListener('click', () => this.clearAllData());
+        this.populateStatuses();
+    }
+
+    populateStatuses() {
+        const select = this.csvForm.querySelector('[name="status"]');
+        const isReports = this.csvForm.querySelector('[name="collection"]').value === 'reports';
+        select.length = 1;
+        this.dashboard.populateSelect(select, isReports ? REPORT_STATUSES : ASPIRATION_STATUSES);
+    }
+
+    async exportCsv(event) {
+        event.preventDefault();
+        const filters = Object.fromEntries(new FormData(this.csvForm).entries());
+        const result = document.getElementById('csvExportResult');
+
+        if (filters.from && filters.to && filters.from > filters.to) {
+            result.textContent = t('Tanggal awal tidak boleh setelah tanggal akhir.');
+            return;
+        }
+
+        const data = await this.storage.getData();
+        const records = this.archive.filter(data[filters.collection] || [], filters)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const columns = filters.collection === 'reports'
+            ? await this.reportColumns(records, data.reports || [])
+            : this.aspirationColumns();
+
+        const details = { collection: filters.collection, count: records.length, from: filters.from, to: filters.to, status: filters.status };
+        if (!await this.storage.recordExport('records.export', null, details)) {
+            result.textContent = t('Ekspor gagal dicatat di log audit sehingga dibatalkan. Silakan coba lagi.');
+            return;
+        }
+        this.dashboard.auditPanel?.refresh();
+
+        const csv = this.archive.toCsv(records, columns);
+        const prefix = filters.collection === 'reports' ? 'laporan' : 'aspirasi';
+        this.dashboard.platform.downloadBlob(
+            new Blob([csv], { type: 'text/csv;charset=utf-8' }),
+            `${prefix}_${new Date().toISOString().split('T')[0]}.csv`
+        );
+        result.textContent = t('{count} baris diekspor.', { count: records.length });
+    }
+
+    // Contact details never leave the dashboard; descriptions are included when the team key is loaded
+    async reportColumns(records, reports) {
+        const contents = new Map();
+        for (const report of records) {
+            contents.set(report.id, await this.dashboard.openReportContents(report));
+        }
+        // Reports of one case share the lead report's code in the Kasus column
+        const caseCode = report => {
+            const caseLead = report.caseId && reports.find(r => r.id === report.caseId);
+            return caseLead ? caseLead.trackingCode || caseLead.id : '';
+        };
+
+        return [
+            [t('Kode'), report => report.trackingCode || report.id],
+            [t('Tanggal'), report => this.csvDate(report.timestamp)],
+            [t('Jenis'), report => t(REPORT_TYPES[report.type] || report.type)],
+            [t('Platform'), report => this.dashboard.platformLabel(report)],
+            [t('Urgensi'), report => t(URGENCY_LEVELS[report.urgency] || report.urgency)],
+            [t('Status'), report => t(REPORT_STATUSES[report.status] || report.status)],
+            [t('Penanggung Jawab'), report => report.assignedTo || ''],
+            [t('Kasus'), caseCode],
+            [t('Darurat'), report => report.escalated ? t('Ya') : t('Tidak')],
+            [t('Anonim'), report => report.anonymous ? t('Ya') : t('Tidak')],
+            [t('Diselesaikan'), report => report.status === 'resolved' ? this.csvDate(this.resolvedAt(report)) : ''],
+            [t('Lampiran'), report => (report.files || []).length],
+            [t('Deskripsi'), report => contents.get(report.id).locked ? t('(terenkripsi)') : contents.get(report.id).description]
+        ];
+    }
+
+    aspirationColumns() {
+        return [
+            [t('Tanggal'), aspiration => this.csvDate(aspiration.timestamp)],
+            [t('Judul'), aspiration => aspiration.title],
+            [t('Kategori'), aspiration => t(ASPIRATION_TYPES[aspiration.type] || aspiration.type)],
+            [t('Prioritas'), aspiration => t(URGENCY_LEVELS[aspiration.priority] || aspiration.priority)],
+            [t('Status'), aspiration => t(ASPIRATION_STATUSES[aspiration.status] || aspiration.status)],
+            [t('Dukungan'), aspiration => (aspiration.voters || []).length],
+            [t('Papan Publik'), aspiration => aspiration.published ? t('Ya') : t('Tidak')],
+            [t('Isi Aspirasi'), aspiration => aspiration.content],
+            [t('Tanggapan'), aspiration => aspiration.response || '']
+        ];
+    }
+
+    resolvedAt(report) {
+        const entry = (report.timeline || []).filter(item => item.status === 'resolved').pop();
+        return entry ? entry.timestamp : report.updatedAt;
+    }
+
+    // Spreadsheets sort "2025-03-07 14:05" correctly, unlike the long dates shown on the page
+    csvDate(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    async importBackup(event) {
+        event.preventDefault();
+        const result = document.getElementById('restoreResult');
+        const file = this.restoreForm.querySelector('[name="backup"]').files[0];
+        const mode = new FormData(this.restoreForm).get('mode');
+        result.innerHTML = '';
+        result.className = 'admin-data-result';
+        if (!file) return;
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showImportErrors([t('File ini bukan file cadangan JSON.')]);
+            return;
+        }
+
+        data = this.archive.read(data);
+        const errors = this.archive.validate(data);
+        if (errors.length > 0) {
+            this.showImportErrors(errors.map(error => this.describeError(error)));
+            return;
+        }
+
+        if (mode === 'replace' && !confirm(t('Semua laporan dan aspirasi saat ini akan diganti dengan isi file. Unduh cadangan terlebih dahulu jika perlu. Lanjutkan?'))) {
+            return;
+        }
+
+        const summary = await this.storage.importData(data, mode);
+        if (!summary) {
+            this.showImportErrors([t('Data gagal diimpor. Silakan coba lagi.')]);
+            return;
+        }
+
+        result.classList.add('success');
+        result.textContent = t('Impor selesai: {added} ditambahkan, {updated} diperbarui, {skipped} dilewati.', summary);
+        this.restoreForm.reset();
+        this.dashboard.showDashboard();
+    }
+
+    async clearAllData() {
+        if (await this.storage.clearData()) {
+            this.dashboard.selectedReportId = null;
+            this.dashboard.showDashboard();
+        }
+    }
+
+    describeError(error) {
+        if (error.field === 'schemaVersion') {
+            return t('File dibuat oleh versi platform yang lebih baru. Perbarui platform ini terlebih dahulu.');
+        }
+        if (!error.collection) {
+            return t('File tidak berisi data laporan dan aspirasi.');
+        }
+
+        const collection = t(error.collection === 'reports' ? 'Laporan' : 'Aspirasi');
+        if (error.index === null) {
+            return t('Daftar {collection} tidak ditemukan.', { collection: collection });
+        }
+        return error.field
+            ? t('{collection} ke-{number}: kolom "{field}" kosong atau tidak valid.', { collection: collection, number: error.index + 1, field: error.field })
+            : t('{collection} ke-{number} tidak valid.', { collection: collection, number: error.index + 1 });
+    }
+
+    showImportErrors(messages) {
+        const result = document.getElementById('restoreResult');
+        const summary = this.dashboard.createElement('div', 'form-error-summary');
+        summary.appendChild(this.dashboard.createElement('p', null, t('File tidak dapat diimpor:')));
+
+        const list = this.dashboard.createElement('ul');
+        messages.slice(0, 10).forEach(message => list.appendChild(this.dashboard.createElement('li', null, message)));
+        if (messages.length > 10) {
+            list.appendChild(this.dashboard.createElement('li', null, t('dan {count} masalah lainnya.', { count: messages.length - 10 })));
+        }
+        summary.appendChild(list);
+        result.appendChild(summary);
+    }
+
+    buildPrintForm(report) {
+        const form = this.dashboard.createElement('form', 'admin-print-form');
+        form.innerHTML = `
+            <label class="checkbox-label">
+                <input type="checkbox" name="includeNotes">
+                <span class="checkmark"></span>
+                ${t('Sertakan catatan internal')}
+            </label>
+            <button type="submit" class="btn btn-secondary-dark"><i class="fas fa-print" aria-hidden="true"></i> ${t('Cetak Ringkasan (PDF)')}</button>
+        `;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.printCase(report, form.querySelector('[name="includeNotes"]').checked);
+        });
+        return form;
+    }
+
+    // The summary is laid out for paper and saved as PDF from the browser's print dialog.
+    // The reporter's contact details are left out on purpose.
+    async printCase(report, includeNotes) {
+        if (!await this.storage.recordExport('case.print', report.id)) {
+            alert(t('Pencetakan gagal dicatat di log audit sehingga dibatalkan. Silakan coba lagi.'));
+            return;
+        }
+        this.dashboard.auditPanel?.refresh();
+
+        const create = (tag, className, text) => this.dashboard.createElement(tag, className, text);
+        const format = timestamp => this.dashboard.platform.formatDate(timestamp);
+        const contents = await this.dashboard.openReportContents(report);
+
+        document.getElementById('casePrintout')?.remove();
+        const printout = create('article', 'case-printout');
+        printout.id = 'casePrintout';
+
+        printout.appendChild(create('p', 'case-printout-school', t('SMA Negeri 34 Jakarta · Bimbingan dan Konseling')));
+        printout.appendChild(create('h1', null, t('Ringkasan Kasus {code}', { code: report.trackingCode || report.id.substr(-8) })));
+        printout.appendChild(create('p', 'case-printout-meta', t('Dicetak {date} oleh {name}. Dokumen rahasia, hanya untuk keperluan penanganan kasus.', {
+            date: format(new Date().toISOString()),
+            name: this.dashboard.user.name
+        })));
+
+        const details = create('dl');
+        [
+            ['Dikirim', format(report.timestamp)],
+            ['Jenis', t(REPORT_TYPES[report.type] || report.type)],
+            ['Platform', this.dashboard.platformLabel(report)],
+            ['Urgensi', t(URGENCY_LEVELS[report.urgency] || report.urgency)],
+            ['Status', t(REPORT_STATUSES[report.status] || report.status)],
+            ['Penanggung Jawab', report.assignedTo || '-'],
+            ['Darurat', report.escalated ? t('Ya') : t('Tidak')],
+            ['Anonim', report.anonymous ? t('Ya') : t('Tidak')]
+        ].forEach(([term, description]) => {
+            details.appendChild(create('dt', null, t(term)));
+            details.appendChild(create('dd', null, description));
+        });
+        printout.appendChild(details);
+
+        printout.appendChild(create('h2', null, t('Deskripsi Kejadian')));
+        printout.appendChild(create('p', 'case-printout-text', contents.description));
+
+        printout.appendChild(create('h2', null, t('Riwayat Status')));
+        const timeline = create('table');
+        const header = timeline.createTHead().insertRow();
+        ['Tanggal', 'Status', 'Oleh'].forEach(label => header.appendChild(create('th', null, t(label))));
+        const body = timeline.createTBody();
+        (report.timeline || []).forEach(entry => {
+            const row = body.insertRow();
+            [format(entry.timestamp), t(REPORT_STATUSES[entry.status] || entry.status), entry.author || '-'].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+        printout.appendChild(timeline);
+
+        printout.appendChild(create('h2', null, t('Bukti Terlampir')));
+        const files = contents.files.map(file => file.name || t('File terenkripsi'));
+        if (files.length === 0) {
+            printout.appendChild(create('p', null, t('Tidak ada')));
+        } else {
+            const list = create('ul');
+            files.forEach(name => list.appendChild(create('li', null, name)));
+            printout.appendChild(list);
+        }
+
+        if (includeNotes && (report.internalNotes || []).length > 0) {
+            printout.appendChild(create('h2', null, t('Catatan Internal')));
+            report.internalNotes.forEach(note => {
+                printout.appendChild(create('p', 'case-printout-note', `${note.author || t('Guru BK')} · ${format(note.timestamp)}`));
+                printout.appendChild(create('p', 'case-printout-text', note.message));
+            });
+        }
+
+        const signatures = create('div', 'case-printout-signatures');
+        ['Guru BK', 'Orang Tua/Wali'].forEach(label => signatures.appendChild(create('div', null, t(label))));
+        printout.appendChild(signatures);
+
+        document.body.appendChild(printout);
+        document.body.classList.add('printing-case');
+        window.addEventListener('afterprint', () => {
+            printout.remove();
+            document.body.classList.remove('printing-case');
+        }, { once: true });
+        window.print();
+    }
+}
+
+// Staf tab: one account per person who signs in to the dashboard, so the audit log can say who
+// did what. Only admins see it.
+class StaffPanel {
+    constructor(section, dashboard) {
+        this.section = section;
+        this.dashboard = dashboard;
+        this.storage = dashboard.storage;
+        this.staff = [];
+        this.init();
+    }
+
+    init() {
+        this.form = this.section.querySelector('#staffForm');
+        this.dashboard.populateSelect(this.form.querySelector('[name="role"]'), STAFF_ROLES);
+        this.form.addEventListener('submit', (e) => this.createAccount(e));
+    }
+
+    async refresh() {
+        if (!this.dashboard.can('staff:manage')) return;
+        this.staff = await this.storage.listStaff();
+        this.render();
+    }
+
+    render() {
+        const create = (tag, className, text) => this.dashboard.createElement(tag, className, text);
+        const tbody = this.section.querySelector('#staffList');
+        tbody.innerHTML = '';
+
+        this.staff.forEach(account => {
+            const isActive = account.active !== false;
+            const row = tbody.insertRow();
+            row.classList.toggle('inactive', !isActive);
+            [account.username, account.name].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+
+            const roleSelect = create('select');
+            roleSelect.setAttribute('aria-label', t('Peran {name}', { name: account.name }));
+            this.dashboard.populateSelect(roleSelect, STAFF_ROLES);
+            roleSelect.value = account.role;
+            roleSelect.addEventListener('change', () => this.update(account, { role: roleSelect.value }));
+            row.insertCell().appendChild(roleSelect);
+            row.insertCell().textContent = isActive ? t('Aktif') : t('Nonaktif');
+
+            const actions = row.insertCell();
+            const toggleButton = create('button', 'btn btn-secondary-dark', isActive ? t('Nonaktifkan') : t('Aktifkan'));
+            toggleButton.type = 'button';
+            // Nobody can lock themselves out
+            toggleButton.disabled = account.id === this.dashboard.user.id;
+            toggleButton.addEventListener('click', () => this.update(account, { active: !isActive }));
+            actions.appendChild(toggleButton);
+
+            const resetButton = create('button', 'btn btn-secondary-dark', t('Atur Ulang Kata Sandi'));
+            resetButton.type = 'button';
+            resetButton.setAttribute('aria-expanded', 'false');
+            actions.appendChild(resetButton);
+
+            const detailRow = tbody.insertRow();
+            detailRow.hidden = true;
+            const detailCell = detailRow.insertCell();
+            detailCell.colSpan = 5;
+            detailCell.appendChild(this.buildPasswordForm(account));
+
+            resetButton.addEventListener('click', () => {
+                detailRow.hidden = !detailRow.hidden;
+                resetButton.setAttribute('aria-expanded', String(!detailRow.hidden));
+                if (!detailRow.hidden) detailRow.querySelector('input').focus();
+            });
+        });
+    }
+
+    buildPasswordForm(account) {
+        const form = this.dashboard.createElement('form', 'staff-password-form');
+        const group = this.dashboard.createElement('div', 'form-group');
+        const input = this.dashboard.createElement('input');
+        input.type = 'password';
+        input.autocomplete = 'new-password';
+        input.setAttribute('aria-label', t('Kata sandi baru untuk {name}', { name: account.name }));
+        group.appendChild(input);
+        form.appendChild(group);
+
+        const button = this.dashboard.createElement('button', 'btn btn-secondary-dark', t('Simpan Kata Sandi'));
+        button.type = 'submit';
+        form.appendChild(button);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const validator = this.dashboard.platform.validator;
+            const errors = await validator.validateField(input, [
+                { type: 'required' },
+                { type: 'minLength', value: 8, message: 'Kata sandi minimal 8 karakter' }
+            ]);
+            if (errors.length > 0) {
+                validator.showFieldError(input, errors[0]);
+                return;
+            }
+            if (await this.update(account, { password: input.value })) {
+                alert(t('Kata sandi {name} diubah. Sampaikan kata sandi baru secara langsung.', { name: account.name }));
+            }
+        });
+
+        return form;
+    }
+
+    async update(account, changes) {
+        const updated = await this.storage.updateStaff(account.id, changes);
+        if (!updated) {
+            alert(t('Akun gagal diubah. Harus selalu ada minimal satu admin aktif.'));
+        } else if (account.id === this.dashboard.user.id) {
+            // Changing your own role changes what the dashboard shows right away
+            this.dashboard.user = updated;
+            this.dashboard.showDashboard();
+            return updated;
+        }
+        this.refresh();
+        return updated;
+    }
+
+    async createAccount(event) {
+        event.preventDefault();
+        const result = this.section.querySelector('#staffResult');
+        result.textContent = '';
+        if (!await this.dashboard.platform.validateForm(this.form)) return;
+
+        const fields = Object.fromEntries(new FormData(this.form).entries());
+        if (this.staff.some(account => account.username === fields.username.trim().toLowerCase())) {
+            this.dashboard.platform.validator.showFieldError(this.form.querySelector('[name="username"]'), t('Nama pengguna sudah dipakai'));
+            return;
+        }
+
+        const account = await this.storage.createStaff(fields);
+        if (!account) {
+            result.textContent = t('Akun gagal dibuat. Silakan coba lagi.');
+            return;
+        }
+        this.form.reset();
+        result.textContent = t('Akun {username} dibuat. Sampaikan kata sandinya secara langsung kepada {name}.', account);
+        this.refresh();
+    }
+}
+
+// Audit tab and the access history of each case: who opened, changed or exported what, and when.
+// Entries can be read here but never changed.
+class AuditLogPanel {
+    constructor(section, dashboard) {
+        this.section = section;
+        this.dashboard = dashboard;
+        this.storage = dashboard.storage;
+        this.entries = [];
+        this.init();
+    }
+
+    init() {
+        this.filterForm = this.section.querySelector('#auditFilters');
+        this.dashboard.populateSelect(this.filterForm.querySelector('[name="action"]'), AUDIT_ACTIONS);
+        this.filterForm.addEventListener('input', () => this.render());
+        this.filterForm.addEventListener('submit', (e) => e.preventDefault());
+    }
+
+    async refresh() {
+        if (!this.dashboard.can('audit:view')) return;
+        this.entries = (await this.storage.getAuditLog()).slice().reverse();
+        this.render();
+    }
+
+    filterEntries() {
+        const { query = '', action = '' } = Object.fromEntries(new FormData(this.filterForm).entries());
+        const needle = query.trim().toLowerCase();
+        return this.entries.filter(entry => (!action || entry.action === action) &&
+            (!needle || [entry.username, entry.target && entry.target.label]
+                .some(value => value && value.toLowerCase().includes(needle))));
+    }
+
+    render() {
+        const tbody = this.section.querySelector('#auditList');
+        const entries = this.filterEntries();
+        tbody.innerHTML = '';
+        this.section.querySelector('#auditCount').textContent = t('{count} entri', { count: entries.length });
+
+        if (entries.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 6;
+            cell.className = 'admin-empty';
+            cell.textContent = t('Belum ada aktivitas yang sesuai.');
+            return;
+        }
+
+        // The newest entries are the ones looked for; older ones are reached through the filters
+        entries.slice(0, 500).forEach(entry => {
+            const row = tbody.insertRow();
+            row.classList.toggle('audit-failed', entry.action === 'login.failed');
+            [
+                this.dashboard.platform.formatDate(entry.timestamp),
+                entry.username || (entry.details && entry.details.username) || '-',
+                entry.role ? t(STAFF_ROLES[entry.role] || entry.role) : '-',
+                t(AUDIT_ACTIONS[entry.action] || entry.action),
+                entry.target ? entry.target.label : '-',
+                this.describeDetails(entry)
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+    }
+
+    describeDetails(entry) {
+        return Object.entries(entry.details || {})
+            .filter(([key, value]) => value !== undefined && value !== null && value !== '' && !(key === 'username' && !entry.userId))
+            .map(([key, value]) => {
+                if (key === 'status') value = t(REPORT_STATUSES[value] || ASPIRATION_STATUSES[value] || value);
+                if (key === 'role') value = t(STAFF_ROLES[value] || value);
+                return `${key}: ${Array.isArray(value) ? value.join(', ') : value}`;
+            })
+            .join('; ');
+    }
+
+    async buildCaseHistory(report) {
+        const create = (tag, className, text) => this.dashboard.createElement(tag, className, text);
+        const section = create('div', 'admin-entries');
+        section.appendChild(create('h4', null, t('Riwayat Akses')));
+
+        const list = create('ul', 'audit-case-history');
+        (await this.storage.getAuditLog())
+            .filter(entry => entry.target && entry.target.id === report.id)
+            .reverse()
+            .forEach(entry => {
+                const who = entry.username ? `${entry.username} (${t(STAFF_ROLES[entry.role] || entry.role)})` : '-';
+                list.appendChild(create('li', null, `${this.dashboard.platform.formatDate(entry.timestamp)} · ${who} · ${t(AUDIT_ACTIONS[entry.action] || entry.action)}`));
+            });
+        section.appendChild(list);
+        return section;
+    }
+}
+
+// Case section of the report detail: the case the report belongs to, with the evidence of every
+// report in it, and other reports that may be about the same incident (see cases.js)
+class CasePanel {
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.storage = dashboard.storage;
+        this.linker = new CaseLinker();
+    }
+
+    create(tag, className, text) {
+        return this.dashboard.createElement(tag, className, text);
+    }
+
+    async buildCaseSection(report, reports) {
+        const section = this.create('div', 'admin-entries case-section');
+        section.appendChild(this.create('h4', null, t('Kasus & Laporan Terkait')));
+
+        if (report.caseId) {
+            await this.appendCase(section, report, reports);
+        }
+        // A duplicate is compared through its lead report
+        if (!report.mergedInto) {
+            await this.appendSuggestions(section, report, reports);
+        }
+        return section;
+    }
+
+    async appendCase(section, report, reports) {
+        const members = this.linker.members(reports, report.caseId);
+        if (report.mergedInto) {
+            section.appendChild(this.create('p', 'case-summary', t('Laporan ini digabung sebagai duplikat. Statusnya mengikuti laporan utama {code}.', {
+                code: this.codeOf(members[0])
+            })));
+        }
+        const evidenceCount = members.reduce((sum, member) => sum + (member.files || []).filter(file => file.id).length, 0);
+        section.appendChild(this.create('p', 'case-summary', t('Kasus ini dilaporkan oleh {reporters} pelapor dengan total {files} bukti.', {
+            reporters: members.length,
+            files: evidenceCount
+        })));
+
+        const list = this.create('ul', 'case-members');
+        members.forEach(member => {
+            const role = member.id === member.caseId ? t('Laporan utama') : member.mergedInto ? t('Duplikat') : t('Terkait');
+            const item = this.createReportItem(member, role, member === report);
+            if (member.id !== member.caseId && this.dashboard.can('cases:update')) {
+                item.appendChild(this.createAction(t('Lepaskan'), () => this.unlink(member)));
+            }
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        // Every witness's evidence in one place; the open report's own is listed above
+        for (const member of members.filter(member => member !== report)) {
+            const contents = await this.dashboard.openReportContents(member);
+            section.appendChild(await this.dashboard.buildEvidenceList(contents.files, contents.locked,
+                t('Bukti dari laporan {code}', { code: this.codeOf(member) })));
+        }
+    }
+
+    async appendSuggestions(section, report, reports) {
+        const candidates = this.linker.candidates(report, reports).filter(other => !other.mergedInto);
+        const texts = new Map();
+        for (const candidate of [report, ...candidates]) {
+            const contents = await this.dashboard.openReportContents(candidate);
+            if (!contents.locked) texts.set(candidate.id, contents.description);
+        }
+
+        const matches = this.linker.findRelated(report, candidates, texts).slice(0, 5);
+        section.appendChild(this.create('p', 'case-suggestions-title', matches.length > 0
+            ? t('Mungkin tentang kejadian yang sama:')
+            : t('Tidak ada laporan serupa di sekitar waktu laporan ini.')));
+        if (matches.length === 0) return;
+
+        const list = this.create('ul', 'case-members case-suggestions');
+        matches.forEach(match => {
+            const item = this.createReportItem(match.report);
+            item.appendChild(this.create('span', 'case-similarity', t('{percent}% mirip: {reasons}', {
+                percent: Math.round(match.score * 100),
+                reasons: match.reasons.map(reason => t(SIMILARITY_REASONS[reason])).join(', ')
+            })));
+            if (this.dashboard.can('cases:update')) {
+                item.appendChild(this.createAction(t('Gabungkan sebagai duplikat'), () => this.link(report, match.report, 'merge')));
+                item.appendChild(this.createAction(t('Tautkan'), () => this.link(report, match.report, 'link')));
+            }
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+    }
+
+    // The open report is listed without a link to itself
+    createReportItem(report, role = null, current = false) {
+        const item = this.create('li');
+        if (current) {
+            item.setAttribute('aria-current', 'true');
+            item.appendChild(this.create('strong', null, this.codeOf(report)));
+        } else {
+            const open = this.createAction(this.codeOf(report), () => this.dashboard.selectReport(report.id));
+            open.setAttribute('aria-label', t('Buka laporan {code}', { code: this.codeOf(report) }));
+            item.appendChild(open);
+        }
+
+        const details = [
+            this.dashboard.platform.formatDate(report.timestamp),
+            this.dashboard.platformLabel(report),
+            t(REPORT_TYPES[report.type] || report.type),
+            t(REPORT_STATUSES[report.status] || report.status)
+        ];
+        item.appendChild(this.create('span', 'case-member-info', (role ? [role, ...details] : details).join(' · ')));
+        return item;
+    }
+
+    createAction(label, onClick) {
+        const button = this.create('button', 'case-action', label);
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    codeOf(report) {
+        return report.trackingCode || report.id.substr(-8);
+    }
+
+    async link(report, other, mode) {
+        const message = mode === 'merge'
+            ? t('Gabungkan laporan {code} sebagai duplikat? Laporan itu keluar dari antrean dan statusnya mengikuti laporan utama kasus ini.', { code: this.codeOf(other) })
+            : t('Tautkan laporan {code} ke kasus ini? Laporan itu tetap ditangani sendiri di antrean.', { code: this.codeOf(other) });
+        if (!confirm(message)) return;
+
+        if (!await this.storage.linkReports(report.id, other.id, mode)) {
+            alert(t('Laporan gagal ditautkan. Silakan coba lagi.'));
+            return;
+        }
+        this.dashboard.refresh();
+    }
+
+    async unlink(report) {
+        if (!await this.storage.unlinkReport(report.id)) {
+            alert(t('Laporan gagal dilepas dari kasus. Silakan coba lagi.'));
+            return;
+        }
+        this.dashboard.refresh();
+    }
+}
+
+class StatisticsDashboard {
+    constructor(section, storage) {
+        this.section = section;
+        this.storage = storage;
+        this.period = 'weekly';
+        this.stats = null;
+        this.refreshInterval = 60000;
+
+        this.periodButtons = Array.from(section.querySelectorAll('[data-period]'));
+        this.periodButtons.forEach(button => {
+            button.addEventListener('click', () => this.setPeriod(button.dataset.period));
+        });
+
+        // Keep the figures live: other tabs in local mode, a slow poll against the server
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storage.storageKey) this.refresh();
+        });
+        setInterval(() => {
+            if (document.visibilityState === 'visible') this.refresh();
+        }, this.refreshInterval);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.refresh();
+        });
+        document.addEventListener('i18n:change', () => this.refresh());
+    }
+
+    async refresh() {
+        const stats = await this.storage.updateStatistics();
+        if (!stats) return;
+        this.stats = stats;
+        this.render();
+    }
+
+    setPeriod(period) {
+        this.period = period;
+        this.periodButtons.forEach(button => {
+            const active = button.dataset.period === period;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        if (this.stats) this.renderTrend();
+    }
+
+    render() {
+        this.renderTrend();
+        this.renderChart('type', this.stats.breakdowns.type, key => t(REPORT_TYPES[key] || key));
+        this.renderChart('platform', this.stats.breakdowns.platform, key => t(PLATFORMS[key] || key));
+        this.renderChart('urgency', this.stats.breakdowns.urgency, key => t(URGENCY_LEVELS[key] || key));
+        this.renderChart('aspirationType', this.stats.breakdowns.aspirationType, key => t(ASPIRATION_TYPES[key] || key));
+
+        const updated = this.section.querySelector('.chart-updated');
+        if (updated) {
+            updated.textContent = t('Diperbarui {time}', { time: new Date(this.stats.generatedAt).toLocaleString(i18n.locale) });
+        }
+    }
+
+    renderTrend() {
+        const weekly = this.period === 'weekly';
+        const format = weekly
+            ? { day: 'numeric', month: 'short', timeZone: 'UTC' }
+            : { month: 'short', year: 'numeric', timeZone: 'UTC' };
+        const title = this.section.querySelector('#trendTitle');
+        if (title) {
+            title.textContent = weekly ? t('Laporan per Minggu') : t('Laporan per Bulan');
+        }
+
+        this.renderChart('trend', this.stats.trends[this.period], period => {
+            const label = new Date(`${period}T00:00:00Z`).toLocaleDateString(i18n.locale, format);
+            return weekly ? t('Minggu {date}', { date: label }) : label;
+        }, 'period');
+    }
+
+    // Charts are plain tables so screen readers get the numbers; the bars are decoration
+    renderChart(name, cells, labelFor, keyField = 'key') {
+        const container = this.section.querySelector(`[data-chart="${name}"]`);
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (!cells || cells.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'chart-empty';
+            empty.textContent = t('Belum ada data.');
+            container.appendChild(empty);
+            return;
+        }
+
+        const hiddenSize = this.stats.minCellSize - 1;
+        const max = Math.max(1, ...cells.map(cell => cell.suppressed ? hiddenSize : cell.count));
+        const table = document.createElement('table');
+        table.className = 'chart-table';
+        const body = document.createElement('tbody');
+
+        cells.forEach(cell => {
+            const row = document.createElement('tr');
+            const label = document.createElement('th');
+            label.scope = 'row';
+            // Hidden categories come without a key (statistics.js)
+            label.textContent = cell[keyField] === null ? t('Kategori yang disamarkan') : labelFor(cell[keyField]);
+
+            const barCell = document.createElement('td');
+            barCell.className = 'chart-bar-cell';
+            barCell.setAttribute('aria-hidden', 'true');
+            const bar = document.createElement('span');
+            bar.className = cell.suppressed ? 'chart-bar suppressed' : 'chart-bar';
+            bar.style.width = `${((cell.suppressed ? hiddenSize : cell.count) / max) * 100}%`;
+            barCell.appendChild(bar);
+
+            const value = document.createElement('td');
+            value.className = 'chart-value';
+            // Not '< 5': a count hidden so another can't be worked out may be any size
+            value.textContent = cell.suppressed ? t('disamarkan') : String(cell.count);
+            if (cell.suppressed) {
+                value.title = t('Disamarkan untuk melindungi kerahasiaan');
+            }
+
+            row.appendChild(label);
+            row.appendChild(barCell);
+            row.appendChild(value);
+            body.appendChild(row);
+        });
+
+        table.appendChild(body);
+        container.appendChild(table);
+    }
+}
+
+class AspirationBoard {
+    constructor(section, storage, platform) {
+        this.section = section;
+        this.storage = storage;
+        this.platform = platform;
+        this.voterKey = 'cyberbullying_voter_id';
+        this.votesKey = 'cyberbullying_aspiration_votes';
+        this.aspirations = [];
+
+        this.list = section.querySelector('#aspirationBoardList');
+        this.count = section.querySelector('#aspirationBoardCount');
+        this.controls = section.querySelector('#aspirationBoardControls');
+        this.populateSelect(this.controls.querySelector('[name="type"]'), ASPIRATION_TYPES);
+        this.populateSelect(this.controls.querySelector('[name="status"]'), ASPIRATION_STATUSES);
+        this.controls.addEventListener('change', () => this.render());
+        this.controls.addEventListener('submit', (e) => e.preventDefault());
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storage.storageKey) this.refresh();
+        });
+        document.addEventListener('i18n:change', () => this.render());
+    }
+
+    populateSelect(select, options) {
+        Object.entries(options).forEach(([value, label]) => {
+            const option = new Option(t(label), value);
+            option.dataset.i18n = label;
+            select.appendChild(option);
+        });
+    }
+
+    // One vote per aspiration per device: the random id lives only in this browser
+    voterId() {
+        let id = localStorage.getItem(this.voterKey);
+        if (!id) {
+            id = crypto.randomUUID();
+            localStorage.setItem(this.voterKey, id);
+        }
+        return id;
+    }
+
+    votedIds() {
+        try {
+            return JSON.parse(localStorage.getItem(this.votesKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async refresh() {
+        this.aspirations = await this.storage.getAspirationBoard();
+        this.render();
+    }
+
+    render() {
+        const filters = Object.fromEntries(new FormData(this.controls).entries());
+        const voted = this.votedIds();
+        const aspirations = this.aspirations
+            .filter(aspiration => !filters.type || aspiration.type === filters.type)
+            .filter(aspiration => !filters.status || aspiration.status === filters.status)
+            .sort((a, b) => {
+                if (filters.sort === 'votes' && b.votes !== a.votes) return b.votes - a.votes;
+                return new Date(b.timestamp) - new Date(a.timestamp);
+            });
+
+        this.list.innerHTML = '';
+        this.count.textContent = t('{count} aspirasi', { count: aspirations.length });
+
+        if (aspirations.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'aspiration-board-empty';
+            empty.textContent = this.aspirations.length === 0
+                ? t('Belum ada aspirasi yang ditampilkan. Aspirasi muncul di sini setelah ditinjau tim sekolah.')
+                : t('Tidak ada aspirasi yang cocok dengan filter.');
+            this.list.appendChild(empty);
+            return;
+        }
+
+        aspirations.forEach(aspiration => {
+            this.list.appendChild(this.buildCard(aspiration, voted.includes(aspiration.id)));
+        });
+    }
+
+    buildCard(aspiration, voted) {
+        const card = document.createElement('li');
+        card.className = 'aspiration-card';
+        card.dataset.id = aspiration.id;
+
+        const voteButton = document.createElement('button');
+        voteButton.type = 'button';
+        voteButton.className = voted ? 'vote-btn voted' : 'vote-btn';
+        voteButton.setAttribute('aria-pressed', String(voted));
+        voteButton.setAttribute('aria-label', t('Dukung aspirasi "{title}", {count} dukungan', { title: aspiration.title, count: aspiration.votes }));
+        voteButton.innerHTML = '<i class="fas fa-arrow-up" aria-hidden="true"></i>';
+        const votes = document.createElement('span');
+        votes.textContent = aspiration.votes;
+        voteButton.appendChild(votes);
+        voteButton.addEventListener('click', () => this.toggleVote(aspiration, voteButton));
+        card.appendChild(voteButton);
+
+        const body = document.createElement('div');
+        body.className = 'aspiration-card-body';
+
+        const title = document.createElement('h3');
+        title.textContent = aspiration.title;
+        body.appendChild(title);
+
+        const meta = document.createElement('p');
+        meta.className = 'aspiration-card-meta';
+        [
+            t(ASPIRATION_TYPES[aspiration.type] || aspiration.type),
+            t('Prioritas {priority}', { priority: t(URGENCY_LEVELS[aspiration.priority] || aspiration.priority) }),
+            this.platform.formatDate(aspiration.timestamp)
+        ].forEach(text => {
+            const item = document.createElement('span');
+            item.textContent = text;
+            meta.appendChild(item);
+        });
+        body.appendChild(meta);
+
+        const status = document.createElement('span');
+        status.className = `aspiration-status status-${aspiration.status}`;
+        status.textContent = t(ASPIRATION_STATUSES[aspiration.status] || aspiration.status);
+        body.appendChild(status);
+
+        if (aspiration.response) {
+            const response = document.createElement('div');
+            response.className = 'aspiration-response';
+            const heading = document.createElement('h4');
+            heading.innerHTML = '<i class="fas fa-school" aria-hidden="true"></i> ';
+            heading.appendChild(document.createTextNode(t('Tanggapan Resmi Sekolah')));
+            const text = document.createElement('p');
+            text.textContent = aspiration.response;
+            response.appendChild(heading);
+            response.appendChild(text);
+            if (aspiration.respondedAt) {
+                const date = document.createElement('small');
+                date.textContent = this.platform.formatDate(aspiration.respondedAt);
+                response.appendChild(date);
+            }
+            body.appendChild(response);
         }
+
+        card.appendChild(body);
+        return card;
     }
 
-    getData() {
-        try {
-            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
-        } catch (error) {
-            console.error('Error reading data:', error);
-            return {};
+    async toggleVote(aspiration, button) {
+        button.disabled = true;
+        const result = await this.storage.voteAspiration(aspiration.id, this.voterId());
+        button.disabled = false;
+
+        if (!result || result.throttled) {
+            alert(result
+                ? t('Terlalu banyak dukungan dari jaringan ini dalam waktu singkat. Coba lagi dalam {minutes} menit.', { minutes: Math.max(1, Math.ceil(result.retryAfter / 60000)) })
+                : t('Dukungan gagal disimpan. Silakan coba lagi.'));
+            return;
         }
+
+        const voted = this.votedIds().filter(id => id !== aspiration.id);
+        if (result.voted) voted.push(aspiration.id);
+        localStorage.setItem(this.votesKey, JSON.stringify(voted));
+
+        aspiration.votes = result.votes;
+        this.render();
+        // Re-rendering replaces the button, so hand focus to its replacement
+        const card = Array.from(this.list.children).find(item => item.dataset.id === aspiration.id);
+        card?.querySelector('.vote-btn').focus();
     }
+}
 
-    saveData(data) {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error('Error saving data:', error);
-            return false;
+// "Apakah aku mengalami cyberbullying?" on the prevention page. Answers are scored in the
+// browser and never stored; the result explains the behaviour it found, opens the matching tips
+// tab and links to the report form with the report type filled in.
+class SelfAssessmentQuiz {
+    constructor(section) {
+        this.form = section.querySelector('#selfAssessmentForm');
+        this.output = section.querySelector('#selfAssessmentResult');
+        this.result = null;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.evaluate();
+        });
+        this.form.addEventListener('change', (e) => e.target.closest('.quiz-question')?.classList.remove('error'));
+        this.form.addEventListener('reset', () => setTimeout(() => {
+            this.result = null;
+            this.questions().forEach(question => question.classList.remove('error'));
+            this.output.innerHTML = '';
+            this.output.hidden = true;
+        }));
+    }
+
+    questions() {
+        return Array.from(this.form.querySelectorAll('.quiz-question'));
+    }
+
+    evaluate() {
+        const unanswered = this.questions().filter(question => !question.querySelector('input:checked'));
+        this.questions().forEach(question => question.classList.toggle('error', unanswered.includes(question)));
+        if (unanswered.length > 0) {
+            this.result = null;
+            this.output.hidden = false;
+            this.output.className = 'quiz-result';
+            this.output.textContent = t('Jawab semua pertanyaan dulu, ya.');
+            unanswered[0].querySelector('input').focus();
+            return;
         }
+
+        this.result = this.score();
+        this.render();
+        this.output.focus();
     }
 
-    addReport(reportData) {
-        const data = this.getData();
-        const report = {
-            id: this.generateId(),
-            timestamp: new Date().toISOString(),
-            status: 'pending',
-            ...reportData
+    // Behaviours found, strongest first. Anything that happened repeatedly, and threats or
+    // shared personal data even once, count as likely cyberbullying.
+    score() {
+        const totals = {};
+        let repeated = false;
+        let serious = false;
+        let impact = 0;
+
+        this.questions().forEach(question => {
+            const value = Number(question.querySelector('input:checked').value);
+            const behaviour = question.dataset.behaviour;
+            if (!behaviour) {
+                impact = Math.max(impact, value);
+                return;
+            }
+            totals[behaviour] = totals[behaviour] || { score: 0, max: 0 };
+            totals[behaviour].score += value;
+            totals[behaviour].max += 2;
+            if (value === 2) repeated = true;
+            if (value > 0 && 'serious' in question.dataset) serious = true;
+        });
+
+        const share = behaviour => totals[behaviour].score / totals[behaviour].max;
+        const behaviours = Object.keys(QUIZ_BEHAVIOURS)
+            .filter(behaviour => totals[behaviour]?.score > 0)
+            .sort((a, b) => share(b) - share(a));
+        return {
+            level: behaviours.length === 0 ? 'none' : repeated || serious ? 'likely' : 'possible',
+            behaviours: behaviours,
+            impact: impact
         };
-        
-        data.reports.push(report);
-        data.statistics.totalReports++;
-        
-        if (this.saveData(data)) {
-            this.updateStatistics();
-            return report.id;
-        }
-        return null;
     }
 
-    addAspiration(aspirationData) {
-        const data = this.getData();
-        const aspiration = {
-            id: this.generateId(),
-            timestamp: new Date().toISOString(),
-            status: 'received',
-            ...aspirationData
+    render() {
+        if (!this.result) return;
+        const { level, behaviours, impact } = this.result;
+        const messages = {
+            likely: [t('Yang kamu alami kemungkinan besar termasuk cyberbullying.'),
+                t('Ini bukan salahmu, dan kamu tidak harus menghadapinya sendirian. Laporkan supaya Guru BK bisa membantu.')],
+            possible: [t('Yang kamu alami bisa menjadi awal cyberbullying.'),
+                t('Kejadian yang baru sekali tetap boleh dilaporkan, apalagi jika berlanjut. Simpan buktinya dari sekarang.')],
+            none: [t('Dari jawabanmu, tidak terlihat tanda cyberbullying.'),
+                t('Jika ada hal lain yang membuatmu tidak nyaman, kamu tetap boleh bercerita ke Guru BK atau membuat laporan.')]
         };
-        
-        data.aspirations.push(aspiration);
-        data.statistics.totalAspirations++;
-        
-        if (this.saveData(data)) {
-            this.updateStatistics();
-            return aspiration.id;
+
+        this.output.innerHTML = '';
+        this.output.hidden = false;
+        this.output.className = `quiz-result ${level}`;
+
+        const title = document.createElement('h4');
+        title.textContent = messages[level][0];
+        const summary = document.createElement('p');
+        summary.textContent = messages[level][1];
+        this.output.append(title, summary);
+
+        if (impact > 0 && level !== 'none') {
+            const feelings = document.createElement('p');
+            feelings.textContent = t('Perasaanmu wajar. Ceritakan juga kepada orang yang kamu percaya.');
+            this.output.appendChild(feelings);
         }
-        return null;
+
+        if (behaviours.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'quiz-behaviours';
+            behaviours.forEach(behaviour => list.appendChild(this.createBehaviourItem(QUIZ_BEHAVIOURS[behaviour])));
+            this.output.appendChild(list);
+        }
+
+        const type = behaviours.length > 0 ? QUIZ_BEHAVIOURS[behaviours[0]].reportType : null;
+        const report = document.createElement('a');
+        report.className = 'btn btn-primary';
+        report.href = type ? `report.html?type=${encodeURIComponent(type)}#reportForm` : 'report.html#reportForm';
+        report.innerHTML = '<i class="fas fa-flag" aria-hidden="true"></i> ';
+        report.appendChild(document.createTextNode(type
+            ? t('Laporkan sebagai {type}', { type: t(REPORT_TYPES[type]) })
+            : t('Buat Laporan')));
+        this.output.appendChild(report);
     }
 
-    generateId() {
-        return 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    createBehaviourItem(behaviour) {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = t(behaviour.label);
+        const description = document.createElement('p');
+        description.textContent = t(behaviour.description);
+        item.append(label, description);
+
+        const tabButton = document.querySelector(`.tab-btn[data-tab="${behaviour.tab}"]`);
+        if (tabButton) {
+            const tips = document.createElement('button');
+            tips.type = 'button';
+            tips.className = 'quiz-tips-link';
+            tips.textContent = t('Lihat tips: {tab}', { tab: tabButton.textContent.trim() });
+            tips.addEventListener('click', () => {
+                tabButton.click();
+                tabButton.focus();
+            });
+            item.appendChild(tips);
+        }
+        return item;
     }
+}
 
-    updateStatistics() {
-        const data = this.getData();
-        const stats = data.statistics;
-        
-        const statElements = document.querySelectorAll('.stat-item h3');
-        if (statElements.length >= 3) {
-            statElements[0].textContent = stats.totalReports;
-            statElements[1].textContent = stats.resolvedCases;
-            statElements[2].textContent = stats.totalAspirations;
+// Quick exit and the private-device setting, for a student who may be watched while reporting or
+// is using a shared device. The settings live in sessionStorage, so they end with the tab and
+// leave no trace of their own.
+class PrivacyGuard {
+    constructor(platform) {
+        this.platform = platform;
+        this.storageKey = 'cyberbullying_privacy';
+        this.exitUrl = window.PLATFORM_CONFIG?.quickExitUrl || 'https://www.google.com/';
+        this.settings = { privateDevice: false, wipeOnExit: false, ...this.load() };
+        this.lastEscape = 0;
+        this.apply();
+    }
+
+    apply() {
+        this.platform.storage.queuesOffline = !this.privateDevice;
+    }
+
+    load() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
         }
     }
 
-    exportData() {
-        const data = this.getData();
-        const exportData = {
-            ...data,
-            exportDate: new Date().toISOString(),
-            platform: 'Stop Cyberbullying - SMA Negeri 34 Jakarta'
-        };
-        
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-            type: 'application/json'
-        });
-        
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `cyberbullying_data_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    set(name, value) {
+        this.settings[name] = value;
+        sessionStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        this.apply();
+        if (name === 'privateDevice' && value) {
+            return this.clearDevice();
+        }
     }
 
-    clearData() {
-        if (confirm('Apakah Anda yakin ingin menghapus semua data? Tindakan ini tidak dapat dibatalkan.')) {
-            localStorage.removeItem(this.storageKey);
-            this.init();
-            this.updateStatistics();
-            alert('Data berhasil dihapus.');
+    get privateDevice() {
+        return this.settings.privateDevice;
+    }
+
+    get wipesOnExit() {
+        return this.settings.privateDevice || this.settings.wipeOnExit;
+    }
+
+    // While traces are wiped, each page the platform opens takes the place of the previous one
+    // in the tab's history, so quick exit has a single entry to replace. Entries from before the
+    // setting was turned on stay; browsers don't let a page remove them.
+    get keepsHistory() {
+        return !this.wipesOnExit;
+    }
+
+    clearDrafts() {
+        this.platform.unsavedForms.clear();
+        Object.keys(localStorage)
+            .filter(key => key.endsWith('_draft'))
+            .forEach(key => localStorage.removeItem(key));
+    }
+
+    // Drafts and outbox receipts. A receipt not shown yet is lost with its PIN; on a shared
+    // device that is the safer loss.
+    async clearDevice() {
+        this.clearDrafts();
+        await this.platform.storage.outbox?.clearReceipts();
+    }
+
+    // What stays on this device whatever the settings, as sentences for the privacy options
+    async remaining() {
+        const storage = this.platform.storage;
+        const notes = [];
+        if (!storage.adapter.endpointFor) {
+            notes.push(t('Platform ini berjalan tanpa server sekolah, jadi laporan yang sudah dikirim beserta buktinya tersimpan di browser ini.'));
+        }
+        const queued = storage.outbox ? (await storage.outbox.getItems('queued')).length : 0;
+        if (queued > 0) {
+            notes.push(t('{count} kiriman yang menunggu koneksi tetap tersimpan sampai terkirim.', { count: queued }));
+        }
+        if (storage.outbox && this.privateDevice) {
+            notes.push(t('Selama mode ini aktif, laporan tidak disimpan untuk dikirim nanti saat offline.'));
+        }
+        return notes;
+    }
+
+    // Escape pressed twice within a second, so a single Escape can still close a modal or menu
+    handleKeydown(event) {
+        if (event.key !== 'Escape') return;
+        const now = Date.now();
+        if (now - this.lastEscape < 1000) {
+            this.exit();
+        }
+        this.lastEscape = now;
+    }
+
+    exit() {
+        // Hidden before anything else: the neutral site may take a moment to load
+        document.body.hidden = true;
+        document.title = '';
+        if (!this.wipesOnExit) {
+            location.replace(this.exitUrl);
+            return;
         }
+        sessionStorage.clear();
+        // The page is already blank, so IndexedDB gets a moment to finish deleting, but no more
+        const wiped = this.clearDevice().catch(error => console.error('Error clearing device:', error));
+        Promise.race([wiped, new Promise(resolve => setTimeout(resolve, 300))])
+            .then(() => location.replace(this.exitUrl));
     }
 }
 
-class FormValidator {
-    constructor() {
-        this.rules = {
-            required: (value) => value.trim() !== '',
-            email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
-            minLength: (value, min) => value.length >= min,
-            maxLength: (value, max) => value.length <= max,
-            fileSize: (file, maxSize) => file.size <= maxSize,
-            fileType: (file, allowedTypes) => allowedTypes.includes(file.type)
-        };
+// Navigation between the public pages without reloading them. Each page is still a complete HTML
+// file, so deep links, static hosting and a failed fetch (file://, offline without a cached copy)
+// all fall back to ordinary page loads. When a link is followed, the target page is fetched and
+// only its <main data-view> is swapped in: the header, footer and open modals stay, and pages
+// already visited are kept in memory as they were left, half-filled forms included.
+class ViewRouter {
+    constructor(platform, view) {
+        this.platform = platform;
+        this.view = view;
+        this.title = document.querySelector('title');
+        // Keyed by path; the query string only matters to the page itself (report.html?type=...)
+        this.views = new Map([[this.keyOf(location.href), { element: view, title: this.title.firstChild }]]);
+        this.navigation = null;
+
+        // Scroll positions are restored by navigate(), after the view is in place
+        history.scrollRestoration = 'manual';
+        history.replaceState({ scroll: window.pageYOffset }, '');
+        document.addEventListener('click', (e) => this.handleClick(e));
+        window.addEventListener('popstate', (e) => this.navigate(location.href, { push: false, scroll: e.state?.scroll }));
     }
 
-    validateField(field, rules = []) {
-        const value = field.value.trim();
-        const errors = [];
+    keyOf(url) {
+        const path = new URL(url, location.href).pathname;
+        return path.endsWith('/') ? `${path}index.html` : path;
+    }
 
-        rules.forEach(rule => {
-            if (rule.type === 'required' && !this.rules.required(value)) {
-                errors.push(rule.message || 'Field ini wajib diisi');
-            } else if (rule.type === 'email' && value && !this.rules.email(value)) {
-                errors.push(rule.message || 'Format email tidak valid');
-            } else if (rule.type === 'minLength' && !this.rules.minLength(value, rule.value)) {
-                errors.push(rule.message || `Minimal ${rule.value} karakter`);
-            } else if (rule.type === 'maxLength' && !this.rules.maxLength(value, rule.value)) {
-                errors.push(rule.message || `Maksimal ${rule.value} karakter`);
-            }
-        });
+    handleClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+        const link = event.target.closest('a[href]');
+        if (!link || link.target || link.hasAttribute('download')) return;
 
-        return errors;
+        const url = new URL(link.href, location.href);
+        if (url.origin !== location.origin || !/(\.html|\/)$/.test(url.pathname)) return;
+        // A jump within the page being shown is left to the browser
+        if (url.hash && url.pathname === location.pathname && url.search === location.search) return;
+
+        event.preventDefault();
+        this.navigate(url.href);
     }
 
-    validateFiles(files, rules = {}) {
-        const errors = [];
-        const maxSize = rules.maxSize || 5 * 1024 * 1024; // 5MB
-        const allowedTypes = rules.allowedTypes || [
-            'image/jpeg', 'image/png', 'image/gif', 
-            'application/pdf', 'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-        ];
+    async navigate(url, { push = true, scroll = null } = {}) {
+        const key = this.keyOf(url);
+        this.navigation = url;
 
-        Array.from(files).forEach(file => {
-            if (!this.rules.fileSize(file, maxSize)) {
-                errors.push(`File ${file.name} terlalu besar. Maksimal 5MB.`);
+        let entry = this.views.get(key);
+        if (!entry) {
+            try {
+                entry = await this.load(url);
+            } catch (error) {
+                console.error('Error loading page, falling back to a full page load:', error);
+                entry = null;
             }
-            if (!this.rules.fileType(file, allowedTypes)) {
-                errors.push(`Format file ${file.name} tidak didukung.`);
+            if (this.navigation !== url) return;
+            if (!entry) {
+                if (this.platform.privacy.keepsHistory) {
+                    location.assign(url);
+                } else {
+                    location.replace(url);
+                }
+                return;
             }
-        });
+            this.views.set(key, entry);
+        }
 
-        return errors;
+        await this.platform.leaveView();
+        if (this.navigation !== url) return;
+        if (push) {
+            if (this.platform.privacy.keepsHistory) {
+                history.replaceState({ scroll: window.pageYOffset }, '');
+                history.pushState({ scroll: 0 }, '', url);
+            } else {
+                history.replaceState({ scroll: 0 }, '', url);
+            }
+        }
+        this.show(entry);
+
+        const target = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+        if (scroll !== null && scroll !== undefined) {
+            window.scrollTo(0, scroll);
+        } else if (target) {
+            this.platform.scrollToElement(target);
+        } else {
+            window.scrollTo(0, 0);
+        }
+        this.view.focus({ preventScroll: true });
     }
 
-    showFieldError(field, message) {
-        this.clearFieldError(field);
-        field.classList.add('error');
-        
-        const fieldGroup = field.closest('.form-group');
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = message;
-        fieldGroup.appendChild(errorDiv);
+    // Fetches a page and prepares its view; null when the page has no view (the counselor
+    // dashboard), which then loads normally
+    async load(url) {
+        const response = await fetch(url, { headers: { Accept: 'text/html' } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const view = page.querySelector('main[data-view]');
+        if (!view) return null;
+
+        await this.loadScripts(page, response.url || url);
+        const element = document.importNode(view, true);
+        const title = document.importNode(page.querySelector('title'), true);
+        i18n.register(element);
+        i18n.register(title);
+        return { element: element, title: title.firstChild, fresh: true };
     }
 
-    clearFieldError(field) {
-        field.classList.remove('error');
-        const fieldGroup = field.closest('.form-group');
-        const existingError = fieldGroup.querySelector('.error-message');
-        if (existingError) {
-            existingError.remove();
+    // Scripts only some pages include (classifier.js on report.html), in the page's order
+    async loadScripts(page, baseUrl) {
+        const loaded = new Set(Array.from(document.scripts, script => script.src));
+        for (const source of page.querySelectorAll('script[src]')) {
+            const src = new URL(source.getAttribute('src'), baseUrl).href;
+            if (loaded.has(src)) continue;
+
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.addEventListener('load', resolve);
+                script.addEventListener('error', () => reject(new Error(`Could not load ${src}`)));
+                document.body.appendChild(script);
+            });
+        }
+    }
+
+    show(entry) {
+        if (entry.element !== this.view) {
+            this.view.replaceWith(entry.element);
+            this.view = entry.element;
+        }
+        // The title text stays bound to its translation (i18n.js) while the page is away
+        this.title.replaceChildren(entry.title);
+        this.platform.highlightCurrentPage();
+
+        if (entry.fresh) {
+            entry.fresh = false;
+            this.platform.setupView();
+        } else {
+            this.platform.refreshView();
         }
     }
 }
 
 class CyberbullyingPlatform {
-    constructor() {
-        this.storage = new DataStorage();
+    constructor(storage = new DataStorage()) {
+        this.storage = storage;
         this.validator = new FormValidator();
+        this.selectedFiles = new Map();
+        this.redactionEditor = null;
+        this.unsavedForms = new Set();
+        this.privacy = new PrivacyGuard(this);
         this.init();
     }
 
     init() {
+        // The shell (header, footer, modals) is set up once; setupView() runs again for every
+        // page the router loads
         this.setupEventListeners();
         this.setupNavigation();
+        this.setupOutbox();
+        this.setupModal();
+        this.setupAnnouncer();
+        this.setupQuickExit();
+        this.setupView();
+        const view = document.querySelector('main[data-view]');
+        this.router = view ? new ViewRouter(this, view) : null;
+        document.addEventListener('i18n:change', event => this.handleLanguageChange(event.detail.language));
+        console.log('Stop Cyberbullying Platform initialized successfully!');
+    }
+
+    setupView() {
+        this.setupPageLinks();
         this.setupTabs();
         this.setupForms();
-        this.setupModal();
+        this.setupStatusLookup();
+        this.setupAdminDashboard();
+        this.setupStatisticsDashboard();
+        this.setupAspirationBoard();
+        this.setupSelfAssessment();
+        this.setupPrivacyOptions();
         this.loadStatistics();
         this.setupAutoSave();
-        console.log('Stop Cyberbullying Platform initialized successfully!');
+    }
+
+    // A page the router already set up is shown again as it was left; only what depends on the
+    // address or on data that may have changed since is brought up to date
+    refreshView() {
+        const reportForm = document.getElementById('reportForm');
+        if (reportForm) {
+            this.applyLinkedReportType(reportForm);
+        }
+        if (document.getElementById('aspirationBoard')) {
+            this.aspirationBoard.refresh();
+        }
+        this.loadStatistics();
+    }
+
+    // Drafts are normally saved a second after the last keystroke; the router can't wait for that
+    // before it takes the form out of the page
+    async leaveView() {
+        await Promise.all(Array.from(this.unsavedForms)
+            .filter(formId => document.getElementById(formId))
+            .map(formId => this.saveAutoSave(formId)));
     }
 
     setupEventListeners() {
@@ -225,37 +4718,95 @@ class CyberbullyingPlatform {
         const navMenu = document.querySelector('.nav-menu');
         
         if (hamburger && navMenu) {
+            const setOpen = (open) => {
+                hamburger.classList.toggle('active', open);
+                navMenu.classList.toggle('active', open);
+                hamburger.setAttribute('aria-expanded', String(open));
+            };
+
             hamburger.addEventListener('click', () => {
-                hamburger.classList.toggle('active');
-                navMenu.classList.toggle('active');
+                setOpen(!navMenu.classList.contains('active'));
+                if (navMenu.classList.contains('active')) {
+                    navMenu.querySelector('.nav-link').focus();
+                }
             });
 
             document.querySelectorAll('.nav-link').forEach(link => {
-                link.addEventListener('click', () => {
-                    hamburger.classList.remove('active');
-                    navMenu.classList.remove('active');
-                });
+                link.addEventListener('click', () => setOpen(false));
+            });
+
+            // Escape closes the open menu and puts focus back on its button
+            navMenu.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && navMenu.classList.contains('active')) {
+                    setOpen(false);
+                    hamburger.focus();
+                }
             });
         }
+    }
+
+    // The "Keluar Cepat" button sits at the top of every public page
+    setupQuickExit() {
+        const button = document.getElementById('quickExit');
+        if (!button) return;
+
+        button.addEventListener('click', () => this.privacy.exit());
+        document.addEventListener('keydown', (e) => this.privacy.handleKeydown(e));
+    }
+
+    setupPrivacyOptions() {
+        const options = document.getElementById('privacyOptions');
+        if (!options) return;
 
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        const privateDevice = options.querySelector('[name="privateDevice"]');
+        const wipeOnExit = options.querySelector('[name="wipeOnExit"]');
+        const remaining = options.querySelector('#privacyRemaining');
+        // Private device mode always wipes on exit
+        const sync = async () => {
+            privateDevice.checked = this.privacy.privateDevice;
+            wipeOnExit.checked = this.privacy.wipesOnExit;
+            wipeOnExit.disabled = this.privacy.privateDevice;
+            if (remaining) {
+                const notes = await this.privacy.remaining();
+                remaining.textContent = notes.join(' ');
+                remaining.hidden = notes.length === 0;
+            }
+        };
+
+        privateDevice.addEventListener('change', async () => {
+            await this.privacy.set('privateDevice', privateDevice.checked);
+            sync();
+            this.announce(privateDevice.checked
+                ? t('Mode perangkat bersama aktif. Draf yang tersimpan sudah dihapus.')
+                : t('Mode perangkat bersama dimatikan.'));
+        });
+        wipeOnExit.addEventListener('change', () => this.privacy.set('wipeOnExit', wipeOnExit.checked));
+        sync();
+    }
+
+    setupPageLinks() {
+        document.querySelectorAll('main a[href^="#"]').forEach(anchor => {
             anchor.addEventListener('click', (e) => {
                 e.preventDefault();
                 const target = document.querySelector(anchor.getAttribute('href'));
                 if (target) {
-                    const headerOffset = 80;
-                    const elementPosition = target.getBoundingClientRect().top;
-                    const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-
-                    window.scrollTo({
-                        top: offsetPosition,
-                        behavior: 'smooth'
-                    });
+                    this.scrollToElement(target, 'smooth');
                 }
             });
         });
     }
 
+    scrollToElement(target, behavior = 'auto') {
+        const headerOffset = 80;
+        const elementPosition = target.getBoundingClientRect().top;
+        const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+
+        window.scrollTo({
+            top: offsetPosition,
+            behavior: behavior
+        });
+    }
+
     setupNavigation() {
         const sections = document.querySelectorAll('section[id]');
         const navLinks = document.querySelectorAll('.nav-link');
@@ -264,12 +4815,8 @@ class CyberbullyingPlatform {
         const hasHashLinks = Array.from(navLinks).some(link => link.getAttribute('href')?.startsWith('#'));
 
         if (!hasHashLinks) {
-            // Multi-page: mark current page link as active based on pathname
-            const currentPath = (location.pathname.split('/').pop() || 'index.html').toLowerCase();
-            navLinks.forEach(link => {
-                const href = (link.getAttribute('href') || '').toLowerCase();
-                link.classList.toggle('active', href === currentPath);
-            });
+            // Multi-page: the router calls this again after every navigation
+            this.highlightCurrentPage();
             return; // Skip scroll-based section highlighting on multi-page
         }
 
@@ -294,56 +4841,100 @@ class CyberbullyingPlatform {
         window.addEventListener('scroll', this.debounce(highlightNavLink, 10));
     }
 
+    // Marks the nav link of the page being shown as active based on pathname
+    highlightCurrentPage() {
+        const currentPath = (location.pathname.split('/').pop() || 'index.html').toLowerCase();
+        document.querySelectorAll('.nav-link').forEach(link => {
+            const href = (link.getAttribute('href') || '').toLowerCase();
+            link.classList.toggle('active', href === currentPath);
+            if (href === currentPath) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    // Tab widgets (prevention tips, dashboard sections) follow the WAI-ARIA tabs pattern: only
+    // the selected tab is in the Tab order and the arrow keys move between tabs
     setupTabs() {
-        const tabButtons = document.querySelectorAll('.tab-btn');
-        const tabPanes = document.querySelectorAll('.tab-pane');
+        document.querySelectorAll('.tab-buttons').forEach(tabList => {
+            const tabButtons = Array.from(tabList.querySelectorAll('.tab-btn'));
+            tabList.setAttribute('role', 'tablist');
 
-        tabButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const targetTab = button.getAttribute('data-tab');
-                
-                tabButtons.forEach(btn => btn.classList.remove('active'));
-                tabPanes.forEach(pane => pane.classList.remove('active'));
-                
-                button.classList.add('active');
-                const targetPane = document.getElementById(targetTab);
-                if (targetPane) {
-                    targetPane.classList.add('active');
+            tabButtons.forEach(button => {
+                const pane = document.getElementById(button.dataset.tab);
+                button.type = 'button';
+                button.id = button.id || `${button.dataset.tab}Tab`;
+                button.setAttribute('role', 'tab');
+                button.setAttribute('aria-controls', button.dataset.tab);
+                if (pane) {
+                    pane.setAttribute('role', 'tabpanel');
+                    pane.setAttribute('aria-labelledby', button.id);
+                    pane.tabIndex = 0;
                 }
-            });
 
-            button.addEventListener('keydown', (e) => {
-                const currentIndex = Array.from(tabButtons).indexOf(button);
-                let targetIndex;
-                
-                switch(e.key) {
-                    case 'ArrowLeft':
-                        targetIndex = currentIndex > 0 ? currentIndex - 1 : tabButtons.length - 1;
-                        break;
-                    case 'ArrowRight':
-                        targetIndex = currentIndex < tabButtons.length - 1 ? currentIndex + 1 : 0;
-                        break;
-                    case 'Home':
-                        targetIndex = 0;
-                        break;
-                    case 'End':
-                        targetIndex = tabButtons.length - 1;
-                        break;
-                    default:
-                        return;
-                }
-                
-                e.preventDefault();
-                tabButtons[targetIndex].focus();
-                tabButtons[targetIndex].click();
+                button.addEventListener('click', () => this.selectTab(tabButtons, button));
+
+                button.addEventListener('keydown', (e) => {
+                    // Tabs the signed-in staff role may not use are hidden
+                    const visibleButtons = tabButtons.filter(btn => !btn.hidden);
+                    const currentIndex = visibleButtons.indexOf(button);
+                    let targetIndex;
+
+                    switch(e.key) {
+                        case 'ArrowLeft':
+                            targetIndex = currentIndex > 0 ? currentIndex - 1 : visibleButtons.length - 1;
+                            break;
+                        case 'ArrowRight':
+                            targetIndex = currentIndex < visibleButtons.length - 1 ? currentIndex + 1 : 0;
+                            break;
+                        case 'Home':
+                            targetIndex = 0;
+                            break;
+                        case 'End':
+                            targetIndex = visibleButtons.length - 1;
+                            break;
+                        default:
+                            return;
+                    }
+
+                    e.preventDefault();
+                    visibleButtons[targetIndex].focus();
+                    visibleButtons[targetIndex].click();
+                });
             });
+
+            this.selectTab(tabButtons, tabButtons.find(button => button.classList.contains('active')) || tabButtons[0]);
+        });
+    }
+
+    selectTab(tabButtons, selected) {
+        tabButtons.forEach(button => {
+            const isSelected = button === selected;
+            button.classList.toggle('active', isSelected);
+            button.setAttribute('aria-selected', String(isSelected));
+            button.tabIndex = isSelected ? 0 : -1;
+            document.getElementById(button.dataset.tab)?.classList.toggle('active', isSelected);
         });
     }
 
     setupForms() {
         const reportForm = document.getElementById('reportForm');
         if (reportForm) {
+            const redactionModal = document.getElementById('redactionModal');
+            if (redactionModal) {
+                this.redactionEditor = new RedactionEditor(redactionModal);
+            }
+            const safetyModal = document.getElementById('safetyModal');
+            if (safetyModal) {
+                this.safetyFocus = new DialogFocus(safetyModal);
+                document.getElementById('safetyClose').addEventListener('click', () => this.hideSafetyScreen());
+            }
+            this.updateEncryptionNotice();
             this.setupFormValidation(reportForm);
+            this.reportWizard = reportForm.querySelector('.wizard-step') ? new ReportWizard(reportForm, this) : null;
+            this.reportSuggestions = reportForm.querySelector('#typeSuggestion') ? new ReportSuggestions(reportForm, new TextClassifier(), this) : null;
             reportForm.addEventListener('submit', (e) => this.handleReportSubmission(e));
         }
 
@@ -359,37 +4950,53 @@ class CyberbullyingPlatform {
     }
 
     setupFormValidation(form) {
-        const requiredFields = form.querySelectorAll('input[required], select[required], textarea[required]');
-        
-        requiredFields.forEach(field => {
+        form.querySelectorAll('input, select, textarea').forEach(field => {
+            if (field.type === 'file') return;
             field.addEventListener('blur', () => {
                 this.validateSingleField(field);
             });
-            
-            field.addEventListener('input', () => {
-                if (field.classList.contains('error')) {
-                    this.validateSingleField(field);
-                }
-            });
         });
+
+        // Rules can depend on other fields, so everything currently flagged is rechecked
+        const recheck = () => {
+            this.updateConditionalFields(form);
+            form.querySelectorAll('.error').forEach(field => this.validateSingleField(field));
+        };
+        form.addEventListener('input', recheck);
+        form.addEventListener('change', recheck);
+        form.addEventListener('reset', () => setTimeout(() => this.updateConditionalFields(form)));
+        this.updateConditionalFields(form);
+    }
+
+    // Shows containers marked data-visible-when="field=value" only while that field has that value
+    updateConditionalFields(form) {
+        form.querySelectorAll('[data-visible-when]').forEach(container => {
+            const [name, expected] = container.dataset.visibleWhen.split('=');
+            const field = form.elements[name];
+            const value = field?.type === 'checkbox' ? (field.checked ? field.value : '') : field?.value;
+            const visible = value === expected;
+            container.hidden = !visible;
+            if (!visible) {
+                container.querySelectorAll('.error').forEach(field => this.validator.clearFieldError(field));
+            }
+        });
+    }
+
+    getFormValues(form) {
+        return this.validator.getValues(form, input => this.getSelectedFiles(input));
     }
 
-    validateSingleField(field) {
-        const rules = [];
-        
-        if (field.hasAttribute('required')) {
-            rules.push({ type: 'required' });
-        }
-        
-        if (field.type === 'email') {
-            rules.push({ type: 'email' });
-        }
-        
-        if (field.tagName === 'TEXTAREA') {
-            rules.push({ type: 'minLength', value: 10, message: 'Deskripsi minimal 10 karakter' });
+    async getFieldErrors(field, values) {
+        if (!this.validator.getFields(field.form).includes(field)) {
+            return [];
         }
 
-        const errors = this.validator.validateField(field, rules);
+        const rules = this.validator.getRules(field, field.form);
+        return this.validator.validateField(field, rules, { values: values, form: field.form });
+    }
+
+    async validateSingleField(field, values = this.getFormValues(field.form)) {
+        const errors = await this.getFieldErrors(field, values);
         
         if (errors.length > 0) {
             this.validator.showFieldError(field, errors[0]);
@@ -402,27 +5009,35 @@ class CyberbullyingPlatform {
 
     handleFileUpload(event) {
         const input = event.target;
-        const files = input.files;
+        const newFiles = Array.from(input.files);
         const fieldGroup = input.closest('.form-group');
         
         const existingMessages = fieldGroup.querySelectorAll('.file-error, .file-success');
         existingMessages.forEach(msg => msg.remove());
 
-        if (files.length > 0) {
-            const errors = this.validator.validateFiles(files);
+        if (newFiles.length > 0) {
+            const errors = this.validator.validateFiles(newFiles);
+            const validFiles = newFiles.filter(file => this.validator.validateFiles([file]).length === 0);
             
-            if (errors.length > 0) {
-                errors.forEach(error => {
-                    const errorDiv = document.createElement('div');
-                    errorDiv.className = 'file-error';
-                    errorDiv.textContent = error;
-                    fieldGroup.appendChild(errorDiv);
-                });
-                input.value = '';
-            } else {
+            errors.forEach(error => {
+                const errorDiv = document.createElement('div');
+                errorDiv.className = 'file-error';
+                errorDiv.textContent = error;
+                fieldGroup.appendChild(errorDiv);
+            });
+
+            // Picking again adds to the selection instead of replacing it
+            const selection = this.getSelectedFiles(input);
+            const addedFiles = validFiles.filter(file => !selection.some(selected =>
+                selected.name === file.name && selected.size === file.size && selected.lastModified === file.lastModified));
+            selection.push(...addedFiles);
+            this.setSelectedFiles(input, selection);
+            this.redactImages(input, addedFiles.filter(file => file.type.startsWith('image/')));
+
+            if (validFiles.length > 0) {
                 const successDiv = document.createElement('div');
                 successDiv.className = 'file-success';
-                successDiv.textContent = `${files.length} file berhasil dipilih`;
+                successDiv.textContent = t('{count} file berhasil dipilih', { count: validFiles.length });
                 fieldGroup.appendChild(successDiv);
                 
                 setTimeout(() => {
@@ -431,14 +5046,166 @@ class CyberbullyingPlatform {
                     }
                 }, 3000);
             }
+        } else {
+            // A cancelled file dialog empties the input, put the current selection back
+            this.setSelectedFiles(input, this.getSelectedFiles(input));
+        }
+    }
+
+    // Screenshots often show phone numbers or other students' names, so every new
+    // image goes through the redaction editor before it is attached
+    async redactImages(input, files) {
+        for (const file of files) {
+            await this.redactSelectedFile(input, file);
+        }
+    }
+
+    async redactSelectedFile(input, file) {
+        if (!this.redactionEditor) return;
+
+        const redacted = await this.redactionEditor.open(file);
+        const selection = this.getSelectedFiles(input);
+        const index = selection.indexOf(file);
+        if (redacted === file || index === -1) return;
+
+        const fieldGroup = input.closest('.form-group');
+        fieldGroup.querySelectorAll('.file-error').forEach(msg => msg.remove());
+        const errors = this.validator.validateFiles([redacted]);
+        if (errors.length > 0) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'file-error';
+            errorDiv.textContent = errors[0];
+            fieldGroup.appendChild(errorDiv);
+            return;
+        }
+
+        selection[index] = redacted;
+        this.setSelectedFiles(input, selection);
+    }
+
+    getSelectedFiles(input) {
+        return (this.selectedFiles.get(input.id) || []).slice();
+    }
+
+    setSelectedFiles(input, files) {
+        this.selectedFiles.set(input.id, files);
+
+        if (typeof DataTransfer !== 'undefined') {
+            try {
+                const transfer = new DataTransfer();
+                files.forEach(file => transfer.items.add(file));
+                input.files = transfer.files;
+            } catch (error) {
+                console.error('Could not sync file input:', error);
+            }
+        }
+
+        this.renderFilePreviews(input);
+    }
+
+    clearSelectedFiles(form) {
+        form.querySelectorAll('input[type="file"]').forEach(input => {
+            this.setSelectedFiles(input, []);
+        });
+    }
+
+    renderFilePreviews(input) {
+        const fieldGroup = input.closest('.form-group');
+        let list = fieldGroup.querySelector('.file-previews');
+        if (!list) {
+            list = document.createElement('ul');
+            list.className = 'file-previews';
+            fieldGroup.insertBefore(list, input.nextSibling);
+        }
+
+        list.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+        list.innerHTML = '';
+
+        this.getSelectedFiles(input).forEach((file, index) => {
+            const item = document.createElement('li');
+            item.className = 'file-preview';
+
+            if (file.type.startsWith('image/')) {
+                const thumbnail = document.createElement('img');
+                thumbnail.src = URL.createObjectURL(file);
+                thumbnail.alt = '';
+                item.appendChild(thumbnail);
+            } else {
+                const icon = document.createElement('i');
+                icon.className = file.type === 'application/pdf' ? 'fas fa-file-pdf' : 'fas fa-file-word';
+                icon.setAttribute('aria-hidden', 'true');
+                item.appendChild(icon);
+            }
+
+            const info = document.createElement('span');
+            info.className = 'file-preview-info';
+            info.textContent = `${file.name} (${this.formatFileSize(file.size)})`;
+            item.appendChild(info);
+
+            if (file.type.startsWith('image/') && this.redactionEditor) {
+                const redactBtn = document.createElement('button');
+                redactBtn.type = 'button';
+                redactBtn.className = 'file-preview-redact';
+                redactBtn.innerHTML = '<i class="fas fa-eye-slash" aria-hidden="true"></i> ';
+                redactBtn.appendChild(document.createTextNode(t('Sensor')));
+                redactBtn.setAttribute('aria-label', t('Sensor {name}', { name: file.name }));
+                redactBtn.addEventListener('click', () => this.redactSelectedFile(input, file));
+                item.appendChild(redactBtn);
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'file-preview-remove';
+            removeBtn.innerHTML = '&times;';
+            removeBtn.setAttribute('aria-label', t('Hapus {name}', { name: file.name }));
+            removeBtn.addEventListener('click', () => {
+                const selection = this.getSelectedFiles(input);
+                selection.splice(index, 1);
+                this.setSelectedFiles(input, selection);
+                input.focus();
+            });
+            item.appendChild(removeBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async updateEncryptionNotice() {
+        const notice = document.getElementById('encryptionNotice');
+        if (notice && !await this.storage.getCounselorPublicKey()) {
+            notice.textContent = t('Data tersimpan aman, namun enkripsi belum diaktifkan oleh tim BK.');
         }
     }
 
-    handleReportSubmission(event) {
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    async handleReportSubmission(event) {
         event.preventDefault();
         const form = event.target;
+
+        // Enter on an earlier wizard step moves forward instead of sending
+        if (this.reportWizard && !this.reportWizard.isLastStep()) {
+            this.reportWizard.next();
+            return;
+        }
         
-        if (!this.validateForm(form)) {
+        if (!await this.validateForm(form)) {
+            this.reportWizard?.showFirstError();
             return;
         }
 
@@ -446,62 +5213,98 @@ class CyberbullyingPlatform {
         const originalText = submitBtn.innerHTML;
         
         // Show loading state
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Mengirim...';
+        submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ${t('Mengirim...')}`;
         submitBtn.disabled = true;
         submitBtn.classList.add('loading');
+        form.setAttribute('aria-busy', 'true');
+        this.announce(t('Mengirim laporan, mohon tunggu...'));
 
         // Collect form data
         const formData = new FormData(form);
         const reportData = {
             type: formData.get('reportType'),
             platform: formData.get('platform'),
+            platformOther: formData.get('platform') === 'other' ? formData.get('platformOther').trim() : '',
             description: formData.get('description'),
             urgency: formData.get('urgency'),
             anonymous: formData.get('anonymous') === 'on',
             terms: formData.get('terms') === 'on',
-            files: this.getFileInfo(formData.getAll('evidence'))
+            files: []
         };
+        const evidenceInput = form.querySelector('#evidence');
+        const evidenceFiles = evidenceInput ? this.getSelectedFiles(evidenceInput) : [];
+        const isCritical = reportData.urgency === 'critical';
 
-        setTimeout(() => {
-            const reportId = this.storage.addReport(reportData);
+        if (isCritical) {
+            reportData.contactRequested = formData.get('contactRequested') === 'on';
+            reportData.contactDetails = reportData.contactRequested ? formData.get('contactDetails').trim() : '';
+            // Help lines go on screen before anything is sent, not after
+            this.showSafetyScreen();
+        }
+
+        let receipt = null;
+        try {
+            receipt = await this.storage.addReport(reportData, evidenceFiles);
+        } catch (error) {
+            // Sealing, proving and queueing happen before the store is reached and can fail on
+            // their own (no crypto.subtle outside a secure context, IndexedDB turned off)
+            console.error('Error submitting report:', error);
+        }
+        form.removeAttribute('aria-busy');
+        
+        if (receipt && !receipt.throttled) {
+            form.reset();
+            this.clearSelectedFiles(form);
+            this.clearFormErrors(form);
             
-            if (reportId) {
-                form.reset();
-                this.clearFormErrors(form);
-                
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('loading');
-                
-                this.showModal(
-                    'Laporan Berhasil Dikirim!',
-                    `Laporan Anda telah berhasil dikirim dengan ID: ${reportId.substr(-8)}. Tim kami akan segera menindaklanjuti dalam 24 jam. Terima kasih atas kepercayaan Anda.`
-                );
-                
-                this.clearAutoSave('reportForm');
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('loading');
+            
+            if (isCritical) {
+                this.showSafetyReceipt(receipt);
+            } else if (receipt.queued) {
+                this.showQueuedNotice('Laporan');
             } else {
-                alert('Terjadi kesalahan saat menyimpan laporan. Silakan coba lagi.');
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('loading');
+                this.showReportReceipt(receipt);
+            }
+            
+            this.clearAutoSave('reportForm');
+        } else if (receipt) {
+            if (isCritical) {
+                this.setSafetyReceipt(`${this.throttledMessage(receipt)} ${t('Tetap hubungi hotline di atas bila kamu dalam bahaya.')}`);
             }
-        }, 2000);
+            alert(this.throttledMessage(receipt));
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('loading');
+        } else {
+            if (isCritical) {
+                this.setSafetyReceipt(t('Laporan gagal terkirim. Tutup layar ini lalu coba kirim lagi, dan tetap hubungi hotline di atas bila kamu dalam bahaya.'));
+            }
+            alert(t('Terjadi kesalahan saat menyimpan laporan. Silakan coba lagi.'));
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('loading');
+        }
     }
 
-    handleAspirationSubmission(event) {
+    async handleAspirationSubmission(event) {
         event.preventDefault();
         const form = event.target;
         
-        if (!this.validateForm(form)) {
+        if (!await this.validateForm(form)) {
             return;
         }
 
         const submitBtn = form.querySelector('button[type="submit"]');
         const originalText = submitBtn.innerHTML;
         
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Mengirim...';
+        submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ${t('Mengirim...')}`;
         submitBtn.disabled = true;
         submitBtn.classList.add('loading');
+        form.setAttribute('aria-busy', 'true');
+        this.announce(t('Mengirim aspirasi, mohon tunggu...'));
 
         const formData = new FormData(form);
         const aspirationData = {
@@ -512,61 +5315,449 @@ class CyberbullyingPlatform {
             anonymous: formData.get('aspirationAnonymous') === 'on'
         };
 
-        setTimeout(() => {
-            const aspirationId = this.storage.addAspiration(aspirationData);
+        let aspirationId = null;
+        try {
+            aspirationId = await this.storage.addAspiration(aspirationData);
+        } catch (error) {
+            console.error('Error submitting aspiration:', error);
+        }
+        form.removeAttribute('aria-busy');
+        
+        if (aspirationId && !aspirationId.throttled) {
+            form.reset();
+            this.clearFormErrors(form);
             
-            if (aspirationId) {
-                form.reset();
-                this.clearFormErrors(form);
-                
-                // Reset button
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('loading');
-                
-                this.showModal(
-                    'Aspirasi Berhasil Dikirim!',
-                    `Aspirasi Anda telah berhasil dikirim dengan ID: ${aspirationId.substr(-8)}. Terima kasih atas kontribusi Anda untuk menciptakan lingkungan sekolah yang lebih baik.`
-                );
-                
-                this.clearAutoSave('aspirationsForm');
+            // Reset button
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('loading');
+            
+            if (aspirationId.queued) {
+                this.showQueuedNotice('Aspirasi');
             } else {
-                alert('Terjadi kesalahan saat menyimpan aspirasi. Silakan coba lagi.');
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('loading');
+                this.showAspirationReceipt(aspirationId);
+            }
+            
+            this.clearAutoSave('aspirationsForm');
+        } else {
+            alert(aspirationId ? this.throttledMessage(aspirationId) : t('Terjadi kesalahan saat menyimpan aspirasi. Silakan coba lagi.'));
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('loading');
+        }
+    }
+
+    setupAdminDashboard() {
+        if (document.getElementById('adminDashboard')) {
+            this.adminDashboard = new AdminDashboard(this);
+        }
+    }
+
+    setupStatisticsDashboard() {
+        const section = document.getElementById('statisticsDashboard');
+        if (section) {
+            this.statisticsDashboard = new StatisticsDashboard(section, this.storage);
+        }
+    }
+
+    // Components with their own listeners re-render themselves; these are the leftovers
+    handleLanguageChange(language) {
+        this.storage.setLanguage(language);
+        if (this.reportWizard?.isLastStep()) {
+            this.reportWizard.renderReview();
+        }
+        this.reportSuggestions?.render();
+        this.selfAssessment?.render();
+        this.updateEncryptionNotice();
+        this.refreshOutboxStatus();
+    }
+
+    setupAspirationBoard() {
+        const section = document.getElementById('aspirationBoard');
+        if (section) {
+            this.aspirationBoard = new AspirationBoard(section, this.storage, this);
+            this.aspirationBoard.refresh();
+        }
+    }
+
+    setupSelfAssessment() {
+        const section = document.getElementById('selfAssessment');
+        if (section) {
+            this.selfAssessment = new SelfAssessmentQuiz(section);
+        }
+    }
+
+    showReportReceipt(receipt) {
+        this.showModal(
+            t('Laporan Berhasil Dikirim!'),
+            t('Laporan Anda telah berhasil dikirim. Tim kami akan segera menindaklanjuti dalam 24 jam. Terima kasih atas kepercayaan Anda.') + '\n\n' +
+            (receipt.held ? t('Laporan ini sangat singkat atau tidak biasa, jadi Guru BK memeriksanya dulu sebelum masuk antrean. Jika laporanmu sungguhan, tidak perlu mengirim ulang.') + '\n\n' : '') +
+            t('Kode Laporan: {code}\nPIN Rahasia: {pin}', { code: receipt.trackingCode, pin: receipt.pin }) + '\n\n' +
+            t('Catat kode dan PIN ini. Keduanya diperlukan untuk mengecek status laporan di halaman Cek Status dan tidak dapat ditampilkan ulang.')
+        );
+    }
+
+    throttledMessage(result) {
+        return t('Terlalu banyak kiriman dari perangkat ini dalam waktu singkat. Coba lagi dalam {minutes} menit.', {
+            minutes: Math.max(1, Math.ceil(result.retryAfter / 60000))
+        });
+    }
+
+    lockedOutMessage(result) {
+        return t('Terlalu banyak percobaan kode dan PIN yang salah. Coba lagi dalam {minutes} menit.', {
+            minutes: Math.max(1, Math.ceil(result.retryAfter / 60000))
+        });
+    }
+
+    showSafetyScreen() {
+        const modal = document.getElementById('safetyModal');
+        if (!modal) return;
+
+        this.setSafetyReceipt(t('Mengirim laporan darurat...'));
+        // Closing before the receipt arrives would lose the one-time PIN
+        document.getElementById('safetyClose').disabled = true;
+        modal.style.display = 'block';
+        document.body.style.overflow = 'hidden';
+        this.safetyFocus.open(modal.querySelector('.safety-hotlines a'));
+    }
+
+    setSafetyReceipt(message) {
+        const receipt = document.getElementById('safetyReceipt');
+        if (receipt) {
+            receipt.textContent = message;
+            document.getElementById('safetyClose').disabled = false;
+        }
+    }
+
+    showSafetyReceipt(receipt) {
+        if (receipt.queued) {
+            this.setSafetyReceipt(
+                t('Koneksi internet sedang tidak tersedia. Laporan disimpan di perangkat ini dan dikirim otomatis begitu koneksi kembali. Sambil menunggu, hubungi hotline di atas.')
+            );
+            this.refreshOutboxStatus();
+            return;
+        }
+
+        this.setSafetyReceipt(
+            t('Laporan darurat terkirim.') + '\n\n' +
+            t('Kode Laporan: {code}\nPIN Rahasia: {pin}', { code: receipt.trackingCode, pin: receipt.pin }) + '\n\n' +
+            t('Catat kode dan PIN ini untuk mengecek tanggapan Guru BK di halaman Cek Status.')
+        );
+    }
+
+    hideSafetyScreen() {
+        const modal = document.getElementById('safetyModal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = 'auto';
+            this.safetyFocus.close();
+        }
+    }
+
+    showAspirationReceipt(aspirationId) {
+        this.showModal(
+            t('Aspirasi Berhasil Dikirim!'),
+            t('Aspirasi Anda telah berhasil dikirim dengan ID: {id}. Aspirasi akan tampil di Papan Aspirasi setelah ditinjau tim sekolah. Terima kasih atas kontribusi Anda untuk menciptakan lingkungan sekolah yang lebih baik.', { id: aspirationId.substr(-8) })
+        );
+    }
+
+    showQueuedNotice(kind) {
+        const label = t(kind);
+        this.showModal(
+            t('{label} Disimpan Sementara', { label: label }),
+            t('Koneksi internet sedang tidak tersedia. {label} Anda disimpan di perangkat ini dan akan dikirim otomatis begitu koneksi kembali. Jangan hapus data browser sebelum {item} terkirim.', { label: label, item: label.toLowerCase() })
+        );
+        this.refreshOutboxStatus();
+    }
+
+    setupOutbox() {
+        const outbox = this.storage.outbox;
+        if (!outbox) return;
+
+        const badge = document.createElement('div');
+        badge.className = 'outbox-status';
+        badge.id = 'outboxStatus';
+        badge.setAttribute('role', 'status');
+        badge.hidden = true;
+        document.body.appendChild(badge);
+
+        window.addEventListener('online', () => {
+            outbox.requestSync().then(() => this.refreshOutboxStatus());
+        });
+        window.addEventListener('offline', () => this.refreshOutboxStatus());
+
+        navigator.serviceWorker?.addEventListener('message', (e) => {
+            if (e.data?.type === 'outbox-updated') {
+                this.refreshOutboxStatus();
             }
-        }, 2000);
+        });
+
+        outbox.requestSync().then(() => this.refreshOutboxStatus());
+    }
+
+    async refreshOutboxStatus() {
+        const outbox = this.storage.outbox;
+        const badge = document.getElementById('outboxStatus');
+        if (!outbox || !badge) return;
+
+        const queued = await outbox.getItems('queued');
+        badge.hidden = queued.length === 0;
+        badge.innerHTML = '';
+        if (queued.length > 0) {
+            const icon = document.createElement('i');
+            icon.className = navigator.onLine ? 'fas fa-sync fa-spin' : 'fas fa-wifi';
+            icon.setAttribute('aria-hidden', 'true');
+            badge.appendChild(icon);
+            badge.appendChild(document.createTextNode(navigator.onLine
+                ? ` ${t('Mengirim {count} kiriman tertunda...', { count: queued.length })}`
+                : ` ${t('{count} kiriman menunggu koneksi internet', { count: queued.length })}`));
+        }
+
+        // Receipts (and refusals) stay queued until a page with the modal can show them, or the PIN
+        // would be lost
+        const sent = await outbox.getItems('sent');
+        const failed = await outbox.getItems('failed');
+        if ((sent.length === 0 && failed.length === 0) || !document.getElementById('successModal')) return;
+
+        const parts = [];
+        if (sent.length > 0) {
+            const lines = sent.map(item => item.kind === 'report'
+                ? t('Laporan — Kode: {code}, PIN: {pin}', { code: item.receipt.trackingCode, pin: item.receipt.pin })
+                : t('Aspirasi — ID: {id}', { id: item.receipt.id.substr(-8) }));
+            const pinNotice = sent.some(item => item.kind === 'report')
+                ? '\n\n' + t('Catat kode dan PIN laporan untuk mengecek status di halaman Cek Status. Informasi ini tidak dapat ditampilkan ulang.')
+                : '';
+            parts.push(`${t('Kiriman yang Anda simpan saat offline sudah diterima tim kami.')}\n\n${lines.join('\n')}${pinNotice}`);
+        }
+        failed.forEach(item => {
+            const label = item.kind === 'report' ? t('Laporan') : t('Aspirasi');
+            parts.push(item.failedStatus === 409
+                ? t('{label} yang tertunda kemungkinan sudah diterima sebelumnya, tetapi kode dan PIN-nya tidak dapat ditampilkan. Kirim ulang bila Anda perlu mengecek statusnya.', { label: label })
+                : t('{label} yang tertunda ditolak server dan tidak terkirim. Silakan isi dan kirim ulang.', { label: label }));
+        });
+        this.showModal(
+            sent.length > 0 ? t('Kiriman Tertunda Berhasil Terkirim!') : t('Kiriman Tertunda Gagal Terkirim'),
+            parts.join('\n\n')
+        );
+
+        await Promise.all([...sent, ...failed].map(item => outbox.remove(item.id)));
+        this.storage.updateStatistics();
+    }
+
+    setupStatusLookup() {
+        const statusForm = document.getElementById('statusForm');
+        if (!statusForm) return;
+
+        this.setupFormValidation(statusForm);
+        statusForm.addEventListener('submit', (e) => this.handleStatusLookup(e));
+
+        const codeField = statusForm.querySelector('#trackingCode');
+        codeField?.addEventListener('blur', () => {
+            codeField.value = this.storage.normalizeTrackingCode(codeField.value);
+        });
+    }
+
+    async handleStatusLookup(event) {
+        event.preventDefault();
+        const form = event.target;
+        const resultContainer = document.getElementById('statusResult');
+
+        if (!await this.validateForm(form)) {
+            return;
+        }
+
+        const formData = new FormData(form);
+        const report = await this.storage.findReportByTracking(
+            formData.get('trackingCode'),
+            formData.get('trackingPin')
+        );
+
+        if (!resultContainer) return;
+        resultContainer.innerHTML = '';
+
+        if (!report || report.throttled) {
+            const notFound = document.createElement('div');
+            notFound.className = 'status-empty';
+            notFound.textContent = report
+                ? this.lockedOutMessage(report)
+                : t('Laporan tidak ditemukan. Periksa kembali kode laporan dan PIN Anda.');
+            resultContainer.appendChild(notFound);
+            return;
+        }
+
+        this.renderReportStatus(report, resultContainer, {
+            trackingCode: formData.get('trackingCode'),
+            pin: formData.get('trackingPin')
+        });
+    }
+
+    renderReportStatus(report, container, credentials) {
+        const header = document.createElement('div');
+        header.className = 'status-header';
+        header.innerHTML = '<h3></h3><p></p>';
+        header.querySelector('h3').textContent = t('Laporan {code}', { code: report.trackingCode });
+        header.querySelector('p').textContent = t('Dikirim {date} · Status: {status}', {
+            date: this.formatDate(report.timestamp),
+            status: t(REPORT_STATUSES[report.status] || report.status)
+        });
+        container.appendChild(header);
+
+        // Held and rejected reports are outside the usual flow; the student is told what happens instead
+        if (MODERATION_STATUSES.includes(report.status)) {
+            const notice = document.createElement('p');
+            notice.className = 'status-moderation';
+            notice.textContent = report.status === 'held'
+                ? t('Laporan ini sedang diperiksa Guru BK sebelum masuk antrean. Tidak perlu mengirim ulang.')
+                : t('Laporan ini ditolak karena terlihat seperti spam atau candaan. Jika ini keliru, tulis pesan di bawah untuk Guru BK.');
+            container.appendChild(notice);
+        }
+
+        const timeline = document.createElement('ol');
+        timeline.className = 'status-timeline';
+        const flow = Object.keys(REPORT_STATUSES).filter(status => !MODERATION_STATUSES.includes(status));
+        const currentIndex = flow.indexOf(report.status);
+
+        flow.forEach((status, index) => {
+            const entry = (report.timeline || []).filter(item => item.status === status).pop();
+            const step = document.createElement('li');
+            step.className = 'status-step';
+            if (index < currentIndex) step.classList.add('done');
+            if (index === currentIndex) step.classList.add('current');
+
+            const label = document.createElement('strong');
+            label.textContent = t(REPORT_STATUSES[status]);
+            const time = document.createElement('span');
+            time.textContent = entry ? this.formatDate(entry.timestamp) : '-';
+
+            step.appendChild(label);
+            step.appendChild(time);
+            timeline.appendChild(step);
+        });
+        container.appendChild(timeline);
+
+        container.appendChild(this.buildStatusThread(report, container, credentials));
+    }
+
+    buildStatusThread(report, container, credentials) {
+        const section = document.createElement('div');
+        section.className = 'status-replies';
+        const title = document.createElement('h4');
+        title.textContent = t('Percakapan dengan Guru BK');
+        title.tabIndex = -1;
+        section.appendChild(title);
+
+        const unread = this.storage.countUnread(report, 'reporter');
+        if (unread > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'unread-badge';
+            badge.textContent = t('{count} pesan baru', { count: unread });
+            title.appendChild(badge);
+        }
+
+        const replies = report.replies || [];
+        if (replies.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'status-empty';
+            empty.textContent = t('Belum ada tanggapan. Tim kami akan merespon dalam 24 jam.');
+            section.appendChild(empty);
+        }
+
+        const readAt = new Date(report.reporterReadAt || 0);
+        const counselorReadAt = new Date(report.counselorReadAt || 0);
+        replies.forEach(reply => {
+            const fromReporter = reply.from === 'reporter';
+            const item = document.createElement('div');
+            item.className = fromReporter ? 'status-reply from-reporter' : 'status-reply';
+            item.classList.toggle('unread', !fromReporter && new Date(reply.timestamp) > readAt);
+
+            const meta = document.createElement('small');
+            meta.textContent = fromReporter
+                ? `${t('Anda')} · ${this.formatDate(reply.timestamp)}${new Date(reply.timestamp) <= counselorReadAt ? ` · ${t('Dibaca Guru BK')}` : ''}`
+                : `${reply.author || t('Guru BK')} · ${this.formatDate(reply.timestamp)}`;
+            const message = document.createElement('p');
+            // Sealed messages can only be opened with the counselors' private key
+            message.textContent = reply.encrypted ? t('Pesan terenkripsi, hanya dapat dibaca Guru BK.') : reply.message;
+            item.appendChild(meta);
+            item.appendChild(message);
+            section.appendChild(item);
+        });
+
+        if (credentials) {
+            section.appendChild(this.buildReporterMessageForm(container, credentials));
+        }
+        return section;
     }
 
-    validateForm(form) {
-        const requiredFields = form.querySelectorAll('input[required], select[required], textarea[required]');
-        let isValid = true;
+    buildReporterMessageForm(container, credentials) {
+        const form = document.createElement('form');
+        form.className = 'status-message-form';
+        form.innerHTML = `
+            <div class="form-group">
+                <label for="reporterMessage">${t('Balas atau tambahkan informasi')}</label>
+                <textarea id="reporterMessage" name="reporterMessage" rows="3" maxlength="2000" required
+                    placeholder="${t('Identitas Anda tetap dirahasiakan. Jangan tulis nama jika ingin tetap anonim.')}"></textarea>
+            </div>
+            <button type="submit" class="btn btn-primary">
+                <i class="fas fa-paper-plane" aria-hidden="true"></i>
+                ${t('Kirim Pesan')}
+            </button>
+        `;
 
-        requiredFields.forEach(field => {
-            if (!this.validateSingleField(field)) {
-                isValid = false;
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const textarea = form.querySelector('textarea');
+            if (!await this.validateForm(form)) return;
+
+            const button = form.querySelector('button');
+            button.disabled = true;
+            const report = await this.storage.addReporterMessage(credentials.trackingCode, credentials.pin, textarea.value.trim());
+            button.disabled = false;
+
+            if (!report || report.throttled) {
+                this.validator.showFieldError(textarea, report ? this.lockedOutMessage(report) : t('Pesan gagal dikirim. Silakan coba lagi.'));
+                return;
             }
+
+            container.innerHTML = '';
+            this.renderReportStatus(report, container, credentials);
+            container.querySelector('.status-replies h4').focus();
         });
 
-        return isValid;
+        return form;
     }
 
-    clearFormErrors(form) {
-        const errorElements = form.querySelectorAll('.error-message, .file-error');
-        errorElements.forEach(element => element.remove());
-        
-        const errorFields = form.querySelectorAll('.error');
-        errorFields.forEach(field => field.classList.remove('error'));
+    formatDate(isoString) {
+        return new Date(isoString).toLocaleString(i18n.locale, {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
     }
 
-    getFileInfo(files) {
-        return files.map(file => ({
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            lastModified: file.lastModified
-        }));
+    async validateForm(form, container = form) {
+        const values = this.getFormValues(form);
+        const errors = [];
+
+        for (const field of this.validator.getFields(container)) {
+            const fieldErrors = await this.getFieldErrors(field, values);
+            if (fieldErrors.length > 0) {
+                this.validator.showFieldError(field, fieldErrors[0]);
+                errors.push({ field: field, message: fieldErrors[0] });
+            } else {
+                this.validator.clearFieldError(field);
+            }
+        }
+
+        this.validator.showErrorSummary(form, errors);
+        return errors.length === 0;
+    }
+
+    clearFormErrors(form) {
+        form.querySelectorAll('.error').forEach(field => this.validator.clearFieldError(field));
+        const errorElements = form.querySelectorAll('.error-message, .file-error, .form-error-summary');
+        errorElements.forEach(element => element.remove());
     }
 
     setupModal() {
@@ -578,6 +5769,7 @@ class CyberbullyingPlatform {
         }
 
         if (modal) {
+            this.modalFocus = new DialogFocus(modal);
             window.addEventListener('click', (e) => {
                 if (e.target === modal) {
                     this.hideModal();
@@ -604,19 +5796,45 @@ class CyberbullyingPlatform {
             modalMessage.textContent = message;
             modal.style.display = 'block';
             document.body.style.overflow = 'hidden';
+            this.modalFocus.open(modal.querySelector('.modal-body .btn'));
         }
     }
 
     hideModal() {
         const modal = document.getElementById('successModal');
-        if (modal) {
+        if (modal?.style.display === 'block') {
             modal.style.display = 'none';
             document.body.style.overflow = 'auto';
+            this.modalFocus.close();
         }
     }
 
+    setupAnnouncer() {
+        const announcer = document.createElement('div');
+        announcer.className = 'sr-only';
+        announcer.id = 'srAnnouncer';
+        announcer.setAttribute('role', 'status');
+        document.body.appendChild(announcer);
+    }
+
+    // Tells screen reader users about progress that has no visible text where their focus is,
+    // such as a submission running after the submit button was disabled
+    announce(message) {
+        const announcer = document.getElementById('srAnnouncer');
+        if (!announcer) return;
+        // Emptied first so the same message twice in a row is read twice
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
+
     loadStatistics() {
-        this.storage.updateStatistics();
+        if (this.statisticsDashboard) {
+            this.statisticsDashboard.refresh();
+        } else {
+            this.storage.updateStatistics();
+        }
         
         const observerOptions = {
             threshold: 0.1,
@@ -644,44 +5862,79 @@ class CyberbullyingPlatform {
             const form = document.getElementById(formId);
             if (!form) return;
             
-            this.loadAutoSave(formId);
+            this.loadAutoSave(formId).then(() => {
+                this.applyLinkedReportType(form);
+                if (this.reportWizard?.form === form) {
+                    this.reportWizard.resume();
+                }
+                if (this.reportSuggestions?.form === form) {
+                    this.reportSuggestions.refresh();
+                }
+            });
             
+            form.addEventListener('input', () => this.unsavedForms.add(formId));
             form.addEventListener('input', this.debounce(() => {
                 this.saveAutoSave(formId);
             }, 1000));
         });
     }
 
-    saveAutoSave(formId) {
+    // The self-assessment on the prevention page links to report.html?type=<report type>. The
+    // choice from the link wins over a saved draft and is then dropped from the address, so a
+    // reload keeps whatever the student picks afterwards.
+    applyLinkedReportType(form) {
+        const params = new URLSearchParams(location.search);
+        const field = form.elements.reportType;
+        if (!field || !REPORT_TYPES[params.get('type')]) return;
+
+        field.value = params.get('type');
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+        params.delete('type');
+        history.replaceState(null, '', location.pathname + (params.toString() ? `?${params}` : '') + location.hash);
+    }
+
+    async saveAutoSave(formId) {
         const form = document.getElementById(formId);
         if (!form) return;
+        this.unsavedForms.delete(formId);
+        if (this.privacy.privateDevice) return;
         
         const formData = new FormData(form);
         const data = {};
         
         for (let [key, value] of formData.entries()) {
             const field = form.querySelector(`[name="${key}"]`);
-            if (field?.type === 'checkbox') {
+            if (field?.type === 'file') {
+                continue;
+            } else if (field?.type === 'checkbox') {
                 data[key] = field.checked;
             } else {
                 data[key] = value;
             }
         }
         
-        localStorage.setItem(`${formId}_draft`, JSON.stringify(data));
+        try {
+            // Drafts are sealed with a key that never leaves this device's IndexedDB
+            const draft = await this.storage.crypto.encryptDraft(data);
+            localStorage.setItem(`${formId}_draft`, JSON.stringify(draft));
+        } catch (error) {
+            console.error('Error encrypting auto-save data, draft not saved:', error);
+        }
     }
 
-    loadAutoSave(formId) {
+    async loadAutoSave(formId) {
         const savedData = localStorage.getItem(`${formId}_draft`);
         if (!savedData) return;
         
         try {
-            const data = JSON.parse(savedData);
+            const saved = JSON.parse(savedData);
+            const data = saved.encrypted ? await this.storage.crypto.decryptDraft(saved) : saved;
             const form = document.getElementById(formId);
             
             Object.keys(data).forEach(key => {
                 const field = form.querySelector(`[name="${key}"]`);
-                if (field) {
+                if (field && field.type !== 'file') {
                     if (field.type === 'checkbox') {
                         field.checked = data[key];
                     } else {
@@ -689,6 +5942,7 @@ class CyberbullyingPlatform {
                     }
                 }
             });
+            this.updateConditionalFields(form);
         } catch (error) {
             console.error('Error loading auto-save data:', error);
         }
@@ -709,23 +5963,14 @@ class CyberbullyingPlatform {
             timeout = setTimeout(later, wait);
         };
     }
-
-    exportData() {
-        this.storage.exportData();
-    }
-
-    clearAllData() {
-        this.storage.clearData();
-    }
-
-    getStoredData() {
-        return this.storage.getData();
-    }
 }
 
 // Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.cyberbullyingPlatform = new CyberbullyingPlatform();
+document.addEventListener('DOMContentLoaded', async () => {
+    const storage = new DataStorage();
+    // Static text is translated before the platform renders anything of its own
+    i18n.init(await storage.getLanguage());
+    window.cyberbullyingPlatform = new CyberbullyingPlatform(storage);
 });
 
 // Error boundary for JavaScript errors
@@ -733,9 +5978,11 @@ window.addEventListener('error', (e) => {
     console.error('JavaScript Error:', e.error);
 });
 
-// Service Worker registration (for future PWA features)
+// Service Worker registration: offline pages and background delivery of queued submissions
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
     });
 }
\ No newline at end of file
@@ -0,0 +1,387 @@
+// Staff notifications for new reports.
+//
+// Channels are configured in a JSON file (see notifications.example.json): SMTP email,
+// JSON webhooks, Telegram or WhatsApp bots, and a stub that only records messages, which
+// is also what runs when no configuration exists. Routes pick channels by report urgency
+// and type; failed deliveries are retried with exponential backoff.
+//
+// Messages never contain the report description or contact details. Staff read those in
+// the dashboard, where encrypted reports can actually be opened.
+
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const REPORT_TYPES = {
+    cyberbullying: 'Cyberbullying',
+    harassment: 'Pelecehan Online',
+    'hate-speech': 'Ujaran Kebencian',
+    doxxing: 'Penyebaran Data Pribadi',
+    other: 'Lainnya'
+};
+
+const PLATFORMS = {
+    whatsapp: 'WhatsApp',
+    instagram: 'Instagram',
+    tiktok: 'TikTok',
+    facebook: 'Facebook',
+    twitter: 'Twitter/X',
+    telegram: 'Telegram',
+    other: 'Lainnya'
+};
+
+const URGENCY_LEVELS = {
+    low: 'Rendah',
+    medium: 'Sedang',
+    high: 'Tinggi',
+    critical: 'Kritis'
+};
+
+const DEFAULT_CONFIG = {
+    channels: { log: { type: 'stub' } },
+    routes: [{ channels: ['log'] }]
+};
+
+class StubChannel {
+    constructor(config, name) {
+        this.name = name;
+        this.quiet = Boolean(config.quiet);
+        this.sent = [];
+    }
+
+    async send(message) {
+        this.sent.push(message);
+        if (!this.quiet) {
+            console.log(`[notify:${this.name}] ${message.subject}`);
+        }
+    }
+}
+
+class WebhookChannel {
+    constructor(config) {
+        if (!config.url) throw new Error('Webhook channel needs a url');
+        this.url = config.url;
+        this.secret = config.secret;
+        this.headers = config.headers || {};
+    }
+
+    async send(message) {
+        const body = JSON.stringify({ event: message.event, subject: message.subject, text: message.text, report: message.report });
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+
+        // Lets the receiver check the request really came from this server
+        if (this.secret) {
+            headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+        }
+
+        const response = await fetch(this.url, { method: 'POST', headers: headers, body: body });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with status ${response.status}`);
+        }
+    }
+}
+
+class BotChannel {
+    constructor(config) {
+        this.provider = config.type;
+        this.token = config.token;
+        this.to = config.chatId || config.to;
+        this.phoneNumberId = config.phoneNumberId;
+
+        if (!this.token || !this.to) throw new Error(`${this.provider} channel needs a token and a recipient`);
+        if (this.provider === 'whatsapp' && !this.phoneNumberId) throw new Error('whatsapp channel needs a phoneNumberId');
+    }
+
+    async send(message) {
+        const text = `${message.subject}\n\n${message.text}`;
+        const request = this.provider === 'telegram'
+            ? {
+                url: `https://api.telegram.org/bot${this.token}/sendMessage`,
+                headers: { 'Content-Type': 'application/json' },
+                body: { chat_id: this.to, text: text, disable_web_page_preview: true }
+            }
+            : {
+                url: `https://graph.facebook.com/v19.0/${this.phoneNumberId}/messages`,
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.token}` },
+                body: { messaging_product: 'whatsapp', to: this.to, type: 'text', text: { body: text } }
+            };
+
+        const response = await fetch(request.url, { method: 'POST', headers: request.headers, body: JSON.stringify(request.body) });
+        if (!response.ok) {
+            throw new Error(`${this.provider} API responded with status ${response.status}`);
+        }
+    }
+}
+
+// Reads SMTP replies, which may span several "250-..." lines before the final "250 ..."
+class SmtpConnection {
+    constructor(socket) {
+        this.replies = [];
+        this.waiting = [];
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) {
+            this.socket.removeListener('data', this.onData);
+            this.socket.removeListener('error', this.onError);
+            this.socket.removeListener('close', this.onClose);
+        }
+
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.onData = (chunk) => this.receive(chunk);
+        this.onError = (error) => this.fail(error);
+        this.onClose = () => this.fail(new Error('SMTP connection closed'));
+
+        socket.setEncoding('utf8');
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+    }
+
+    receive(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            if (/^\d{3}( |$)/.test(line)) {
+                this.replies.push({ code: Number(line.slice(0, 3)), text: this.lines.join('\n') });
+                this.lines = [];
+            }
+        }
+        this.deliver();
+    }
+
+    deliver() {
+        while (this.waiting.length > 0 && this.replies.length > 0) {
+            this.waiting.shift().resolve(this.replies.shift());
+        }
+    }
+
+    fail(error) {
+        this.waiting.splice(0).forEach(waiter => waiter.reject(error));
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ resolve, reject });
+            this.deliver();
+        });
+    }
+
+    // `label` is used in errors instead of the line itself, which may hold credentials
+    async command(line, expected, label = line) {
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${label || 'greeting'} failed: ${reply.text}`);
+        }
+        return reply;
+    }
+}
+
+class SmtpChannel {
+    constructor(config) {
+        if (!config.host || !config.from) throw new Error('SMTP channel needs a host and a from address');
+        this.host = config.host;
+        this.secure = Boolean(config.secure);
+        this.port = config.port || (this.secure ? 465 : 587);
+        this.user = config.user;
+        this.pass = config.pass;
+        this.from = config.from;
+        this.to = [].concat(config.to || []);
+        this.timeout = config.timeout || 15000;
+
+        if (this.to.length === 0) throw new Error('SMTP channel needs at least one recipient');
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect(this.port, this.host, { servername: this.host }, () => resolve(socket))
+                : net.connect(this.port, this.host, () => resolve(socket));
+            socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once('error', reject);
+        });
+    }
+
+    upgrade(socket) {
+        return new Promise((resolve, reject) => {
+            const secureSocket = tls.connect({ socket: socket, servername: this.host }, () => resolve(secureSocket));
+            secureSocket.once('error', reject);
+        });
+    }
+
+    async send(message) {
+        const socket = await this.connect();
+        const connection = new SmtpConnection(socket);
+        const hostname = os.hostname();
+
+        try {
+            await connection.command(null, [220]);
+            let features = await connection.command(`EHLO ${hostname}`, [250]);
+            let encrypted = this.secure;
+
+            if (!this.secure && /^250[ -]STARTTLS/im.test(features.text)) {
+                await connection.command('STARTTLS', [220]);
+                connection.attach(await this.upgrade(socket));
+                features = await connection.command(`EHLO ${hostname}`, [250]);
+                encrypted = true;
+            }
+
+            if (this.user) {
+                // AUTH LOGIN is only base64: over a plain connection the password is readable to anyone on the way
+                if (!encrypted) {
+                    throw new Error(`SMTP server ${this.host} does not offer STARTTLS, refusing to send the password unencrypted`);
+                }
+                await connection.command('AUTH LOGIN', [334]);
+                await connection.command(Buffer.from(this.user).toString('base64'), [334], 'AUTH username');
+                await connection.command(Buffer.from(this.pass || '').toString('base64'), [235], 'AUTH password');
+            }
+
+            await connection.command(`MAIL FROM:<${this.from}>`, [250]);
+            for (const recipient of this.to) {
+                await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await connection.command('DATA', [354]);
+            await connection.command(`${this.formatMessage(message)}\r\n.`, [250], 'message body');
+            await connection.command('QUIT', [221]);
+        } finally {
+            connection.socket.destroy();
+        }
+    }
+
+    formatMessage(message) {
+        const encodedSubject = `=?UTF-8?B?${Buffer.from(message.subject).toString('base64')}?=`;
+        const body = message.text
+            .replace(/\r?\n/g, '\r\n')
+            // A line holding a single dot would end the DATA section early
+            .replace(/^\./gm, '..');
+
+        return [
+            `From: ${this.from}`,
+            `To: ${this.to.join(', ')}`,
+            `Subject: ${encodedSubject}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomUUID()}@${this.host}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            body
+        ].join('\r\n');
+    }
+}
+
+const CHANNEL_TYPES = {
+    stub: StubChannel,
+    smtp: SmtpChannel,
+    webhook: WebhookChannel,
+    telegram: BotChannel,
+    whatsapp: BotChannel
+};
+
+function createChannel(name, config) {
+    const Channel = CHANNEL_TYPES[config.type];
+    if (!Channel) {
+        throw new Error(`Unknown notification channel type "${config.type}" for channel "${name}"`);
+    }
+    return new Channel(config, name);
+}
+
+function loadNotifierConfig(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error reading notification config, using the log channel only:', error.message);
+        }
+        return DEFAULT_CONFIG;
+    }
+}
+
+class Notifier {
+    constructor(config = DEFAULT_CONFIG) {
+        this.channels = new Map(Object.entries(config.channels || {})
+            .map(([name, channelConfig]) => [name, createChannel(name, channelConfig)]));
+        this.routes = config.routes || [{ channels: Array.from(this.channels.keys()) }];
+        this.retries = config.retries ?? 3;
+        this.retryDelay = config.retryDelay ?? 5000;
+        this.dashboardUrl = config.dashboardUrl || '';
+
+        this.routes.forEach(route => route.channels.forEach(name => {
+            if (!this.channels.has(name)) {
+                throw new Error(`Notification route refers to unknown channel "${name}"`);
+            }
+        }));
+    }
+
+    // A route without `when` matches everything; otherwise every listed field must match
+    channelsFor(report) {
+        const names = new Set();
+        this.routes
+            .filter(route => Object.entries(route.when || {})
+                .every(([field, allowed]) => [].concat(allowed).includes(report[field])))
+            .forEach(route => route.channels.forEach(name => names.add(name)));
+        return Array.from(names);
+    }
+
+    formatMessage(report) {
+        const urgency = URGENCY_LEVELS[report.urgency] || report.urgency;
+        const type = REPORT_TYPES[report.type] || report.type;
+        const lines = [
+            `Laporan baru masuk pada ${new Date(report.timestamp).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}.`,
+            '',
+            `Jenis: ${type}`,
+            `Platform: ${PLATFORMS[report.platform] || report.platform || '-'}`,
+            `Urgensi: ${urgency}`
+        ];
+
+        if (report.contactRequested) {
+            lines.push('', 'Pelapor meminta dihubungi Guru BK secepatnya.');
+        }
+        lines.push('', 'Isi laporan hanya dapat dibaca di dashboard Guru BK.');
+        if (this.dashboardUrl) {
+            lines.push(this.dashboardUrl);
+        }
+
+        return {
+            event: 'report.created',
+            subject: `${report.urgency === 'critical' ? '[DARURAT] ' : ''}Laporan ${urgency}: ${type}`,
+            text: lines.join('\n'),
+            report: report
+        };
+    }
+
+    async notify(report) {
+        const message = this.formatMessage(report);
+        const names = this.channelsFor(report);
+        const results = await Promise.allSettled(names.map(name => this.deliver(name, message)));
+
+        return names.map((name, index) => ({ channel: name, ok: results[index].status === 'fulfilled' }));
+    }
+
+    async deliver(name, message, attempt = 0) {
+        try {
+            await this.channels.get(name).send(message);
+        } catch (error) {
+            if (attempt >= this.retries) {
+                console.error(`Notification via "${name}" failed after ${attempt + 1} attempts:`, error.message);
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+            return this.deliver(name, message, attempt + 1);
+        }
+    }
+}
+
+module.exports = { Notifier, loadNotifierConfig, createChannel, StubChannel, SmtpChannel, WebhookChannel, BotChannel };
@@ -0,0 +1,1178 @@
+// Reference backend for the Stop Cyberbullying platform.
+//
+// Serves the static pages and the JSON API used by HttpStorageAdapter, storing
+// everything in a single JSON file. No dependencies:
+//
+//     node server/server.js
+//
+// then open http://localhost:3000. PORT, DATA_FILE, EVIDENCE_DIR and NOTIFY_CONFIG can be set
+// through the environment. config.js is served with storage switched to 'http', so the same
+// pages work both from this server and straight from disk.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const EventEmitter = require('events');
+const { Notifier, loadNotifierConfig } = require('./notifications');
+const { ReportStatistics } = require('../statistics');
+const { DataSchema } = require('../schema');
+const { RecordArchive } = require('../archive');
+const { AccessControl } = require('../access');
+const { CaseLinker } = require('../cases');
+const { SubmissionGuard, SUBMISSION_LIMITS, NETWORK_LIMIT_FACTOR, MODERATION_STATUSES } = require('../submissions');
+
+const PORT = Number(process.env.PORT) || 3000;
+const ROOT = path.join(__dirname, '..');
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const EVIDENCE_DIR = process.env.EVIDENCE_DIR || path.join(__dirname, 'evidence');
+// The shape of generateId(); evidence ids also arrive through restored backups and become file names
+const EVIDENCE_ID_PATTERN = /^id_\d+_[0-9a-f]+$/;
+const NOTIFY_CONFIG = process.env.NOTIFY_CONFIG || path.join(__dirname, 'notifications.json');
+const MAX_BODY_SIZE = 1024 * 1024;
+// Backups hold every report and aspiration at once
+const MAX_ARCHIVE_SIZE = 20 * 1024 * 1024;
+const MAX_EVIDENCE_SIZE = 5 * 1024 * 1024;
+const EVIDENCE_TYPES = [
+    // Evidence encrypted in the browser arrives as opaque bytes
+    'application/octet-stream',
+    'image/jpeg', 'image/png', 'image/gif',
+    'application/pdf', 'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const SESSION_TTL = 8 * 60 * 60 * 1000;
+// Failed guesses at a secret allowed per window before the key is locked out until the oldest
+// one expires. Tracking codes are not secret (receipts are shown on screen and written down),
+// so a six-digit PIN is all that protects a report.
+const ATTEMPT_LIMITS = {
+    lookup: { max: 10, window: 15 * 60 * 1000 },
+    login: { max: 5, window: 15 * 60 * 1000 }
+};
+// Votes per voter id and (times NETWORK_LIMIT_FACTOR) per address. A voter id is made up by the
+// browser and costs nothing to replace, so it is the address limit that keeps votes from being stuffed.
+const VOTE_LIMIT = { max: 20, window: 60 * 60 * 1000 };
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Fields a submitter may set; everything else (id, status, tracking code) is decided here
+const REPORT_INPUT_FIELDS = [
+    'type', 'platform', 'platformOther', 'description', 'urgency', 'anonymous', 'terms', 'files', 'encrypted',
+    'contactRequested', 'contactDetails'
+];
+const ASPIRATION_INPUT_FIELDS = ['type', 'title', 'content', 'priority', 'anonymous'];
+const REPORT_LISTS = ['internalNotes', 'replies'];
+const REPORT_FIELDS = ['status', 'assignedTo'];
+const ASPIRATION_FIELDS = ['status', 'published', 'response'];
+const SETTINGS_FIELDS = ['notifications'];
+const STAFF_FIELDS = ['name', 'role', 'active', 'password'];
+// Exports happen in the browser, which reports them here so they reach the audit log
+const CLIENT_AUDIT_ACTIONS = {
+    'case.print': 'cases:export',
+    'records.export': 'cases:export'
+};
+const EXPORT_DETAIL_FIELDS = ['collection', 'count', 'from', 'to', 'status'];
+// Why CaseLinker refused to link or unlink, as the HTTP error to answer with
+const CASE_LINK_ERRORS = {
+    mode: [400, 'Unknown link mode'],
+    'not-found': [404, 'Report not found'],
+    'same-case': [409, 'Reports are already in the same case'],
+    'not-linked': [409, 'Report is not part of a case'],
+    lead: [409, 'Remove the other reports from the case first']
+};
+const MAX_MESSAGE_LENGTH = 2000;
+// Why SubmissionGuard refused a proof of work
+const PROOF_ERRORS = {
+    missing: 'Proof of work is required',
+    expired: 'Proof of work has expired',
+    invalid: 'Proof of work is invalid'
+};
+// Why SubmissionGuard.checkEnvelope refused a sealed report
+const ENVELOPE_ERRORS = {
+    format: 'Encrypted report is malformed',
+    key: 'Encrypted report is not sealed for the counselor key'
+};
+
+// Notification hooks. 'report:created' fires for every report and feeds the Notifier below;
+// 'report:escalated' additionally fires for critical-urgency reports.
+const hooks = new EventEmitter();
+hooks.on('report:escalated', (report) => {
+    console.warn(`Critical report ${report.id} received at ${report.timestamp}, counselor follow-up needed`);
+});
+
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+class FileResponse {
+    constructor(file) {
+        this.file = file;
+    }
+
+    send(res) {
+        res.writeHead(200, {
+            'Content-Type': this.file.type,
+            'Content-Length': this.file.content.length,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(this.file.name)}`,
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(this.file.content);
+    }
+}
+
+class JsonFileStore {
+    constructor(file) {
+        this.file = file;
+        this.data = this.load();
+    }
+
+    load() {
+        let stored;
+        try {
+            stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return this.createInitialData();
+            if (!(error instanceof SyntaxError)) throw error;
+
+            // Keep the unreadable file for inspection instead of overwriting it on the next save
+            const corruptFile = `${this.file}.corrupt-${Date.now()}`;
+            fs.renameSync(this.file, corruptFile);
+            console.error(`Data file is not valid JSON, moved it to ${corruptFile} and starting empty:`, error.message);
+            return this.createInitialData();
+        }
+
+        const { data, changed, quarantined } = schema.upgrade(stored);
+        if (quarantined > 0) {
+            console.warn(`Moved ${quarantined} corrupt record(s) to quarantine in ${this.file}`);
+        }
+        if (changed) {
+            this.data = data;
+            this.save();
+        }
+        return data;
+    }
+
+    createInitialData() {
+        return { ...schema.createInitialData(), evidence: {} };
+    }
+
+    save() {
+        // Write to a temp file first so a crash never leaves half a JSON document behind
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    // Accounts and the audit log have their own routes and permissions
+    getData() {
+        const { staff, auditLog, ...data } = this.data;
+        return data;
+    }
+
+    // Like a 'replace' import, settings stay as they are: a backup must not swap in another team key
+    replaceData(data) {
+        const incoming = archive.read(data);
+        this.checkArchive(incoming);
+        this.data = {
+            ...this.createInitialData(),
+            ...incoming,
+            settings: this.data.settings,
+            staff: this.data.staff,
+            auditLog: this.data.auditLog
+        };
+        this.save();
+    }
+
+    importData(data, mode) {
+        if (!['merge', 'replace'].includes(mode)) throw new HttpError(400, 'Mode must be merge or replace');
+        const incoming = archive.read(data);
+        this.checkArchive(incoming);
+
+        const { data: imported, summary } = archive.apply(this.data, incoming, mode);
+        this.data = imported;
+        this.save();
+        return summary;
+    }
+
+    checkArchive(data) {
+        const [error] = archive.validate(data);
+        if (error) {
+            const where = error.index === null ? error.collection : `${error.collection}[${error.index}]`;
+            throw new HttpError(400, `Invalid data${where ? ` in ${where}` : ''}${error.field ? `.${error.field}` : ''}`);
+        }
+    }
+
+    getStatistics() {
+        return new ReportStatistics().compute(this.data);
+    }
+
+    addReport(reportData) {
+        const timestamp = new Date().toISOString();
+        const trackingCode = this.generateTrackingCode();
+        const pin = this.generatePin();
+        if (reportData.encrypted !== undefined && reportData.encrypted !== null) {
+            const problem = guard.checkEnvelope(reportData.encrypted, this.getPublicKey());
+            if (problem) throw new HttpError(400, ENVELOPE_ERRORS[problem]);
+        }
+        const screening = guard.screenReport(reportData);
+        const status = guard.shouldHold(reportData, screening) ? 'held' : 'pending';
+        const report = {
+            id: this.generateId(),
+            timestamp: timestamp,
+            status: status,
+            ...this.pick(reportData, REPORT_INPUT_FIELDS),
+            screening: screening,
+            escalated: reportData.urgency === 'critical',
+            trackingCode: trackingCode,
+            pinHash: this.hash(`${trackingCode}:${pin}`),
+            timeline: [{ status: status, timestamp: timestamp }],
+            replies: []
+        };
+        this.checkInput('reports', report);
+
+        this.data.reports.push(report);
+        this.save();
+
+        // Counselors hear about a held report once it is released
+        if (status !== 'held') {
+            this.announceReport(report);
+        }
+        return { id: report.id, trackingCode: trackingCode, pin: pin, held: status === 'held' };
+    }
+
+    // A record that would be quarantined on the next start is refused now, while the submitter
+    // can still be told
+    checkInput(collection, record) {
+        const problems = schema.recordErrors(collection, record);
+        if (problems.length > 0) {
+            throw new HttpError(400, `Invalid ${problems.join(', ')}`);
+        }
+    }
+
+    announceReport(report) {
+        // Only metadata leaves the store; the description may be sealed for the counselors anyway.
+        // The tracking code stays here too: it is half of what opens the report on the status page.
+        const summary = {
+            id: report.id,
+            timestamp: report.timestamp,
+            type: report.type,
+            platform: report.platform,
+            urgency: report.urgency,
+            contactRequested: Boolean(report.contactRequested)
+        };
+        hooks.emit('report:created', summary);
+        if (report.escalated) {
+            hooks.emit('report:escalated', summary);
+        }
+    }
+
+    addAspiration(aspirationData) {
+        const aspiration = {
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            status: 'received',
+            published: false,
+            voters: [],
+            ...this.pick(aspirationData, ASPIRATION_INPUT_FIELDS),
+            screening: guard.screenAspiration(aspirationData)
+        };
+        this.checkInput('aspirations', aspiration);
+
+        this.data.aspirations.push(aspiration);
+        this.save();
+        return { id: aspiration.id };
+    }
+
+    findReportWithPin(trackingCode, pin) {
+        const report = this.data.reports.find(r => r.trackingCode === trackingCode);
+        if (!report || !this.safeEqual(report.pinHash, this.hash(`${trackingCode}:${pin}`))) {
+            return null;
+        }
+        return report;
+    }
+
+    toPublicReport(report) {
+        const { pinHash, internalNotes, assignedTo, caseId, mergedInto, screening, ...publicReport } = report;
+        return publicReport;
+    }
+
+    findReportByTracking(trackingCode, pin) {
+        const report = this.findReportWithPin(trackingCode, pin);
+        if (!report) return null;
+
+        // The copy keeps the previous read time so the page can still highlight new messages
+        const publicReport = this.toPublicReport(report);
+        report.reporterReadAt = new Date().toISOString();
+        this.save();
+        return publicReport;
+    }
+
+    addReporterMessage(trackingCode, pin, payload) {
+        const report = this.findReportWithPin(trackingCode, pin);
+        if (!report) throw new HttpError(404, 'Report not found');
+
+        const message = typeof payload.message === 'string' ? payload.message.trim() : '';
+        const encrypted = payload.encrypted && typeof payload.encrypted === 'object' ? payload.encrypted : null;
+        if (!message && !encrypted) throw new HttpError(400, 'Message is required');
+        if (message.length > MAX_MESSAGE_LENGTH) throw new HttpError(400, 'Message is too long');
+
+        const entry = {
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            from: 'reporter',
+            message: message
+        };
+        if (encrypted) {
+            entry.encrypted = encrypted;
+        }
+        report.replies = report.replies || [];
+        report.replies.push(entry);
+        report.reporterReadAt = entry.timestamp;
+
+        this.save();
+        return this.toPublicReport(report);
+    }
+
+    markThreadRead(reportId) {
+        const report = this.data.reports.find(r => r.id === reportId);
+        if (!report) throw new HttpError(404, 'Report not found');
+
+        report.counselorReadAt = new Date().toISOString();
+        this.save();
+        return { counselorReadAt: report.counselorReadAt };
+    }
+
+    updateReport(reportId, changes, author) {
+        const report = this.data.reports.find(r => r.id === reportId);
+        if (!report) throw new HttpError(404, 'Report not found');
+        if (changes.status !== undefined && !schema.schemas.reports.statuses.includes(changes.status)) {
+            throw new HttpError(400, 'Unknown status');
+        }
+
+        const picked = this.pick(changes, REPORT_FIELDS);
+        const released = report.status === 'held' && picked.status && !MODERATION_STATUSES.includes(picked.status);
+        this.changeReport(report, picked, author);
+        if (released) {
+            this.announceReport(report);
+        }
+        // Duplicates merged into this report follow its status
+        if (picked.status) {
+            cases.followersOf(this.data.reports, report).forEach(duplicate => this.changeReport(duplicate, { status: picked.status }, author));
+        }
+
+        this.save();
+        return report;
+    }
+
+    changeReport(report, changes, author) {
+        const previousStatus = report.status;
+        Object.assign(report, changes, { updatedAt: new Date().toISOString() });
+
+        if (changes.status && changes.status !== previousStatus) {
+            report.timeline = report.timeline || [];
+            report.timeline.push({ status: changes.status, timestamp: report.updatedAt, author: author });
+        }
+    }
+
+    // mode 'merge' files reportId as a duplicate of the case, 'link' as a related report
+    linkReports(leadId, reportId, mode, author) {
+        const problem = cases.checkLink(this.data.reports, leadId, reportId, mode);
+        if (problem) throw new HttpError(...CASE_LINK_ERRORS[problem]);
+
+        cases.linkChanges(this.data.reports, leadId, reportId, mode).forEach(([report, changes]) => this.changeReport(report, changes, author));
+        this.save();
+        return this.data.reports.find(r => r.id === reportId);
+    }
+
+    unlinkReport(reportId, author) {
+        const problem = cases.checkUnlink(this.data.reports, reportId);
+        if (problem) throw new HttpError(...CASE_LINK_ERRORS[problem]);
+
+        const caseLead = this.data.reports.find(r => r.id === this.data.reports.find(report => report.id === reportId).caseId);
+        cases.unlinkChanges(this.data.reports, reportId).forEach(([report, changes]) => this.changeReport(report, changes, author));
+        this.save();
+        return caseLead;
+    }
+
+    addReportEntry(reportId, listName, message, author) {
+        const report = this.data.reports.find(r => r.id === reportId);
+        if (!report) throw new HttpError(404, 'Report not found');
+        if (!REPORT_LISTS.includes(listName)) throw new HttpError(404, 'Unknown list');
+        if (typeof message !== 'string' || !message.trim()) throw new HttpError(400, 'Message is required');
+        if (message.length > MAX_MESSAGE_LENGTH) throw new HttpError(400, 'Message is too long');
+
+        const entry = {
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            author: author,
+            message: message.trim()
+        };
+        if (listName === 'replies') {
+            entry.from = 'counselor';
+        }
+        report[listName] = report[listName] || [];
+        report[listName].push(entry);
+
+        this.save();
+        return entry;
+    }
+
+    updateAspiration(aspirationId, changes) {
+        const aspiration = this.data.aspirations.find(a => a.id === aspirationId);
+        if (!aspiration) throw new HttpError(404, 'Aspiration not found');
+        if (changes.status !== undefined && !schema.schemas.aspirations.statuses.includes(changes.status)) {
+            throw new HttpError(400, 'Unknown status');
+        }
+
+        if (changes.response !== undefined && (typeof changes.response !== 'string' || changes.response.length > MAX_MESSAGE_LENGTH)) {
+            throw new HttpError(400, 'Invalid response');
+        }
+
+        Object.assign(aspiration, this.pick(changes, ASPIRATION_FIELDS), { updatedAt: new Date().toISOString() });
+        if (changes.response !== undefined) {
+            aspiration.respondedAt = aspiration.updatedAt;
+        }
+        this.save();
+        return aspiration;
+    }
+
+    getAspirationBoard() {
+        return this.data.aspirations
+            .filter(aspiration => aspiration.published)
+            .map(aspiration => this.toPublicAspiration(aspiration));
+    }
+
+    voteAspiration(aspirationId, voterId) {
+        if (typeof voterId !== 'string' || voterId.length < 16 || voterId.length > 64) {
+            throw new HttpError(400, 'Invalid voter id');
+        }
+        const aspiration = this.data.aspirations.find(a => a.id === aspirationId && a.published);
+        if (!aspiration) throw new HttpError(404, 'Aspiration not found');
+
+        // Salting with the aspiration id keeps one device's votes from being linked together
+        const voterHash = this.hash(`${aspirationId}:${voterId}`);
+        const voters = aspiration.voters || [];
+        const voted = !voters.includes(voterHash);
+        aspiration.voters = voted ? [...voters, voterHash] : voters.filter(hash => hash !== voterHash);
+        this.save();
+        return { votes: aspiration.voters.length, voted: voted };
+    }
+
+    toPublicAspiration(aspiration) {
+        return {
+            id: aspiration.id,
+            timestamp: aspiration.timestamp,
+            title: aspiration.title,
+            type: aspiration.type,
+            priority: aspiration.priority,
+            status: aspiration.status,
+            votes: (aspiration.voters || []).length,
+            response: aspiration.response || '',
+            respondedAt: aspiration.respondedAt || null
+        };
+    }
+
+    saveEvidence(content, type, name) {
+        if (!EVIDENCE_TYPES.includes(type)) throw new HttpError(415, 'Unsupported evidence type');
+        if (content.length === 0) throw new HttpError(400, 'Empty file');
+
+        const evidence = {
+            id: this.generateId(),
+            name: path.basename(name || 'bukti').slice(0, 200),
+            size: content.length,
+            type: type,
+            uploadedAt: new Date().toISOString()
+        };
+
+        fs.mkdirSync(EVIDENCE_DIR, { recursive: true });
+        fs.writeFileSync(path.join(EVIDENCE_DIR, evidence.id), content);
+        this.data.evidence = this.data.evidence || {};
+        this.data.evidence[evidence.id] = evidence;
+        this.save();
+        return evidence;
+    }
+
+    getEvidence(evidenceId) {
+        const stored = this.data.evidence || {};
+        if (!EVIDENCE_ID_PATTERN.test(evidenceId) || !Object.prototype.hasOwnProperty.call(stored, evidenceId)) {
+            throw new HttpError(404, 'Evidence not found');
+        }
+        let content;
+        try {
+            content = fs.readFileSync(path.join(EVIDENCE_DIR, evidenceId));
+        } catch (error) {
+            // A backup restored without its files still lists them
+            if (error.code === 'ENOENT') throw new HttpError(404, 'Evidence file not found');
+            throw error;
+        }
+        return { ...stored[evidenceId], content: content };
+    }
+
+    getSettings() {
+        return this.pick(this.data.settings, SETTINGS_FIELDS);
+    }
+
+    updateSettings(changes) {
+        const settings = this.pick(changes, SETTINGS_FIELDS);
+        if ('notifications' in settings) {
+            settings.notifications = Boolean(settings.notifications);
+        }
+        Object.assign(this.data.settings, settings);
+        this.save();
+        return this.getSettings();
+    }
+
+    getPublicKey() {
+        return this.data.settings.counselorPublicKey || null;
+    }
+
+    setPublicKey(publicKey) {
+        if (!publicKey || publicKey.kty !== 'RSA' || !publicKey.n || publicKey.d) {
+            throw new HttpError(400, 'Expected an RSA public key in JWK format');
+        }
+        this.data.settings.counselorPublicKey = publicKey;
+        this.save();
+    }
+
+    hasAdmin() {
+        return this.data.staff.some(account => account.role === 'admin' && account.active !== false);
+    }
+
+    findStaff(staffId) {
+        return this.data.staff.find(account => account.id === staffId && account.active !== false) || null;
+    }
+
+    listStaff() {
+        return this.data.staff.map(account => access.toPublicStaff(account));
+    }
+
+    async createStaff(fields, actor) {
+        const account = {
+            username: access.normalizeUsername(fields.username),
+            name: typeof fields.name === 'string' ? fields.name.trim() : fields.name,
+            role: fields.role
+        };
+        this.checkAccount({ ...account, password: fields.password });
+        const passwordHash = await this.hashPassword(fields.password);
+        // Again: another request may have taken the username while the password was hashed
+        this.checkAccount({ ...account, password: fields.password });
+
+        Object.assign(account, {
+            id: this.generateId(),
+            active: true,
+            passwordHash: passwordHash,
+            createdAt: new Date().toISOString()
+        });
+        this.data.staff.push(account);
+        this.recordAudit(actor || account, 'staff.create', this.staffTarget(account), { role: account.role });
+        return access.toPublicStaff(account);
+    }
+
+    async updateStaff(staffId, changes, actor) {
+        const account = this.data.staff.find(a => a.id === staffId);
+        if (!account) throw new HttpError(404, 'Staff account not found');
+
+        const fields = this.pick(changes, STAFF_FIELDS);
+        if ('name' in fields && typeof fields.name === 'string') fields.name = fields.name.trim();
+        if ('active' in fields) fields.active = Boolean(fields.active);
+        this.checkAccount(fields, staffId);
+        if (!access.keepsAnAdmin(this.data.staff, staffId, fields)) {
+            throw new HttpError(400, 'At least one active admin account is required');
+        }
+
+        const { password, ...profile } = fields;
+        const passwordHash = password !== undefined ? await this.hashPassword(password) : account.passwordHash;
+        Object.assign(account, profile, { passwordHash: passwordHash, updatedAt: new Date().toISOString() });
+        this.recordAudit(actor, 'staff.update', this.staffTarget(account), { fields: Object.keys(fields) });
+        return access.toPublicStaff(account);
+    }
+
+    checkAccount(fields, staffId = null) {
+        const problem = access.checkAccount(fields, this.data.staff, staffId);
+        if (problem && problem.reason === 'taken') throw new HttpError(409, 'Username already taken');
+        if (problem) throw new HttpError(400, `Invalid ${problem.field}`);
+    }
+
+    // scrypt runs on the thread pool so a burst of logins can't stall every other request
+    async verifyLogin(username, password) {
+        const account = this.data.staff.find(a => a.username === access.normalizeUsername(username));
+        const [salt, expected] = ((account && account.passwordHash) || '').split(':');
+        if (!salt || !expected || account.active === false) return null;
+        return this.safeEqual(expected, (await scrypt(password, salt, 32)).toString('hex')) ? account : null;
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        return `${salt}:${(await scrypt(password, salt, 32)).toString('hex')}`;
+    }
+
+    // The log is only ever appended to: no route edits or removes entries, and neither a
+    // restore nor clearing the data touches it
+    recordAudit(user, action, target = null, details = null) {
+        this.data.auditLog.push({ id: this.generateId(), ...access.createAuditEntry(user, action, target, details) });
+        this.save();
+    }
+
+    recordCaseView(user, reportId) {
+        const report = this.data.reports.find(r => r.id === reportId);
+        if (!report) throw new HttpError(404, 'Report not found');
+
+        const target = this.reportTarget(report);
+        if (!access.isRepeatedView(this.data.auditLog, user, target)) {
+            this.recordAudit(user, 'case.view', target);
+        }
+        return report;
+    }
+
+    getAuditLog() {
+        return this.data.auditLog;
+    }
+
+    reportTarget(report) {
+        return { type: 'report', id: report.id, label: report.trackingCode || report.id };
+    }
+
+    staffTarget(account) {
+        return { type: 'staff', id: account.id, label: account.username };
+    }
+
+    clear() {
+        // Accounts and the audit log survive a reset: staff can still sign in, and the log
+        // records who cleared the data
+        const { staff, auditLog } = this.data;
+        Object.keys(this.data.evidence || {}).filter(evidenceId => EVIDENCE_ID_PATTERN.test(evidenceId)).forEach(evidenceId => {
+            fs.rmSync(path.join(EVIDENCE_DIR, evidenceId), { force: true });
+        });
+        this.data = { ...this.createInitialData(), staff: staff, auditLog: auditLog };
+        this.save();
+    }
+
+    pick(source, fields) {
+        return Object.fromEntries(Object.entries(source || {}).filter(([key]) => fields.includes(key)));
+    }
+
+    generateId() {
+        return 'id_' + Date.now() + '_' + crypto.randomBytes(6).toString('hex').substr(0, 9);
+    }
+
+    generateTrackingCode() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const code = Array.from(crypto.randomBytes(10), byte => alphabet[byte % alphabet.length]).join('');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    }
+
+    generatePin() {
+        return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    }
+
+    hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(a || '');
+        const bufferB = Buffer.from(b || '');
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+}
+
+class SessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    create(staffId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(token, { staffId: staffId, expiresAt: Date.now() + SESSION_TTL });
+        return token;
+    }
+
+    // Returns the id of the staff account signed in with this token, or null
+    get(token) {
+        const session = this.sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session.staffId;
+    }
+
+    destroy(token) {
+        this.sessions.delete(token);
+    }
+
+    // Signs an account out everywhere except, optionally, the session making the change
+    destroyFor(staffId, keepToken = null) {
+        this.sessions.forEach((session, token) => {
+            if (session.staffId === staffId && token !== keepToken) this.sessions.delete(token);
+        });
+    }
+}
+
+// Recent submissions (and failed guesses, see ATTEMPT_LIMITS) per session, network address or tracking
+// code, and the proofs of work already used.
+// Kept in memory only: a restart forgets them, and nothing here ever reaches the data file.
+class SubmissionThrottle {
+    constructor() {
+        this.submissions = new Map();
+        this.proofs = new Map();
+    }
+
+    // keys are [key, factor] pairs; the longest wait among them wins
+    retryAfter(kind, keys, now = Date.now()) {
+        return Math.max(0, ...keys.map(([key, factor]) => guard.retryAfter(this.submissions.get(`${kind}:${key}`) || [], kind, now, factor)));
+    }
+
+    record(kind, keys, now = Date.now()) {
+        keys.forEach(([key]) => {
+            this.submissions.set(`${kind}:${key}`, guard.record(this.submissions.get(`${kind}:${key}`) || [], kind, now));
+        });
+        // Keys with nothing left inside their window are dropped, so the map doesn't grow forever
+        this.submissions.forEach((times, key) => {
+            const kind = key.split(':')[0];
+            if (now - Math.max(...times) >= guard.limits[kind].window) this.submissions.delete(key);
+        });
+    }
+
+    // false when the proof was used before
+    useProof(proofId, now = Date.now()) {
+        this.proofs.forEach((expiresAt, id) => {
+            if (expiresAt < now) this.proofs.delete(id);
+        });
+        if (this.proofs.has(proofId)) return false;
+        this.proofs.set(proofId, now + guard.maxAge);
+        return true;
+    }
+}
+
+const schema = new DataSchema();
+const archive = new RecordArchive(schema);
+const access = new AccessControl();
+const cases = new CaseLinker();
+const store = new JsonFileStore(DATA_FILE);
+const sessions = new SessionStore();
+const guard = new SubmissionGuard({ limits: { ...SUBMISSION_LIMITS, ...ATTEMPT_LIMITS, vote: VOTE_LIMIT } });
+const throttle = new SubmissionThrottle();
+let settingUp = false;
+const notifier = new Notifier(loadNotifierConfig(NOTIFY_CONFIG));
+
+hooks.on('report:created', (report) => {
+    if (store.data.settings.notifications === false) return;
+    // Delivery (including retries) happens in the background so submitting never waits on it
+    notifier.notify(report).catch(error => console.error('Error sending notifications:', error));
+});
+
+function getToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Returns the signed-in staff account. Accounts deactivated since signing in are turned away.
+function requireStaff(req) {
+    const user = store.findStaff(sessions.get(getToken(req)));
+    if (!user) {
+        throw new HttpError(401, 'Login required');
+    }
+    return user;
+}
+
+function requirePermission(req, permission) {
+    const user = requireStaff(req);
+    if (!access.can(user, permission)) {
+        throw new HttpError(403, 'Not allowed');
+    }
+    return user;
+}
+
+function startSession(user) {
+    return { token: sessions.create(user.id), user: access.toPublicStaff(user) };
+}
+
+// Anonymous submissions are throttled per session (named in the proof of work) and per network
+// address, and each proof is accepted once. Evidence comes without a proof and is only counted
+// per address.
+async function admitSubmission(req, kind, body) {
+    const keys = [addressKey(req)];
+    if (kind !== 'evidence') {
+        const problem = await guard.checkProof(kind, body);
+        if (problem) throw new HttpError(400, PROOF_ERRORS[problem]);
+        keys.push([`session:${body.proof.session}`, 1]);
+    }
+
+    const retryAfter = throttle.retryAfter(kind, keys);
+    if (retryAfter > 0) {
+        throw new HttpError(429, 'Too many submissions, try again later', { 'Retry-After': Math.ceil(retryAfter / 1000) });
+    }
+    if (kind !== 'evidence' && !throttle.useProof(await guard.proofId(kind, body))) {
+        throw new HttpError(409, 'Submission was already received');
+    }
+    throttle.record(kind, keys);
+}
+
+// Runs attempt() unless `keys` had too many failures lately; a failure (an HttpError with one of
+// failureStatuses) counts against every key
+async function limitAttempts(kind, keys, attempt, failureStatuses = [404]) {
+    const retryAfter = throttle.retryAfter(kind, keys);
+    if (retryAfter > 0) {
+        throw new HttpError(429, 'Too many attempts, try again later', { 'Retry-After': Math.ceil(retryAfter / 1000) });
+    }
+    try {
+        return await attempt();
+    } catch (error) {
+        if (failureStatuses.includes(error.status)) throttle.record(kind, keys);
+        throw error;
+    }
+}
+
+function admitVote(req, body) {
+    const keys = [addressKey(req), [`voter:${String(body.voterId || '')}`, 1]];
+    const retryAfter = throttle.retryAfter('vote', keys);
+    if (retryAfter > 0) {
+        throw new HttpError(429, 'Too many votes, try again later', { 'Retry-After': Math.ceil(retryAfter / 1000) });
+    }
+    throttle.record('vote', keys);
+}
+
+function addressKey(req) {
+    return [`address:${req.socket.remoteAddress}`, NETWORK_LIMIT_FACTOR];
+}
+
+// A locked tracking code also locks out its owner for a while; that beats letting the PIN be guessed
+function lookupKeys(req, body) {
+    return [addressKey(req), [`tracking:${String(body.trackingCode || '')}`, 1]];
+}
+
+function readRawBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readBody(req, limit = MAX_BODY_SIZE) {
+    const raw = await readRawBody(req, limit);
+    if (raw.length === 0) return {};
+    let body;
+    try {
+        body = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON body');
+    }
+    // Every route reads fields off the body; null, a string or an array would throw there instead
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Expected a JSON object');
+    }
+    return body;
+}
+
+function sendJson(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+const routes = [
+    ['GET', /^\/statistics$/, () => store.getStatistics()],
+    ['POST', /^\/reports$/, async (req, body) => {
+        await admitSubmission(req, 'report', body);
+        return store.addReport(body);
+    }],
+    ['POST', /^\/aspirations$/, async (req, body) => {
+        await admitSubmission(req, 'aspiration', body);
+        return store.addAspiration(body);
+    }],
+    ['GET', /^\/aspirations\/public$/, () => store.getAspirationBoard()],
+    ['POST', /^\/aspirations\/([^/]+)\/vote$/, (req, body, id) => {
+        admitVote(req, body);
+        return store.voteAspiration(id, body.voterId);
+    }],
+    ['POST', /^\/reports\/lookup$/, (req, body) => limitAttempts('lookup', lookupKeys(req, body), () => {
+        const report = store.findReportByTracking(String(body.trackingCode || ''), String(body.pin || ''));
+        if (!report) throw new HttpError(404, 'Report not found');
+        return report;
+    })],
+    ['POST', /^\/reports\/lookup\/messages$/, (req, body) => limitAttempts('lookup', lookupKeys(req, body), () => {
+        return store.addReporterMessage(String(body.trackingCode || ''), String(body.pin || ''), body);
+    })],
+    ['POST', /^\/evidence$/, async (req, body) => {
+        await admitSubmission(req, 'evidence', body);
+        const name = decodeComponent(req.headers['x-file-name'] || '');
+        const type = (req.headers['content-type'] || '').split(';')[0].trim();
+        return store.saveEvidence(body, type, name);
+    }, { raw: true }],
+    ['GET', /^\/evidence\/([^/]+)$/, (req, body, id) => {
+        requirePermission(req, 'cases:view');
+        return new FileResponse(store.getEvidence(id));
+    }],
+    ['GET', /^\/settings$/, (req) => {
+        requireStaff(req);
+        return store.getSettings();
+    }],
+    ['PATCH', /^\/settings$/, (req, body) => {
+        const user = requirePermission(req, 'settings:manage');
+        const settings = store.updateSettings(body.changes || {});
+        store.recordAudit(user, 'settings.update', null, settings);
+        return settings;
+    }],
+    ['GET', /^\/settings\/public-key$/, () => ({ publicKey: store.getPublicKey() })],
+    ['PUT', /^\/settings\/public-key$/, (req, body) => {
+        const user = requirePermission(req, 'settings:manage');
+        store.setPublicKey(body.publicKey);
+        store.recordAudit(user, 'keys.update', null, { kid: body.publicKey.kid || null });
+    }],
+    ['GET', /^\/admin\/status$/, () => ({ configured: store.hasAdmin() })],
+    ['POST', /^\/admin\/setup$/, async (req, body) => {
+        // settingUp covers a second request arriving while the first one's password is hashed
+        if (store.hasAdmin() || settingUp) throw new HttpError(409, 'Admin account already set up');
+        settingUp = true;
+        try {
+            const user = await store.createStaff({ ...body, role: 'admin' }, null);
+            return startSession(store.findStaff(user.id));
+        } finally {
+            settingUp = false;
+        }
+    }],
+    ['POST', /^\/admin\/login$/, async (req, body) => {
+        const username = access.normalizeUsername(body.username);
+        const account = [`username:${username}`, 1];
+        try {
+            return await limitAttempts('login', [addressKey(req), account], async () => {
+                const user = await store.verifyLogin(username, String(body.password || ''));
+                if (!user) throw new HttpError(401, 'Wrong username or password');
+                store.recordAudit(user, 'login');
+                return startSession(user);
+            }, [401]);
+        } catch (error) {
+            // Logged once per lockout rather than per guess: every entry rewrites the data file
+            if (error.status === 401 && throttle.retryAfter('login', [account]) > 0) {
+                store.recordAudit(null, 'login.failed', null, { username: username, attempts: ATTEMPT_LIMITS.login.max });
+            }
+            throw error;
+        }
+    }],
+    ['POST', /^\/admin\/logout$/, (req) => {
+        const user = store.findStaff(sessions.get(getToken(req)));
+        if (user) store.recordAudit(user, 'logout');
+        sessions.destroy(getToken(req));
+    }],
+    ['GET', /^\/admin\/session$/, (req) => access.toPublicStaff(requireStaff(req))],
+    ['GET', /^\/staff$/, (req) => {
+        requirePermission(req, 'staff:manage');
+        return store.listStaff();
+    }],
+    ['POST', /^\/staff$/, async (req, body) => {
+        const user = requirePermission(req, 'staff:manage');
+        return store.createStaff(body, user);
+    }],
+    ['PATCH', /^\/staff\/([^/]+)$/, async (req, body, id) => {
+        const user = requirePermission(req, 'staff:manage');
+        const account = await store.updateStaff(id, body.changes || {}, user);
+        // A new role or password takes effect everywhere right away
+        sessions.destroyFor(id, getToken(req));
+        return account;
+    }],
+    ['GET', /^\/audit$/, (req) => {
+        requirePermission(req, 'audit:view');
+        return store.getAuditLog();
+    }],
+    ['POST', /^\/audit$/, (req, body) => {
+        const permission = CLIENT_AUDIT_ACTIONS[body.action];
+        if (!permission) throw new HttpError(400, 'Unknown action');
+        const user = requirePermission(req, permission);
+
+        let target = null;
+        if (body.reportId !== undefined) {
+            const report = store.data.reports.find(r => r.id === body.reportId);
+            if (!report) throw new HttpError(404, 'Report not found');
+            target = store.reportTarget(report);
+        }
+        store.recordAudit(user, body.action, target, body.details ? store.pick(body.details, EXPORT_DETAIL_FIELDS) : null);
+    }],
+    ['GET', /^\/data$/, (req) => {
+        requirePermission(req, 'cases:view');
+        return store.getData();
+    }],
+    ['GET', /^\/data\/export$/, (req) => {
+        const user = requirePermission(req, 'data:backup');
+        store.recordAudit(user, 'data.backup');
+        return store.getData();
+    }],
+    ['PUT', /^\/data$/, (req, body) => {
+        const user = requirePermission(req, 'data:backup');
+        store.replaceData(body);
+        store.recordAudit(user, 'data.import', null, { mode: 'replace' });
+    }, { maxSize: MAX_ARCHIVE_SIZE }],
+    ['POST', /^\/data\/import$/, (req, body) => {
+        const user = requirePermission(req, 'data:backup');
+        const summary = store.importData(body.data, body.mode);
+        store.recordAudit(user, 'data.import', null, { mode: body.mode, ...summary });
+        return summary;
+    }, { maxSize: MAX_ARCHIVE_SIZE }],
+    ['DELETE', /^\/data$/, (req) => {
+        const user = requirePermission(req, 'data:delete');
+        store.clear();
+        store.recordAudit(user, 'data.delete');
+    }],
+    ['GET', /^\/reports\/([^/]+)$/, (req, body, id) => {
+        const user = requirePermission(req, 'cases:view');
+        return store.recordCaseView(user, id);
+    }],
+    ['PATCH', /^\/reports\/([^/]+)$/, (req, body, id) => {
+        const user = requirePermission(req, 'cases:update');
+        const changes = store.pick(body.changes || {}, REPORT_FIELDS);
+        const report = store.updateReport(id, changes, user.name);
+        store.recordAudit(user, 'case.update', store.reportTarget(report), changes);
+        return report;
+    }],
+    ['POST', /^\/reports\/([^/]+)\/case$/, (req, body, id) => {
+        const user = requirePermission(req, 'cases:update');
+        const report = store.linkReports(id, String(body.reportId || ''), body.mode, user.name);
+        const caseLead = store.data.reports.find(r => r.id === report.caseId);
+        store.recordAudit(user, body.mode === 'merge' ? 'case.merge' : 'case.link', store.reportTarget(report),
+            { case: caseLead.trackingCode || caseLead.id });
+        return report;
+    }],
+    ['DELETE', /^\/reports\/([^/]+)\/case$/, (req, body, id) => {
+        const user = requirePermission(req, 'cases:update');
+        const caseLead = store.unlinkReport(id, user.name);
+        const report = store.data.reports.find(r => r.id === id);
+        store.recordAudit(user, 'case.unlink', store.reportTarget(report), { case: caseLead.trackingCode || caseLead.id });
+        return report;
+    }],
+    ['POST', /^\/reports\/([^/]+)\/read$/, (req, body, id) => {
+        requirePermission(req, 'cases:view');
+        return store.markThreadRead(id);
+    }],
+    ['POST', /^\/reports\/([^/]+)\/([A-Za-z]+)$/, (req, body, id, listName) => {
+        const user = requirePermission(req, 'cases:update');
+        const entry = store.addReportEntry(id, listName, body.message, user.name);
+        const report = store.data.reports.find(r => r.id === id);
+        store.recordAudit(user, listName === 'replies' ? 'case.reply' : 'case.note', store.reportTarget(report));
+        return entry;
+    }],
+    ['PATCH', /^\/aspirations\/([^/]+)$/, (req, body, id) => {
+        const user = requirePermission(req, 'aspirations:manage');
+        const aspiration = store.updateAspiration(id, body.changes || {});
+        store.recordAudit(user, 'aspiration.update', { type: 'aspiration', id: aspiration.id, label: aspiration.title },
+            { fields: Object.keys(store.pick(body.changes || {}, ASPIRATION_FIELDS)) });
+        return aspiration;
+    }]
+];
+
+async function handleApi(req, res, apiPath) {
+    for (const [method, pattern, handler, options = {}] of routes) {
+        const match = apiPath.match(pattern);
+        if (match && req.method === method) {
+            let body = {};
+            if (options.raw) {
+                body = await readRawBody(req, MAX_EVIDENCE_SIZE);
+            } else if (['POST', 'PUT', 'PATCH'].includes(method)) {
+                body = await readBody(req, options.maxSize);
+            }
+
+            const params = match.slice(1).map(decodeComponent);
+            const result = await handler(req, body, ...params);
+            if (result instanceof FileResponse) {
+                result.send(res);
+            } else {
+                sendJson(res, method === 'POST' && result ? 201 : 200, result);
+            }
+            return;
+        }
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+// decodeURIComponent throws on a stray '%'; that is the client's mistake, not a server error
+function decodeComponent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed percent-encoding');
+    }
+}
+
+function serveStatic(req, res, pathname) {
+    const relativePath = pathname === '/' ? 'index.html' : decodeComponent(pathname).replace(/^\/+/, '');
+    const filePath = path.join(ROOT, relativePath);
+    const isHidden = relativePath.split('/').some(part => part.startsWith('.'));
+
+    if (!filePath.startsWith(ROOT + path.sep) || isHidden || relativePath.startsWith('server/')) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+
+        if (relativePath === 'config.js') {
+            content = `${content}\nwindow.PLATFORM_CONFIG.storage = 'http';\n`;
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    try {
+        // The Host header is only used to parse the URL, and a malformed one must not escape the catch
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname.startsWith('/api/')) {
+            await handleApi(req, res, pathname.slice(4));
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(req, res, pathname);
+        } else {
+            throw new HttpError(405, 'Method not allowed');
+        }
+    } catch (error) {
+        if (!(error instanceof HttpError)) {
+            console.error('Unhandled server error:', error);
+        }
+        Object.entries(error.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+        sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Stop Cyberbullying server running at http://localhost:${PORT} (data: ${DATA_FILE})`);
+    });
+}
+
+module.exports = { server, hooks, notifier, JsonFileStore, SessionStore, HttpError };
@@ -0,0 +1,186 @@
+// Aggregated statistics for the public dashboard. Loaded by the pages (local storage mode) and
+// required by server/server.js, so both modes publish exactly the same figures.
+//
+// Every published count below MIN_CELL_SIZE (except zero) is suppressed, so a single case can
+// never be singled out from a breakdown or a week with one report. More counts are hidden until
+// none of the suppressed ones can be worked out from what is published, across tables too, and a
+// table where that is impossible is hidden whole. Breakdowns don't name the categories they hide.
+
+// Reports waiting for moderation or rejected as junk are not counted, so a flood of them can't
+// inflate the public figures
+const UNCOUNTED_STATUSES = ['held', 'rejected'];
+
+class ReportStatistics {
+    constructor(options = {}) {
+        this.minCellSize = options.minCellSize || 5;
+        this.weeks = options.weeks || 12;
+        this.months = options.months || 12;
+    }
+
+    compute(data, now = new Date()) {
+        const reports = (data.reports || []).filter(report => !UNCOUNTED_STATUSES.includes(report.status));
+        const aspirations = data.aspirations || [];
+        const resolved = reports.filter(report => report.status === 'resolved');
+
+        return {
+            generatedAt: now.toISOString(),
+            minCellSize: this.minCellSize,
+            totals: {
+                totalReports: this.total(reports.length),
+                resolvedCases: this.total(resolved.length),
+                totalAspirations: this.total(aspirations.length),
+                confidentialityRate: this.percentage(reports.filter(report => report.encrypted).length, reports.length)
+            },
+            averageResolutionDays: this.averageResolutionDays(resolved),
+            trends: this.trends(reports, now),
+            breakdowns: {
+                type: this.breakdown(reports, report => report.type),
+                platform: this.breakdown(reports, report => report.platform),
+                urgency: this.breakdown(reports, report => report.urgency),
+                aspirationType: this.breakdown(aspirations, aspiration => aspiration.type)
+            }
+        };
+    }
+
+    total(count) {
+        return count > 0 && count < this.minCellSize ? null : count;
+    }
+
+    percentage(part, total) {
+        if (total < this.minCellSize) return null;
+        return Math.round((part / total) * 100);
+    }
+
+    // Days between submission and the last move to 'resolved', over all currently resolved cases
+    averageResolutionDays(resolved) {
+        const durations = resolved
+            .map(report => {
+                const entry = (report.timeline || []).filter(item => item.status === 'resolved').pop();
+                return entry ? new Date(entry.timestamp) - new Date(report.timestamp) : NaN;
+            })
+            .filter(duration => duration >= 0);
+
+        if (durations.length < this.minCellSize) return null;
+        const average = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+        return Math.round((average / 86400000) * 10) / 10;
+    }
+
+    breakdown(records, keyOf) {
+        const counts = new Map();
+        records.forEach(record => {
+            const key = keyOf(record) || 'other';
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        const cells = [...counts.entries()]
+            .map(([key, count]) => ({ key: key, count: count }))
+            .sort((a, b) => b.count - a.count);
+        const [published] = this.suppress([cells.map((cell, index) => ({ cell: cell, pieces: [index] }))], cells.length);
+
+        // Only categories with reports are listed, so a hidden cell keeping its key would still
+        // say that category has one; the hidden ones are published together, without keys
+        const shown = published.filter(cell => !cell.suppressed);
+        return shown.length < published.length ? [...shown, { key: null, count: null, suppressed: true }] : shown;
+    }
+
+    // Weeks and months cut the same timeline, so a week hidden in one table could be worked out
+    // from the months and the total; both tables are checked against the pieces where they overlap
+    trends(reports, now) {
+        const periods = [this.weekStarts(now), this.monthStarts(now)].map(starts => starts.map((start, index) => ({
+            start: start.getTime(),
+            end: starts[index + 1] ? starts[index + 1].getTime() : Infinity
+        })));
+
+        // Piece 0 is everything before the first period, the last piece everything after the last start
+        const boundaries = [...new Set(periods.flat().map(period => period.start))].sort((a, b) => a - b);
+        const piecesOf = period => {
+            const first = boundaries.indexOf(period.start) + 1;
+            const last = period.end === Infinity ? boundaries.length : boundaries.indexOf(period.end);
+            return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+        };
+
+        const tables = periods.map(table => table.map(period => {
+            const count = reports.filter(report => {
+                const time = new Date(report.timestamp).getTime();
+                return time >= period.start && time < period.end;
+            }).length;
+            return { cell: { period: new Date(period.start).toISOString().slice(0, 10), count: count }, pieces: piecesOf(period) };
+        }));
+
+        const [weekly, monthly] = this.suppress(tables, boundaries.length + 1);
+        return { weekly: weekly, monthly: monthly };
+    }
+
+    // `tables` hold { cell, pieces }, where pieces are the smallest parts of the records that the
+    // cell adds up; together the pieces make up the published total. While a hidden cell still
+    // follows from the shown ones and the total, the next smallest count in its table is hidden too;
+    // when there is none left to hide, every table passed in is hidden.
+    suppress(tables, pieceCount) {
+        const entries = tables.flat();
+        const hidden = new Set(entries.filter(entry => entry.cell.count > 0 && entry.cell.count < this.minCellSize));
+        const vector = pieces => Array.from({ length: pieceCount }, (_, index) => pieces.includes(index) ? 1 : 0);
+        const total = Array(pieceCount).fill(1);
+
+        for (;;) {
+            // A shown zero says each of its pieces is zero, not only their sum
+            const shown = [total, ...entries.filter(entry => !hidden.has(entry)).flatMap(entry => {
+                return entry.cell.count === 0 ? entry.pieces.map(piece => vector([piece])) : [vector(entry.pieces)];
+            })];
+            // A table's only hidden cell is as good as shown wherever its total is, or can be bounded
+            const tableOf = entry => tables.find(table => table.includes(entry));
+            const alone = entry => tableOf(entry).filter(other => hidden.has(other)).length === 1;
+            const exposed = entries.find(entry => hidden.has(entry) && (alone(entry) || this.follows(vector(entry.pieces), shown)));
+            if (!exposed) break;
+
+            const next = [tableOf(exposed), entries]
+                .map(group => group.filter(entry => entry.cell.count > 0 && !hidden.has(entry)).sort((a, b) => a.cell.count - b.cell.count)[0])
+                .find(Boolean);
+            if (!next) {
+                entries.forEach(entry => hidden.add(entry));
+                break;
+            }
+            hidden.add(next);
+        }
+
+        return tables.map(table => table.map(entry => hidden.has(entry) ? { ...entry.cell, count: null, suppressed: true } : entry.cell));
+    }
+
+    // Whether `target` is a sum of multiples of `rows` (Gaussian elimination), i.e. whether
+    // adding and subtracting published counts gives it away
+    follows(target, rows) {
+        const basis = [];
+        const reduce = vector => basis.reduce((result, { pivot, row }) => {
+            const factor = result[pivot];
+            return factor ? result.map((value, index) => value - factor * row[index]) : result;
+        }, vector);
+
+        rows.forEach(vector => {
+            const row = reduce(vector);
+            const pivot = row.findIndex(value => Math.abs(value) > 1e-9);
+            if (pivot >= 0) basis.push({ pivot: pivot, row: row.map(value => value / row[pivot]) });
+        });
+        return reduce(target).every(value => Math.abs(value) < 1e-9);
+    }
+
+    // Monday 00:00 UTC of each of the last `weeks` weeks, oldest first
+    weekStarts(now) {
+        const monday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+        monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+
+        return Array.from({ length: this.weeks }, (_, index) => {
+            const start = new Date(monday);
+            start.setUTCDate(start.getUTCDate() - (this.weeks - 1 - index) * 7);
+            return start;
+        });
+    }
+
+    monthStarts(now) {
+        return Array.from({ length: this.months }, (_, index) => {
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (this.months - 1 - index), 1));
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReportStatistics };
+}
@@ -0,0 +1,185 @@
+// Protection against floods of anonymous reports and aspirations. Loaded by every page (DataStorage
+// proves its submissions; LocalStorageAdapter enforces the limits itself when there is no server)
+// and required by server/server.js, so both stores admit submissions by the same rules.
+//
+// Nothing here identifies a student. Throttling counts submissions per browser session (a random
+// id kept in sessionStorage) and, on the server, per network address; the counts live in memory
+// only and never reach the stored records.
+//
+// Every submission carries a proof of work: a nonce that makes the SHA-256 of the submission start
+// with PROOF_DIFFICULTY zero bits. It is cheap for one report and costly for thousands, and unlike
+// a CAPTCHA it needs no outside service and can be made offline, before the outbox holds the
+// submission until the connection is back.
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+const SUBMISSION_LIMITS = {
+    report: { max: 3, window: HOUR_IN_MS },
+    aspiration: { max: 5, window: HOUR_IN_MS },
+    // Evidence has no proof of its own; it only counts against the network address
+    evidence: { max: 15, window: HOUR_IN_MS }
+};
+// A school sends everything from behind a handful of addresses, so an address gets many sessions' worth
+const NETWORK_LIMIT_FACTOR = 10;
+// About 16,000 hashes: well under a second on a phone
+const PROOF_DIFFICULTY = 14;
+// Long enough for the outbox to deliver a submission made offline
+const PROOF_MAX_AGE = 7 * 24 * HOUR_IN_MS;
+const PROOF_CLOCK_SKEW = HOUR_IN_MS;
+// Reports with any of these signals wait for a counselor before they enter the queue
+const SCREENING_SIGNALS = ['short', 'repetitive', 'gibberish', 'test-words', 'links', 'unscreened'];
+const MODERATION_STATUSES = ['held', 'rejected'];
+const JUNK_WORDS = new Set([
+    'test', 'tes', 'testing', 'tester', 'coba', 'cobacoba', 'ngetes', 'iseng', 'prank', 'bercanda', 'becanda',
+    'asdf', 'qwerty', 'lorem', 'ipsum', 'dummy', 'lol', 'lmao', 'anjay', 'hehe', 'hihi', 'xixi'
+]);
+const KEYBOARD_RUNS = ['qwert', 'werty', 'asdf', 'sdfg', 'zxcv', 'hjkl', 'uiop'];
+// Envelopes as ReportCrypto.seal (script.js) makes them
+const SEALED_ALGORITHM = 'RSA-OAEP-256+A256GCM';
+const SEALED_TAG_LENGTH = 16;
+// The sealed JSON around an empty description ({"description":"","files":[]}) plus the 10
+// characters the report form asks for at least
+const SEALED_MIN_LENGTH = 29 + 10;
+
+class SubmissionGuard {
+    constructor(options = {}) {
+        this.limits = options.limits || SUBMISSION_LIMITS;
+        this.difficulty = options.difficulty || PROOF_DIFFICULTY;
+        this.maxAge = options.maxAge || PROOF_MAX_AGE;
+        this.subtle = options.subtle || (typeof crypto !== 'undefined' && crypto.subtle) ||
+            (typeof require !== 'undefined' ? require('crypto').webcrypto.subtle : null);
+    }
+
+    // Milliseconds until another submission of `kind` is allowed, given the times (ms) of the
+    // earlier ones; 0 when it is allowed now. factor scales the limit for shared keys.
+    retryAfter(times, kind, now = Date.now(), factor = 1) {
+        const { max, window } = this.limits[kind];
+        const recent = times.filter(time => now - time < window).sort((a, b) => a - b);
+        if (recent.length < max * factor) return 0;
+        return recent[recent.length - max * factor] + window - now;
+    }
+
+    // The times still inside the window, with `now` added
+    record(times, kind, now = Date.now()) {
+        return [...times.filter(time => now - time < this.limits[kind].window), now];
+    }
+
+    async sha256(text) {
+        return new Uint8Array(await this.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        return bits;
+    }
+
+    // The proof covers everything submitted except the evidence ids, which the outbox only learns
+    // once the files are uploaded
+    async subjectOf(kind, payload) {
+        const { proof, files, ...content } = payload;
+        return this.toHex(await this.sha256(`${kind}:${JSON.stringify(content)}`));
+    }
+
+    async solve(kind, payload, session, now = Date.now()) {
+        const subject = await this.subjectOf(kind, payload);
+        for (let nonce = 0; ; nonce++) {
+            if (this.leadingZeroBits(await this.sha256(`${subject}:${session}:${now}:${nonce}`)) >= this.difficulty) {
+                return { session: session, stamp: now, nonce: nonce };
+            }
+        }
+    }
+
+    // Returns why the proof is refused ('missing', 'expired' or 'invalid'), or null
+    async checkProof(kind, payload, now = Date.now()) {
+        const proof = payload && typeof payload === 'object' ? payload.proof : null;
+        if (!proof || typeof proof !== 'object' || typeof proof.session !== 'string' ||
+            !Number.isInteger(proof.stamp) || !Number.isInteger(proof.nonce)) {
+            return 'missing';
+        }
+        if (now - proof.stamp > this.maxAge || proof.stamp - now > PROOF_CLOCK_SKEW) return 'expired';
+        return this.leadingZeroBits(await this.proofHash(kind, payload)) >= this.difficulty ? null : 'invalid';
+    }
+
+    // Identifies a proof, so a store can refuse one that was already used
+    async proofId(kind, payload) {
+        return this.toHex(await this.proofHash(kind, payload));
+    }
+
+    async proofHash(kind, payload) {
+        const { session, stamp, nonce } = payload.proof;
+        return this.sha256(`${await this.subjectOf(kind, payload)}:${session}:${stamp}:${nonce}`);
+    }
+
+    // Signals that a text is junk or a prank rather than a real account of something
+    screen(text) {
+        const source = String(text || '').toLowerCase();
+        const words = source.split(/[^a-z0-9]+/).filter(Boolean);
+        const characters = words.join('');
+        const share = (test) => words.length > 0 && words.filter(test).length / words.length >= 0.5;
+        const signals = [];
+
+        if (words.filter(word => /[a-z]{2,}/.test(word)).length < 2) signals.push('short');
+        if ((characters.length >= 10 && new Set(characters).size <= 4) ||
+            (words.length >= 4 && new Set(words).size / words.length < 0.3)) signals.push('repetitive');
+        if (share(word => /[bcdfghjklmnpqrstvwxz]{5,}/.test(word) || KEYBOARD_RUNS.some(run => word.includes(run)))) signals.push('gibberish');
+        if (share(word => JUNK_WORDS.has(word) || /^(wk)+w?$|^(ha)+h?$|^(he)+$|^(xi)+$/.test(word))) signals.push('test-words');
+        if ((source.match(/https?:\/\//g) || []).length >= 3) signals.push('links');
+        return signals;
+    }
+
+    // Returns why `envelope` is not a sealed report the counselors could open, or null.
+    // publicKey is the counselors' key; without one nothing should arrive sealed.
+    checkEnvelope(envelope, publicKey) {
+        if (!envelope || typeof envelope !== 'object' || envelope.alg !== SEALED_ALGORITHM) return 'format';
+        if (['wrappedKey', 'iv', 'ciphertext'].some(field => typeof envelope[field] !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(envelope[field]))) {
+            return 'format';
+        }
+        if (!publicKey || (publicKey.kid && envelope.kid !== publicKey.kid)) return 'key';
+        return null;
+    }
+
+    // Bytes of the sealed JSON; AES-GCM adds its tag and nothing else
+    sealedLength(envelope) {
+        const base64 = envelope.ciphertext;
+        return Math.floor(base64.length * 3 / 4) - (base64.match(/=*$/)[0].length) - SEALED_TAG_LENGTH;
+    }
+
+    // A sealed description can only be screened in the browser before sealing. Its signals are
+    // taken as sent (limited to the known ones), but a sealed report can't opt out: without the
+    // list it is held as unscreened, and one too small to hold a real account is short whatever
+    // the list says. Fields left in plain text are screened here as usual.
+    screenReport(reportData) {
+        const envelope = reportData.encrypted;
+        if (!envelope || typeof envelope !== 'object') return this.screen(reportData.description);
+
+        const signals = Array.isArray(reportData.screening)
+            ? reportData.screening.filter(signal => SCREENING_SIGNALS.includes(signal))
+            : ['unscreened'];
+        if (typeof envelope.ciphertext !== 'string' || this.sealedLength(envelope) < SEALED_MIN_LENGTH) signals.push('short');
+        if (reportData.description) signals.push(...this.screen(reportData.description));
+        return [...new Set(signals)];
+    }
+
+    screenAspiration(aspirationData) {
+        return this.screen(`${aspirationData.title || ''} ${aspirationData.content || ''}`);
+    }
+
+    // Critical reports are never held: a flagged one still reaches the counselors straight away
+    shouldHold(reportData, screening) {
+        return screening.length > 0 && reportData.urgency !== 'critical';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SubmissionGuard, SUBMISSION_LIMITS, NETWORK_LIMIT_FACTOR, SCREENING_SIGNALS, MODERATION_STATUSES };
+}
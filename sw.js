@@ -0,0 +1,204 @@
+// Service worker: keeps the pages usable offline and delivers submissions that
+// OutboxQueue (script.js) stored in IndexedDB while the device had no connection.
+
+const CACHE_NAME = 'stop-cyberbullying-v13';
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'report.html',
+    'status.html',
+    'aspirations.html',
+    'prevention.html',
+    'about.html',
+    'styles.css',
+    'config.js',
+    'statistics.js',
+    'schema.js',
+    'access.js',
+    'cases.js',
+    'submissions.js',
+    'classifier.js',
+    'i18n.js',
+    'lang/en.js',
+    'script.js',
+    'sman34-trp.png'
+];
+const RUNTIME_CACHE_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const OUTBOX_DB = 'cyberbullying_outbox';
+const OUTBOX_STORE = 'submissions';
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET') return;
+
+    if (url.origin === self.location.origin) {
+        // API responses are personal and must never come from a cache
+        if (url.pathname.includes('/api/')) return;
+
+        // Pages prefer the network, including those the router in script.js fetches itself
+        const page = request.mode === 'navigate' || (request.headers.get('Accept') || '').includes('text/html');
+        event.respondWith(page ? networkFirst(request) : staleWhileRevalidate(request));
+    } else if (RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Stored without the query string: report.html?type=... would tell anyone opening
+            // the cache what the student was about to report
+            const url = new URL(request.url);
+            cache.put(url.origin + url.pathname, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) || cache.match('index.html');
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(flushOutbox());
+    }
+});
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function outboxRequest(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = operation(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function flushOutbox() {
+    const db = await openOutbox();
+    const items = await outboxRequest(db, 'readonly', store => store.getAll());
+    let delivered = 0;
+
+    for (const item of items.filter(entry => entry.status === 'queued')) {
+        try {
+            const files = await uploadAttachments(db, item);
+            const payload = files.length > 0 ? { ...item.payload, files: files } : item.payload;
+            const response = await fetch(item.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            if (!response.ok) {
+                throw deliveryError(`Outbox delivery failed with status ${response.status}`, response.status);
+            }
+            const receipt = await response.json();
+            await outboxRequest(db, 'readwrite', store => store.put({ ...item, status: 'sent', receipt: receipt, sentAt: new Date().toISOString() }));
+            delivered++;
+        } catch (error) {
+            // Refused for good: the page tells the student and the items behind it still go out
+            if (isRefusal(error.status)) {
+                await outboxRequest(db, 'readwrite', store => store.put(toFailed(item, error)));
+                delivered++;
+                continue;
+            }
+            await outboxRequest(db, 'readwrite', store => store.put({ ...item, attempts: item.attempts + 1, lastError: error.message }));
+            await notifyClients();
+            // Rejecting makes the browser schedule another sync attempt later
+            throw error;
+        }
+    }
+
+    if (delivered > 0) {
+        await notifyClients();
+    }
+}
+
+async function uploadAttachments(db, item) {
+    const attachments = item.attachments || [];
+
+    for (const attachment of attachments) {
+        if (attachment.uploaded) continue;
+
+        const response = await fetch(item.evidenceEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': attachment.type || 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(attachment.name)
+            },
+            body: attachment.blob
+        });
+        if (!response.ok) {
+            throw deliveryError(`Evidence upload failed with status ${response.status}`, response.status);
+        }
+        attachment.uploaded = await response.json();
+        await outboxRequest(db, 'readwrite', store => store.put(item));
+    }
+
+    return attachments.map(attachment => attachment.uploaded);
+}
+
+function deliveryError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Same rules as OutboxQueue.isRefusal and toFailed
+function isRefusal(status) {
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function toFailed(item, error) {
+    return { id: item.id, kind: item.kind, status: 'failed', failedStatus: error.status, lastError: error.message, createdAt: item.createdAt };
+}
+
+async function notifyClients() {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'outbox-updated' }));
+}
@@ -0,0 +1,105 @@
+// Runs axe-core against every page in a headless DOM (jsdom), in the states a student or counselor
+// actually sees: after the scripts have run, with the modal open, with validation errors shown and
+// with the dashboard signed in. jsdom does no layout, so color contrast is left to manual checks.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const AXE_SOURCE = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+const PAGES = ['index.html', 'report.html', 'status.html', 'aspirations.html', 'prevention.html', 'about.html', 'admin.html'];
+const SCRIPT_TAG = /<script src="([^"]+)"><\/script>/g;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Loads a page with its local scripts. Classic scripts share one global scope, which separate
+// evals don't, so they run as one bundle.
+async function loadPage(page, storage = {}) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const dom = new JSDOM(html.replace(SCRIPT_TAG, ''), {
+        url: `http://localhost/${page}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    Object.defineProperty(window, 'crypto', { value: webcrypto });
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+    window.scrollTo = () => {};
+    window.alert = () => {};
+    window.confirm = () => true;
+    window.console = { ...console, log: () => {} };
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    const bundle = Array.from(html.matchAll(SCRIPT_TAG), match => match[1])
+        .filter(source => !/^https?:/.test(source))
+        .map(source => fs.readFileSync(path.join(ROOT, source), 'utf8'))
+        .join('\n');
+    window.eval(bundle);
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    await sleep(200);
+    return window;
+}
+
+async function violations(window) {
+    if (!window.axe) window.eval(AXE_SOURCE);
+    const results = await window.axe.run(window.document, { rules: { 'color-contrast': { enabled: false } } });
+    return [...results.violations].map(violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+async function assertAccessible(window) {
+    try {
+        assert.deepStrictEqual(await violations(window), []);
+    } finally {
+        window.close();
+    }
+}
+
+PAGES.forEach(page => {
+    test(`${page} has no accessibility violations`, async () => {
+        await assertAccessible(await loadPage(page));
+    });
+});
+
+test('the success modal is accessible while open', async () => {
+    const window = await loadPage('index.html');
+    window.cyberbullyingPlatform.showModal('Laporan Berhasil Dikirim!', 'Kode: ABCDE-FGHJK');
+    await assertAccessible(window);
+});
+
+test('the report form is accessible with validation errors shown', async () => {
+    const window = await loadPage('report.html');
+    const form = window.document.getElementById('reportForm');
+    form.elements.description.value = 'pendek';
+    await window.cyberbullyingPlatform.validateForm(form);
+    assert.ok(form.querySelector('[aria-invalid="true"]'), 'expected the form to show errors');
+    await assertAccessible(window);
+});
+
+test('the status lookup is accessible with validation errors shown', async () => {
+    const window = await loadPage('status.html');
+    await window.cyberbullyingPlatform.validateForm(window.document.getElementById('statusForm'));
+    await assertAccessible(window);
+});
+
+test('the signed-in dashboard is accessible', async () => {
+    const setup = await loadPage('admin.html');
+    await setup.cyberbullyingPlatform.storage.setupAdmin({ username: 'guru.bk', name: 'Guru BK', password: 'rahasia123' });
+    const storage = { cyberbullying_platform_data: setup.localStorage.getItem('cyberbullying_platform_data') };
+    const session = Object.entries(setup.sessionStorage);
+    setup.close();
+
+    const window = await loadPage('admin.html', storage);
+    session.forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+    const platform = window.cyberbullyingPlatform;
+    platform.adminDashboard.user = await platform.storage.getSession();
+    await platform.adminDashboard.showDashboard();
+    await sleep(200);
+    assert.ok(!window.document.getElementById('adminDashboard').hidden, 'expected the dashboard to be shown');
+    await assertAccessible(window);
+});
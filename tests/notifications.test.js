@@ -0,0 +1,103 @@
+// Staff notifications, checked through the stub channel and a local SMTP server that never offers TLS.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { Notifier, SmtpChannel } = require('../server/notifications');
+
+const REPORT = {
+    id: 'id_1_abc',
+    trackingCode: 'ABCDE-FGHJK',
+    type: 'doxxing',
+    platform: 'instagram',
+    urgency: 'critical',
+    timestamp: '2026-10-14T10:00:00Z'
+};
+
+function stubs(...names) {
+    return Object.fromEntries(names.map(name => [name, { type: 'stub', quiet: true }]));
+}
+
+test('reports go to the channels whose routes match', async () => {
+    const notifier = new Notifier({
+        channels: stubs('counselors', 'principal', 'privacy'),
+        routes: [
+            { channels: ['counselors'] },
+            { when: { urgency: 'critical' }, channels: ['principal'] },
+            { when: { type: ['doxxing', 'hate-speech'], urgency: 'low' }, channels: ['privacy'] }
+        ]
+    });
+
+    const results = await notifier.notify(REPORT);
+    assert.deepStrictEqual(results, [{ channel: 'counselors', ok: true }, { channel: 'principal', ok: true }]);
+    assert.strictEqual(notifier.channels.get('privacy').sent.length, 0);
+
+    await notifier.notify({ ...REPORT, urgency: 'low' });
+    assert.strictEqual(notifier.channels.get('privacy').sent.length, 1);
+    assert.strictEqual(notifier.channels.get('principal').sent.length, 1);
+});
+
+test('a route to an unknown channel is a configuration error', () => {
+    assert.throws(() => new Notifier({ channels: stubs('counselors'), routes: [{ channels: ['nobody'] }] }), /unknown channel "nobody"/);
+});
+
+test('failed deliveries are retried with growing delays, then given up', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const notifier = new Notifier({ channels: stubs('flaky', 'broken'), retries: 2, retryDelay: 20 });
+    const flaky = notifier.channels.get('flaky');
+    const attempts = [];
+    let failures = 2;
+    flaky.send = async () => {
+        attempts.push(Date.now());
+        if (failures-- > 0) throw new Error('temporarily down');
+    };
+    notifier.channels.get('broken').send = async () => {
+        throw new Error('down for good');
+    };
+
+    const results = await notifier.notify(REPORT);
+    assert.deepStrictEqual(results, [{ channel: 'flaky', ok: true }, { channel: 'broken', ok: false }]);
+    assert.strictEqual(attempts.length, 3);
+    assert.ok(attempts[1] - attempts[0] >= 15, 'first retry waits retryDelay');
+    assert.ok(attempts[2] - attempts[1] >= 35, 'second retry waits twice as long');
+});
+
+test('messages carry neither the tracking code nor the description', async () => {
+    const notifier = new Notifier({ channels: stubs('counselors') });
+    await notifier.notify({ ...REPORT, description: 'Nomor rumah saya disebar' });
+    const [message] = notifier.channels.get('counselors').sent;
+
+    assert.match(message.subject, /^\[DARURAT\] /);
+    [message.subject, message.text].forEach(text => {
+        assert.ok(!text.includes(REPORT.trackingCode));
+        assert.ok(!text.includes('disebar'));
+    });
+});
+
+test('SMTP refuses to log in over a connection without TLS', async () => {
+    const received = [];
+    const server = net.createServer(socket => {
+        socket.setEncoding('utf8');
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => chunk.split('\r\n').filter(Boolean).forEach(line => {
+            received.push(line);
+            socket.write(line.startsWith('EHLO') ? '250-test\r\n250 AUTH LOGIN\r\n' : '250 OK\r\n');
+        }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const channel = new SmtpChannel({
+            host: '127.0.0.1',
+            port: server.address().port,
+            user: 'bk@sekolah.sch.id',
+            pass: 'rahasia',
+            from: 'bk@sekolah.sch.id',
+            to: 'konselor@sekolah.sch.id'
+        });
+        await assert.rejects(channel.send({ subject: 'Laporan', text: 'x' }), /does not offer STARTTLS/);
+        assert.ok(!received.some(line => line.startsWith('AUTH')), 'no AUTH command was sent');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
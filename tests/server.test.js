@@ -0,0 +1,89 @@
+// How the server admits anonymous submissions and votes: proofs are used once, and limits apply per
+// session or voter and, NETWORK_LIMIT_FACTOR times over, per network address.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DIRECTORY = fs.mkdtempSync(path.join(os.tmpdir(), 'stop-cyberbullying-'));
+process.env.DATA_FILE = path.join(DIRECTORY, 'data.json');
+process.env.EVIDENCE_DIR = path.join(DIRECTORY, 'evidence');
+process.env.NOTIFY_CONFIG = path.join(DIRECTORY, 'notifications.json');
+
+const { server, notifier } = require('../server/server');
+const { SubmissionGuard, NETWORK_LIMIT_FACTOR } = require('../submissions');
+
+const guard = new SubmissionGuard();
+const DESCRIPTION = 'Akun palsu memakai foto saya dan mengirim pesan kasar ke teman sekelas setiap malam.';
+let baseUrl;
+
+async function post(route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json().catch(() => null) };
+}
+
+async function report(session, fields = {}) {
+    const payload = { type: 'harassment', platform: 'instagram', urgency: 'medium', description: DESCRIPTION, ...fields };
+    return { ...payload, proof: await guard.solve('report', payload, session) };
+}
+
+test.before(async () => {
+    notifier.channels.get('log').quiet = true;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(DIRECTORY, { recursive: true, force: true });
+});
+
+test('a proof of work is accepted once', async () => {
+    const body = await report('session-reuse');
+    assert.strictEqual((await post('/reports', body)).status, 201);
+    assert.strictEqual((await post('/reports', body)).status, 409);
+});
+
+test('a report without a proof is refused', async () => {
+    const { status, body } = await post('/reports', { type: 'harassment', description: DESCRIPTION });
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /Proof of work is required/);
+});
+
+test('a session can send three reports an hour', async () => {
+    for (let count = 0; count < 3; count++) {
+        assert.strictEqual((await post('/reports', await report('session-limit', { description: `${DESCRIPTION} ${count}` }))).status, 201);
+    }
+    const refused = await post('/reports', await report('session-limit', { description: `${DESCRIPTION} lagi` }));
+    assert.strictEqual(refused.status, 429);
+    assert.ok(Number(refused.retryAfter) > 0);
+});
+
+test('flagged reports are held unless they are critical', async () => {
+    const junk = 'tes tes tes tes tes';
+    assert.strictEqual((await post('/reports', await report('session-junk', { description: junk }))).body.held, true);
+    assert.strictEqual((await post('/reports', await report('session-critical', { description: junk, urgency: 'critical' }))).body.held, false);
+});
+
+test('votes are limited per voter and, with the network factor, per address', async () => {
+    const vote = voterId => post('/aspirations/unknown/vote', { voterId: voterId });
+    const voter = 'v'.repeat(20);
+    for (let count = 0; count < 20; count++) {
+        assert.strictEqual((await vote(voter)).status, 404);
+    }
+    assert.strictEqual((await vote(voter)).status, 429);
+
+    // Fresh voter ids only help until the address has used its share
+    const statuses = [];
+    for (let count = 0; count < 20 * NETWORK_LIMIT_FACTOR - 20; count++) {
+        statuses.push((await vote(`voter-${String(count).padStart(16, '0')}`)).status);
+    }
+    assert.ok(statuses.every(status => status === 404));
+    assert.strictEqual((await vote('w'.repeat(20))).status, 429);
+});
@@ -0,0 +1,82 @@
+// The public statistics must not let anyone single out a report: small counts are hidden, and so is
+// anything they could be worked out from.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReportStatistics } = require('../statistics');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function report(fields = {}) {
+    return { status: 'pending', type: 'doxxing', platform: 'instagram', urgency: 'critical', timestamp: '2026-10-14T10:00:00Z', ...fields };
+}
+
+function compute(reports) {
+    return new ReportStatistics().compute({ reports: reports, aspirations: [] }, NOW);
+}
+
+test('a single report gives nothing about it away', () => {
+    const stats = compute([report()]);
+    assert.strictEqual(stats.totals.totalReports, null);
+    Object.values(stats.breakdowns).slice(0, 3).forEach(cells => {
+        assert.deepStrictEqual(cells, [{ key: null, count: null, suppressed: true }]);
+    });
+    assert.ok(stats.trends.weekly.every(cell => cell.suppressed));
+    assert.ok(stats.trends.monthly.every(cell => cell.suppressed));
+});
+
+test('two reports in different categories are hidden without their keys', () => {
+    const stats = compute([report(), report({ type: 'harassment', platform: 'tiktok', timestamp: '2026-09-02T10:00:00Z' })]);
+    assert.strictEqual(stats.totals.totalReports, null);
+    assert.deepStrictEqual(stats.breakdowns.type, [{ key: null, count: null, suppressed: true }]);
+    assert.deepStrictEqual(stats.breakdowns.platform, [{ key: null, count: null, suppressed: true }]);
+    assert.ok(stats.trends.weekly.every(cell => cell.count === 0 || cell.suppressed));
+});
+
+test('minCellSize reports are published, small categories within them are not', () => {
+    const reports = [
+        ...Array.from({ length: 3 }, () => report()),
+        ...Array.from({ length: 2 }, () => report({ type: 'harassment' }))
+    ];
+    const stats = compute(reports);
+    assert.strictEqual(stats.totals.totalReports, 5);
+    assert.deepStrictEqual(stats.breakdowns.type, [{ key: null, count: null, suppressed: true }]);
+    assert.deepStrictEqual(stats.breakdowns.platform, [{ key: 'instagram', count: 5 }]);
+});
+
+test('a small category is hidden along with the next smallest', () => {
+    const reports = [
+        ...Array.from({ length: 20 }, () => report()),
+        ...Array.from({ length: 10 }, () => report({ type: 'harassment' })),
+        ...Array.from({ length: 3 }, () => report({ type: 'exclusion' }))
+    ];
+    assert.deepStrictEqual(compute(reports).breakdowns.type, [
+        { key: 'doxxing', count: 20 },
+        { key: null, count: null, suppressed: true }
+    ]);
+});
+
+test('a hidden week cannot be worked out from the months', () => {
+    const at = (timestamp, count) => Array.from({ length: count }, () => report({ timestamp: timestamp }));
+    const stats = compute([...at('2026-08-04T10:00:00Z', 6), ...at('2026-09-08T10:00:00Z', 3), ...at('2026-09-15T10:00:00Z', 8), ...at('2026-09-22T10:00:00Z', 10)]);
+    const week = period => stats.trends.weekly.find(cell => cell.period === period);
+    const month = period => stats.trends.monthly.find(cell => cell.period === period);
+
+    assert.strictEqual(week('2026-09-07').count, null);
+    // September is published, so its other weeks with reports can't all be shown
+    assert.strictEqual(month('2026-09-01').count, 21);
+    const septemberWeeks = ['2026-09-14', '2026-09-21'].map(week);
+    assert.ok(septemberWeeks.some(cell => cell.suppressed));
+});
+
+test('shown counts are never below minCellSize', () => {
+    const types = ['doxxing', 'harassment', 'exclusion', 'impersonation'];
+    const reports = Array.from({ length: 60 }, (_, index) => report({
+        type: types[(index * index) % types.length],
+        timestamp: new Date(NOW - ((index * 37) % 200) * 86400000).toISOString()
+    }));
+    const stats = compute(reports);
+    [...stats.trends.weekly, ...stats.trends.monthly, ...Object.values(stats.breakdowns).flat()].forEach(cell => {
+        assert.ok(cell.count === null || cell.count === 0 || cell.count >= 5, JSON.stringify(cell));
+    });
+});
@@ -0,0 +1,85 @@
+// SubmissionGuard: the rate limits, proofs of work and spam screening both stores admit submissions by.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SubmissionGuard, NETWORK_LIMIT_FACTOR } = require('../submissions');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12);
+// Low enough to solve in a few milliseconds
+const guard = new SubmissionGuard({ difficulty: 6 });
+
+const DESCRIPTION = 'Akun palsu memakai foto saya dan mengirim pesan kasar ke teman sekelas setiap malam.';
+
+function envelope(plaintextLength) {
+    return {
+        alg: 'RSA-OAEP-256+A256GCM',
+        wrappedKey: 'AAAA',
+        iv: 'AAAA',
+        ciphertext: Buffer.alloc(plaintextLength + 16).toString('base64')
+    };
+}
+
+test('retryAfter allows submissions up to the limit within the window', () => {
+    assert.strictEqual(guard.retryAfter([], 'report', NOW), 0);
+    assert.strictEqual(guard.retryAfter([NOW - 3000, NOW - 2000], 'report', NOW), 0);
+    // The fourth report waits until the first of the three leaves the window
+    assert.strictEqual(guard.retryAfter([NOW - 3000, NOW - 2000, NOW - 1000], 'report', NOW), HOUR - 3000);
+    assert.strictEqual(guard.retryAfter([NOW - HOUR - 1, NOW - 2000, NOW - 1000], 'report', NOW), 0);
+});
+
+test('retryAfter scales the limit for a network address', () => {
+    const times = Array.from({ length: 3 * NETWORK_LIMIT_FACTOR - 1 }, (_, index) => NOW - (index + 1) * 1000);
+    assert.strictEqual(guard.retryAfter(times, 'report', NOW, NETWORK_LIMIT_FACTOR), 0);
+    assert.ok(guard.retryAfter([...times, NOW - 500], 'report', NOW, NETWORK_LIMIT_FACTOR) > 0);
+    assert.ok(guard.retryAfter(times, 'report', NOW) > 0);
+});
+
+test('record keeps only the times still inside the window', () => {
+    assert.deepStrictEqual(guard.record([NOW - HOUR - 1, NOW - 1000], 'report', NOW), [NOW - 1000, NOW]);
+});
+
+test('checkProof accepts a solved proof', async () => {
+    const payload = { type: 'harassment', description: DESCRIPTION };
+    payload.proof = await guard.solve('report', payload, 'session-1', NOW);
+    assert.strictEqual(await guard.checkProof('report', payload, NOW), null);
+    // Evidence ids are added after the proof is made
+    assert.strictEqual(await guard.checkProof('report', { ...payload, files: ['id_1_a'] }, NOW), null);
+});
+
+test('checkProof refuses missing, expired and invalid proofs', async () => {
+    const payload = { type: 'harassment', description: DESCRIPTION };
+    const proof = await guard.solve('report', payload, 'session-1', NOW);
+
+    assert.strictEqual(await guard.checkProof('report', payload, NOW), 'missing');
+    assert.strictEqual(await guard.checkProof('report', null, NOW), 'missing');
+    assert.strictEqual(await guard.checkProof('report', { ...payload, proof: { ...proof, nonce: '1' } }, NOW), 'missing');
+
+    assert.strictEqual(await guard.checkProof('report', { ...payload, proof: proof }, NOW + 8 * 24 * HOUR), 'expired');
+    assert.strictEqual(await guard.checkProof('report', { ...payload, proof: proof }, NOW - 2 * HOUR), 'expired');
+
+    // The proof covers the content and the kind it was made for
+    assert.strictEqual(await guard.checkProof('report', { ...payload, description: `${DESCRIPTION} Diubah.`, proof: proof }, NOW), 'invalid');
+    assert.strictEqual(await guard.checkProof('aspiration', { ...payload, proof: proof }, NOW), 'invalid');
+});
+
+test('screenReport flags junk descriptions and passes real ones', () => {
+    assert.deepStrictEqual(guard.screenReport({ description: DESCRIPTION }), []);
+    assert.ok(guard.screenReport({ description: 'tes tes tes tes' }).includes('test-words'));
+    assert.ok(guard.screenReport({ description: 'asdfgh qwerty zxcvbn' }).includes('gibberish'));
+    assert.ok(guard.screenReport({ description: 'x' }).includes('short'));
+});
+
+test('screenReport takes signals from the browser for sealed reports, but not an opt-out', () => {
+    assert.deepStrictEqual(guard.screenReport({ encrypted: envelope(200), screening: [] }), []);
+    assert.deepStrictEqual(guard.screenReport({ encrypted: envelope(200), screening: ['links', 'made-up'] }), ['links']);
+    assert.deepStrictEqual(guard.screenReport({ encrypted: envelope(200) }), ['unscreened']);
+    assert.deepStrictEqual(guard.screenReport({ encrypted: envelope(20), screening: [] }), ['short']);
+    assert.ok(guard.screenReport({ encrypted: envelope(200), screening: [], description: 'tes tes tes tes' }).includes('test-words'));
+});
+
+test('shouldHold holds flagged reports unless they are critical', () => {
+    assert.strictEqual(guard.shouldHold({ urgency: 'medium' }, []), false);
+    assert.strictEqual(guard.shouldHold({ urgency: 'medium' }, ['short']), true);
+    assert.strictEqual(guard.shouldHold({ urgency: 'critical' }, ['short', 'test-words']), false);
+});